@@ -1,21 +1,192 @@
-const { Client, LocalAuth } = require("whatsapp-web.js");
+const { Client, LocalAuth, MessageMedia } = require("whatsapp-web.js");
 const qrcode = require("qrcode-terminal");
 const axios = require("axios");
 const winston = require("winston");
+const path = require("path");
 const config = require("./config");
+const { signWebhookPayload } = require("./utils/webhookSignature");
+const WebhookQueue = require("./services/webhookQueue");
+const MessagePipeline = require("./services/messagePipeline");
+const MediaStore = require("./services/mediaStore");
+const MessageStore = require("./services/messageStore");
+const AckTracker = require("./services/ackTracker");
+const { getAckStatus } = AckTracker;
+const EventDispatcher = require("./services/eventDispatcher");
+const WebhookRouter = require("./services/webhookRouter");
+const NumberChecker = require("./services/numberChecker");
+const CampaignManager = require("./services/campaignManager");
+const MessageScheduler = require("./services/messageScheduler");
+const OptOutList = require("./services/optOutList");
+const SendThrottler = require("./services/sendThrottler");
+const GroupManager = require("./services/groupManager");
+const CommandRouter = require("./services/commandRouter");
+const FlowEngine = require("./services/flowEngine");
+const AutoReplyRules = require("./services/autoReplyRules");
+const AutoResponder = require("./services/autoResponder");
+const {
+  getMediaCategory,
+  getBase64Size,
+  parseDataUri,
+  validateMedia,
+  validateMediaUrl,
+} = require("./utils/media");
+const PhoneValidator = require("./utils/phoneValidator");
+
+// Región para números sin código de país
+const phoneOptions = { defaultRegion: config.regional.defaultCountry };
 
 /**
  * Clase principal del Bot de WhatsApp
+ *
+ * Cada instancia corresponde a una sesión (un número de WhatsApp). La sesión
+ * "default" conserva el clientId y los archivos de datos históricos; las
+ * demás guardan sus datos en config.sessions.dataDir/<sessionId>.
  */
 class WhatsAppBot {
-  constructor() {
+  constructor({
+    sessionId = "default",
+    webhookUrl,
+    optOuts,
+    autoReplies,
+  } = {}) {
+    this.sessionId = sessionId;
+    this.isDefaultSession = sessionId === "default";
+    this.clientId = this.isDefaultSession
+      ? config.whatsapp.session.clientId
+      : `${config.whatsapp.session.clientId}-${sessionId}`;
+    this.webhookUrl = webhookUrl || config.n8n.webhookUrl;
     this.client = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.logger = this.setupLogger();
-    this.messageQueue = [];
-    this.isProcessingQueue = false;
     this.currentQR = null;
+    this.webhookQueue = new WebhookQueue({
+      filePath: this.getDataPath(config.n8n.queue.filePath),
+      logger: this.logger,
+      maxAttempts: config.n8n.retryAttempts,
+      baseDelay: config.n8n.queue.baseDelay,
+      maxDelay: config.n8n.queue.maxDelay,
+      pollInterval: config.n8n.queue.pollInterval,
+      maxDeadLetters: config.n8n.queue.maxDeadLetters,
+      send: (delivery) =>
+        this.postToWebhook(
+          delivery.url,
+          delivery.payload,
+          delivery.id,
+          delivery.options
+        ),
+    });
+    this.mediaStore = new MediaStore({
+      ...config.media.inbound,
+      secret: config.media.inbound.urlSecret,
+      logger: this.logger,
+    });
+    this.messageStore = config.history.enabled
+      ? new MessageStore({
+          ...config.history,
+          filePath: this.getDataPath(config.history.filePath),
+          logger: this.logger,
+        })
+      : null;
+    this.ackTracker = new AckTracker({
+      ...config.acks,
+      filePath: this.getDataPath(config.acks.filePath),
+      logger: this.logger,
+    });
+    this.webhookRouter = new WebhookRouter({
+      filePath: this.getDataPath(config.n8n.routesFile),
+      logger: this.logger,
+    });
+    this.events = new EventDispatcher({
+      sessionId: this.sessionId,
+      webhookQueue: this.webhookQueue,
+      logger: this.logger,
+    });
+    this.events.load(config.events);
+    if (config.acks.forwardToN8N) {
+      this.events.trySubscribe({
+        name: "acks",
+        url: config.acks.webhookUrl || this.webhookUrl,
+        events: ["message_ack"],
+      });
+    }
+    this.numberChecker = new NumberChecker({
+      ...config.numberCheck,
+      lookup: (number) => this.client.getNumberId(number),
+      logger: this.logger,
+    });
+    this.campaigns = new CampaignManager({
+      ...config.campaigns,
+      filePath: this.getDataPath(config.campaigns.filePath),
+      bot: this,
+      logger: this.logger,
+    });
+    // La lista de opt-out la comparten todas las sesiones (SessionManager)
+    this.optOuts =
+      optOuts || new OptOutList({ ...config.optOut, logger: this.logger });
+    this.throttler = new SendThrottler({
+      ...config.throttle,
+      logger: this.logger,
+    });
+    // Chats que nos escribieron (no cuentan como contactos desconocidos)
+    this.knownChats = new Set();
+    this.scheduler = new MessageScheduler({
+      ...config.scheduler,
+      filePath: this.getDataPath(config.scheduler.filePath),
+      maxMessageLength: config.security.messageMaxLength,
+      bot: this,
+      logger: this.logger,
+    });
+    this.groups = new GroupManager({ bot: this, logger: this.logger });
+    this.commands = new CommandRouter({
+      prefix: config.commands.enabled ? config.commands.prefix : "",
+      admins: config.commands.admins.map((number) =>
+        PhoneValidator.normalizePhoneNumber(number, phoneOptions)
+      ),
+      bot: this,
+      logger: this.logger,
+    });
+    if (config.commands.enabled) {
+      this.commands.loadDirectory(config.commands.dir);
+    }
+    this.flows = new FlowEngine({
+      ...config.flows,
+      filePath: this.getDataPath(config.flows.filePath),
+      timezone: config.scheduler.timezone,
+      bot: this,
+      logger: this.logger,
+    });
+    this.flows.loadFlows();
+    // Las reglas de respuesta automática también son comunes a las sesiones
+    this.autoResponder = new AutoResponder({
+      rules:
+        autoReplies ||
+        new AutoReplyRules({
+          ...config.autoReply,
+          businessHours: config.businessHours.schedule,
+          timezone: config.businessHours.timezone,
+          templates: null,
+          logger: this.logger,
+        }),
+      conversationGap: config.autoReply.conversationGap,
+      bot: this,
+      logger: this.logger,
+    });
+    this.pipeline = new MessagePipeline({ bot: this, logger: this.logger });
+    this.pipeline.loadFromFile(config.pipeline.configFile);
+  }
+
+  /**
+   * Ruta de un archivo de datos de la sesión. La sesión por defecto usa la
+   * ruta configurada; las demás, un directorio propio con el mismo nombre.
+   */
+  getDataPath(filePath) {
+    if (this.isDefaultSession) return filePath;
+    return path.join(
+      config.sessions.dataDir,
+      this.sessionId,
+      path.basename(filePath)
+    );
   }
 
   /**
@@ -29,7 +200,7 @@ class WhatsAppBot {
         winston.format.errors({ stack: true }),
         winston.format.json()
       ),
-      defaultMeta: { service: "whatsapp-bot" },
+      defaultMeta: { service: "whatsapp-bot", session: this.sessionId },
       transports: [
         new winston.transports.File({
           filename: "logs/error.log",
@@ -57,7 +228,7 @@ class WhatsAppBot {
       this.client = new Client({
         authStrategy: new LocalAuth({
           dataPath: config.whatsapp.session.dataPath,
-          clientId: config.whatsapp.session.clientId,
+          clientId: this.clientId,
         }),
         puppeteer: {
           headless: config.whatsapp.puppeteer.headless,
@@ -69,12 +240,26 @@ class WhatsAppBot {
       // Configurar eventos
       this.setupEvents();
 
+      // Procesar reintentos pendientes de webhooks
+      this.webhookQueue.start();
+      if (config.media.inbound.mode === "url") {
+        this.mediaStore.start();
+      }
+      // Retomar campañas en curso (esperan a que haya conexión)
+      this.campaigns.start();
+      this.scheduler.start();
+      this.flows.start();
+
       // Inicializar cliente
       await this.client.initialize();
 
       this.logger.info("Bot de WhatsApp inicializado correctamente");
     } catch (error) {
       this.logger.error("Error inicializando bot:", error);
+      // Sin cliente, un start() posterior vuelve a intentarlo
+      const client = this.client;
+      this.client = null;
+      await client?.destroy().catch(() => {});
       throw error;
     }
   }
@@ -88,6 +273,7 @@ class WhatsAppBot {
       this.currentQR = qr;
       this.logger.info("QR Code generado. Escanea con WhatsApp:");
       qrcode.generate(qr, { small: true });
+      this.events.emit("qr", { qr });
     });
 
     // Evento de autenticación exitosa
@@ -96,17 +282,22 @@ class WhatsAppBot {
       this.currentQR = null;
       this.reconnectAttempts = 0;
       this.logger.info("Bot de WhatsApp conectado y listo");
-      this.processMessageQueue();
+      this.events.emit("ready", {
+        wid: this.client.info?.wid?._serialized || null,
+        pushname: this.client.info?.pushname || null,
+      });
     });
 
     // Evento de autenticación
     this.client.on("authenticated", () => {
       this.logger.info("Autenticación exitosa");
+      this.events.emit("authenticated", {});
     });
 
     // Evento de autenticación fallida
     this.client.on("auth_failure", (msg) => {
       this.logger.error("Error de autenticación:", msg);
+      this.events.emit("auth_failure", { message: msg });
     });
 
     // Evento de mensaje recibido
@@ -114,16 +305,85 @@ class WhatsAppBot {
       await this.handleIncomingMessage(message);
     });
 
+    // Evento de mensaje creado (solo los propios, incluidos los del teléfono)
+    this.client.on("message_create", (message) => {
+      if (message.fromMe) {
+        this.events.emit("message_create", this.summarizeMessage(message));
+      }
+    });
+
+    // Evento de mensaje eliminado para todos
+    this.client.on("message_revoke_everyone", (message, revokedMessage) => {
+      this.events.emit("message_revoke", {
+        ...this.summarizeMessage(message),
+        revokedBody: revokedMessage?.body || null,
+      });
+    });
+
+    // Evento de mensaje editado
+    this.client.on("message_edit", (message, newBody, prevBody) => {
+      this.events.emit("message_edit", {
+        ...this.summarizeMessage(message),
+        newBody,
+        prevBody,
+      });
+    });
+
+    // Evento de reacción a un mensaje
+    this.client.on("message_reaction", (reaction) => {
+      this.events.emit("message_reaction", {
+        messageId: reaction.msgId?._serialized || null,
+        chatId: reaction.id?.remote || null,
+        senderId: reaction.senderId,
+        reaction: reaction.reaction,
+        timestamp: reaction.timestamp * 1000,
+      });
+    });
+
+    // Eventos de ingreso y salida de participantes de grupos
+    this.client.on("group_join", (notification) => {
+      this.events.emit(
+        "group_join",
+        this.summarizeGroupNotification(notification)
+      );
+    });
+
+    this.client.on("group_leave", (notification) => {
+      this.events.emit(
+        "group_leave",
+        this.summarizeGroupNotification(notification)
+      );
+    });
+
+    // Evento de llamada entrante
+    this.client.on("call", (call) => {
+      this.events.emit("call", {
+        callId: call.id,
+        from: call.from,
+        fromNumber: PhoneValidator.extractPhoneNumber(call.from),
+        isVideo: call.isVideo,
+        isGroup: call.isGroup,
+        timestamp: call.timestamp * 1000,
+      });
+    });
+
+    // Evento de confirmación de entrega/lectura
+    this.client.on("message_ack", async (message, ack) => {
+      await this.handleMessageAck(message, ack);
+    });
+
     // Evento de desconexión
     this.client.on("disconnected", (reason) => {
       this.isConnected = false;
       this.logger.warn("Bot desconectado:", reason);
+      this.events.emit("disconnected", { reason });
       this.handleDisconnection();
     });
 
     // Evento de cambio de estado
     this.client.on("change_state", (state) => {
       this.logger.info("Estado del bot cambiado:", state);
+      this.events.emit("state_change", { state });
     });
 
     // Evento de carga de mensajes
@@ -152,8 +412,8 @@ class WhatsAppBot {
           : "Sin texto",
       });
 
-      // Obtener información del contacto y chat
-      const contact = await this.getContactInfo(message.from);
+      // Obtener información del remitente (en grupos, el autor) y del chat
+      const contact = await this.getContactInfo(message.author || message.from);
       const chat = await this.getChatInfo(message.from);
 
       // Formatear mensaje para N8N
@@ -164,16 +424,226 @@ class WhatsAppBot {
         return;
       }
 
+      // Palabras clave de baja/alta de envíos
+      const optOut = await this.handleOptOutKeyword(message, formattedMessage);
+      if (optOut) formattedMessage.optOut = optOut;
+
+      // Descargar el archivo adjunto según el modo configurado
+      if (formattedMessage.media) {
+        formattedMessage.media = await this.downloadIncomingMedia(
+          message,
+          formattedMessage.media
+        );
+      }
+
+      // Guardar en el historial y notificar a los suscriptores
+      this.knownChats.add(message.from);
+      this.recordInbound(formattedMessage);
+      this.events.emit("message", formattedMessage);
+      const isFirstMessage = await this.autoResponder.observe(
+        message,
+        formattedMessage
+      );
+
+      // En grupos, opcionalmente solo se procesan menciones y comandos
+      if (!this.shouldForwardGroupMessage(formattedMessage)) {
+        this.logger.debug("Mensaje de grupo ignorado (sin mención ni comando)");
+        return;
+      }
+
+      // Flujos de conversación y comandos de chat: lo que atienden se
+      // responde acá y no va a N8N
+      if (!optOut && (await this.flows.handle(message, formattedMessage))) {
+        return;
+      }
+      if (!optOut && (await this.commands.handle(message, formattedMessage))) {
+        return;
+      }
+
+      // Respuestas automáticas por palabra clave; solo siguen a N8N las
+      // reglas con "forward"
+      const autoReply =
+        !optOut &&
+        (await this.autoResponder.handle(message, formattedMessage, {
+          isFirstMessage,
+        }));
+      if (autoReply) {
+        if (!autoReply.forward) return;
+        formattedMessage.autoReply = {
+          ruleId: autoReply.id,
+          name: autoReply.name,
+        };
+      }
+
+      // Handlers previos al envío (pueden cortar la cadena)
+      const ctx = this.pipeline.createContext(message, formattedMessage);
+      await this.pipeline.run("before", ctx);
+
+      if (ctx.stopped) {
+        this.logger.debug("Mensaje detenido por el pipeline:", {
+          messageId: formattedMessage.messageId,
+          reason: ctx.stopReason,
+        });
+        return;
+      }
+
       // Enviar a webhook N8N
-      await this.sendToN8N(formattedMessage);
+      ctx.n8nResponse = await this.sendToN8N(ctx.data);
 
-      // Agregar a cola de procesamiento si es necesario
-      this.addToMessageQueue(formattedMessage);
+      // Modo respuesta síncrona: enviar al chat lo que devuelva N8N
+      if (config.n8n.replyMode && ctx.n8nResponse) {
+        await this.sendN8NReply(message, ctx.n8nResponse);
+      }
+
+      // Handlers posteriores al envío
+      await this.pipeline.run("after", ctx);
     } catch (error) {
       this.logger.error("Error procesando mensaje entrante:", error);
     }
   }
 
+  /**
+   * Si el mensaje es una palabra clave de baja o alta, actualiza la lista de
+   * opt-out y confirma al remitente. Devuelve "optout", "optin" o null.
+   */
+  async handleOptOutKeyword(message, data) {
+    if (data.isGroupMsg) return null;
+
+    const action = this.optOuts.matchKeyword(data.body);
+    if (!action) return null;
+
+    let reply;
+    if (action === "optout") {
+      this.optOuts.add(data.fromNumber, {
+        source: "keyword",
+        reason: data.body.trim(),
+      });
+      reply = config.optOut.confirmationMessage;
+    } else {
+      if (!this.optOuts.remove(data.fromNumber)) return null;
+      reply = config.optOut.optInMessage;
+    }
+
+    if (reply) {
+      try {
+        await this.sendToChat(message.from, reply);
+      } catch (error) {
+        this.logger.error("Error confirmando opt-out:", error);
+      }
+    }
+    return action;
+  }
+
+  /**
+   * Con GROUP_MENTION_ONLY, los mensajes de grupo solo siguen al pipeline y
+   * a N8N si mencionan al bot o empiezan con el prefijo de comandos
+   */
+  shouldForwardGroupMessage(data) {
+    if (!data.isGroupMsg || !config.groups.mentionOnly) return true;
+    const { prefix } = this.commands;
+    return data.mentionsMe || Boolean(prefix && data.body.startsWith(prefix));
+  }
+
+  /**
+   * Rechaza envíos a números dados de baja, salvo mensajes transaccionales
+   */
+  checkOptOut(to, transactional) {
+    if (transactional) return;
+
+    const number = PhoneValidator.normalizePhoneNumber(to, phoneOptions);
+    if (this.optOuts.has(number)) {
+      const error = new Error(
+        "El número se dio de baja de los envíos (opt-out)"
+      );
+      error.status = 403;
+      error.code = "OPTED_OUT";
+      throw error;
+    }
+  }
+
+  /**
+   * Registra los cambios de ack de los mensajes propios y los notifica
+   * como evento "message_ack"
+   */
+  async handleMessageAck(message, ack) {
+    try {
+      if (!message.fromMe) return;
+
+      const messageId = message.id._serialized;
+      const transition = this.ackTracker.update(messageId, message.to, ack);
+      if (!transition) return;
+
+      this.logger.debug("Estado de entrega actualizado:", {
+        messageId,
+        status: transition.entry.status,
+      });
+
+      this.events.emit("message_ack", {
+        messageId,
+        chatId: message.to,
+        ack,
+        status: transition.entry.status,
+        previousStatus: transition.previousStatus,
+        sentAt: transition.entry.sentAt,
+        updatedAt: transition.entry.updatedAt,
+      });
+    } catch (error) {
+      this.logger.error("Error procesando ack de mensaje:", error);
+    }
+  }
+
+  /**
+   * Obtiene el estado de entrega de un mensaje propio. Si no está en
+   * seguimiento se consulta a WhatsApp.
+   */
+  async getMessageStatus(messageId) {
+    const tracked = this.ackTracker.get(messageId);
+    if (tracked) return tracked;
+
+    if (!this.isConnected) return null;
+
+    const message = await this.client.getMessageById(messageId);
+    if (!message || !message.fromMe) return null;
+
+    return {
+      messageId,
+      chatId: message.to,
+      ack: message.ack,
+      status: getAckStatus(message.ack),
+      sentAt: message.timestamp * 1000,
+      updatedAt: null,
+      history: [],
+    };
+  }
+
+  /**
+   * Resumen de un mensaje para los eventos que no pasan por N8N
+   */
+  summarizeMessage(message) {
+    return {
+      messageId: message.id._serialized,
+      chatId: message.fromMe ? message.to : message.from,
+      from: message.from,
+      to: message.to,
+      author: message.author || null,
+      fromMe: message.fromMe,
+      body: message.body || "",
+      type: message.type,
+      hasMedia: message.hasMedia,
+      timestamp: Math.floor(message.timestamp * 1000),
+    };
+  }
+
+  summarizeGroupNotification(notification) {
+    return {
+      chatId: notification.chatId,
+      author: notification.author || null,
+      recipientIds: notification.recipientIds,
+      type: notification.type,
+      timestamp: notification.timestamp * 1000,
+    };
+  }
+
   /**
    * Obtiene información del contacto
    */
@@ -182,14 +652,14 @@ class WhatsAppBot {
       const contact = await this.client.getContactById(contactId);
       return {
         name: contact.pushname || contact.name || "Desconocido",
-        number: this.toWhatsAppFormat(contactId),
+        number: PhoneValidator.toWhatsAppFormat(contactId, phoneOptions),
         isMyContact: contact.isMyContact || false,
       };
     } catch (error) {
       this.logger.error("Error obteniendo información del contacto:", error);
       return {
         name: "Desconocido",
-        number: this.toWhatsAppFormat(contactId),
+        number: PhoneValidator.toWhatsAppFormat(contactId, phoneOptions),
         isMyContact: false,
       };
     }
@@ -201,10 +671,22 @@ class WhatsAppBot {
   async getChatInfo(chatId) {
     try {
       const chat = await this.client.getChatById(chatId);
-      return {
+      const info = {
         name: chat.name || "Chat privado",
         isGroup: this.isGroup(chatId),
       };
+      if (chat.isGroup) {
+        const participants = chat.participants || [];
+        info.group = {
+          description: chat.description || null,
+          owner: chat.owner ? chat.owner._serialized : null,
+          participantsCount: participants.length,
+          participants: new Map(
+            participants.map((member) => [member.id._serialized, member])
+          ),
+        };
+      }
+      return info;
     } catch (error) {
       this.logger.error("Error obteniendo información del chat:", error);
       return {
@@ -215,107 +697,260 @@ class WhatsAppBot {
   }
 
   /**
-   * Envía mensaje a webhook N8N
+   * Descarga el media de un mensaje entrante. Según MEDIA_DELIVERY_MODE se
+   * incluye en base64 ("inline") o se guarda en disco con URL firmada ("url")
    */
-  async sendToN8N(messageData) {
+  async downloadIncomingMedia(message, mediaInfo) {
+    const { mode, maxSize } = config.media.inbound;
+    if (mode !== "inline" && mode !== "url") return mediaInfo;
+
+    if (mediaInfo.size && mediaInfo.size > maxSize) {
+      return { ...mediaInfo, skipped: "tooLarge" };
+    }
+
     try {
-      const response = await axios.post(config.n8n.webhookUrl, messageData, {
-        timeout: config.n8n.timeout,
-        headers: {
-          "Content-Type": "application/json",
-          "User-Agent": "WhatsApp-Bot-N8N/1.0",
-        },
-      });
+      const media = await message.downloadMedia();
+      if (!media) {
+        return { ...mediaInfo, error: "No se pudo descargar el archivo" };
+      }
 
-      this.logger.info("Mensaje enviado a N8N exitosamente:", {
-        messageId: messageData.messageId,
-        status: response.status,
-      });
+      const info = {
+        mimetype: media.mimetype,
+        filename: media.filename || mediaInfo.filename,
+        size: getBase64Size(media.data),
+      };
 
-      return response.data;
+      if (info.size > maxSize) {
+        return { ...info, skipped: "tooLarge" };
+      }
+
+      if (mode === "inline") {
+        return { ...info, data: media.data };
+      }
+
+      const stored = this.mediaStore.save(media, {
+        messageId: message.id._serialized,
+      });
+      return {
+        ...info,
+        id: stored.id,
+        url: stored.url,
+        expiresAt: stored.expiresAt,
+      };
     } catch (error) {
-      this.logger.error("Error enviando mensaje a N8N:", {
-        messageId: messageData.messageId,
+      this.logger.error("Error descargando media entrante:", {
+        messageId: message.id._serialized,
         error: error.message,
-        status: error.response?.status,
       });
-
-      // Reintentar envío
-      await this.retryWebhookSend(messageData);
+      return { ...mediaInfo, error: error.message };
     }
   }
 
   /**
-   * Reintenta el envío del webhook
+   * Envía mensaje a los webhooks de N8N. Si hay rutas que coinciden con el
+   * mensaje se envía a todas ellas; si no, al webhook por defecto. Las
+   * entregas fallidas quedan en la cola persistente y se reintentan en
+   * segundo plano. Devuelve la respuesta del primer destino que respondió.
    */
-  async retryWebhookSend(messageData, attempt = 1) {
-    try {
-      if (attempt > config.n8n.retryAttempts) {
-        this.logger.error("Máximo de reintentos alcanzado para webhook");
-        return;
-      }
+  async sendToN8N(messageData) {
+    const routes = this.webhookRouter.match(messageData);
+    const targets =
+      routes.length > 0
+        ? routes.map((route) => ({
+            name: route.name,
+            url: route.url,
+            options: {
+              headers: route.headers,
+              timeout: route.timeout,
+              retry: route.retry,
+            },
+          }))
+        : [{ name: "default", url: this.webhookUrl, options: {} }];
+
+    const responses = await Promise.all(
+      targets.map(async (target) => {
+        try {
+          const response = await this.webhookQueue.deliver(
+            target.url,
+            messageData,
+            target.options
+          );
+
+          this.logger.info("Mensaje enviado a N8N exitosamente:", {
+            messageId: messageData.messageId,
+            route: target.name,
+            status: response.status,
+          });
 
-      this.logger.info(
-        `Reintentando envío a N8N (intento ${attempt}/${config.n8n.retryAttempts})`
-      );
+          return response;
+        } catch (error) {
+          this.logger.error("Error enviando mensaje a N8N, se reintentará:", {
+            messageId: messageData.messageId,
+            route: target.name,
+            error: error.message,
+            status: error.response?.status,
+          });
+          return null;
+        }
+      })
+    );
 
-      // Esperar antes de reintentar
-      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+    return responses.find(Boolean)?.data;
+  }
 
-      const response = await axios.post(config.n8n.webhookUrl, messageData, {
-        timeout: config.n8n.timeout,
-        headers: {
-          "Content-Type": "application/json",
-          "User-Agent": "WhatsApp-Bot-N8N/1.0",
-        },
-      });
+  /**
+   * Envía al chat de origen la respuesta devuelta por el nodo
+   * "Respond to Webhook" de N8N: { reply, replies, media, quote }
+   */
+  async sendN8NReply(message, responseData) {
+    const data = Array.isArray(responseData) ? responseData[0] : responseData;
+    if (!data || typeof data !== "object") return;
+
+    const texts = [
+      ...(data.reply ? [data.reply] : []),
+      ...(Array.isArray(data.replies) ? data.replies : []),
+    ].filter((text) => typeof text === "string" && text.length > 0);
+    const mediaList = [].concat(data.media || []);
+
+    if (texts.length === 0 && mediaList.length === 0) return;
+
+    // Solo el primer mensaje cita al original
+    let quoted = Boolean(data.quote);
+    const nextOptions = () => {
+      const options = quoted ? { quotedMessageId: message.id._serialized } : {};
+      quoted = false;
+      return options;
+    };
+
+    try {
+      for (const text of texts) {
+        await this.sendToChat(message.from, text, nextOptions());
+      }
+
+      for (const spec of mediaList) {
+        const media = await this.createMedia(spec);
+        await this.sendToChat(message.from, media, {
+          ...nextOptions(),
+          caption: spec.caption,
+        });
+      }
 
-      this.logger.info("Reenvío a N8N exitoso:", {
-        messageId: messageData.messageId,
-        attempt,
+      this.logger.info("Respuesta de N8N enviada al chat:", {
+        messageId: message.id._serialized,
+        texts: texts.length,
+        media: mediaList.length,
       });
     } catch (error) {
-      this.logger.error(`Error en reintento ${attempt}:`, error.message);
-      await this.retryWebhookSend(messageData, attempt + 1);
+      this.logger.error("Error enviando respuesta de N8N al chat:", error);
     }
   }
 
   /**
-   * Agrega mensaje a la cola de procesamiento
+   * Construye un MessageMedia desde { url }, { data (base64 o data URI),
+   * mimetype, filename } validando tipo y tamaño según la configuración
    */
-  addToMessageQueue(message) {
-    this.messageQueue.push({
-      ...message,
-      timestamp: Date.now(),
-    });
+  async createMedia(spec) {
+    let media;
+
+    if (spec.url) {
+      media = await this.downloadMedia(spec);
+    } else if (spec.data) {
+      const dataUri = parseDataUri(spec.data);
+      const mimetype = spec.mimetype || dataUri?.mimetype;
+      if (!mimetype) {
+        throw createValidationError('El parámetro "mimetype" es requerido');
+      }
+      media = new MessageMedia(
+        mimetype,
+        dataUri ? dataUri.data : spec.data,
+        spec.filename
+      );
+    } else {
+      throw createValidationError(
+        'El media requiere "url" o "data" (base64) con "mimetype"'
+      );
+    }
+
+    if (spec.filename) {
+      media.filename = spec.filename;
+    }
 
-    // Limpiar cola antigua (mantener solo últimos 100 mensajes)
-    if (this.messageQueue.length > 100) {
-      this.messageQueue = this.messageQueue.slice(-100);
+    const validationError = validateMedia(
+      { mimetype: media.mimetype, size: getBase64Size(media.data) },
+      config.security
+    );
+    if (validationError) {
+      throw createValidationError(validationError);
     }
+
+    return media;
   }
 
   /**
-   * Procesa la cola de mensajes
+   * Descarga el media de una URL (http o https, de los dominios permitidos)
+   * cortando la descarga si supera el tamaño máximo o el tiempo configurado
    */
-  async processMessageQueue() {
-    if (this.isProcessingQueue || this.messageQueue.length === 0) {
-      return;
+  async downloadMedia(spec) {
+    const urlError = validateMediaUrl(
+      spec.url,
+      config.media.downloadAllowedHosts
+    );
+    if (urlError) {
+      throw createValidationError(urlError);
     }
 
-    this.isProcessingQueue = true;
-
+    const { maxFileSize } = config.security;
     try {
-      while (this.messageQueue.length > 0) {
-        const message = this.messageQueue.shift();
-        // Aquí se puede agregar lógica adicional de procesamiento
-        this.logger.debug("Procesando mensaje de cola:", message.messageId);
-      }
+      return await MessageMedia.fromUrl(spec.url, {
+        unsafeMime: true,
+        filename: spec.filename,
+        reqOptions: {
+          size: maxFileSize,
+          timeout: config.media.downloadTimeout,
+        },
+      });
     } catch (error) {
-      this.logger.error("Error procesando cola de mensajes:", error);
-    } finally {
-      this.isProcessingQueue = false;
+      if (error.type === "max-size") {
+        throw createValidationError(
+          `El archivo excede el tamaño máximo de ${Math.round(maxFileSize / 1024 / 1024)}MB`
+        );
+      }
+      if (error.type === "request-timeout") {
+        throw createValidationError(
+          `Tiempo agotado descargando el archivo: ${spec.url}`
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Realiza el POST al webhook, firmando el body si hay secreto
+   * configurado. El id de entrega se mantiene entre reintentos.
+   */
+  async postToWebhook(url, messageData, deliveryId, options = {}) {
+    const body = JSON.stringify(messageData);
+    const headers = {
+      ...options.headers,
+      "Content-Type": "application/json",
+      "User-Agent": "WhatsApp-Bot-N8N/1.0",
+    };
+
+    if (config.n8n.webhookSecret) {
+      Object.assign(
+        headers,
+        signWebhookPayload({
+          secret: config.n8n.webhookSecret,
+          body,
+          deliveryId,
+        })
+      );
     }
+
+    return axios.post(url, body, {
+      timeout: options.timeout || config.n8n.timeout,
+      headers,
+    });
   }
 
   /**
@@ -343,33 +978,102 @@ class WhatsAppBot {
   /**
    * Envía un mensaje a un número específico
    */
-  async sendMessage(to, text) {
+  async sendMessage(to, text, { transactional, quotedMessageId } = {}) {
+    // Validar número de teléfono
+    if (!PhoneValidator.isValidPhoneNumber(to, phoneOptions)) {
+      this.logger.error("Error enviando mensaje: número inválido", { to });
+      throw new Error("Número de teléfono inválido");
+    }
+    this.checkOptOut(to, transactional);
+
+    // Formatear número para WhatsApp
+    return this.sendToChat(
+      PhoneValidator.toWhatsAppFormat(to, phoneOptions),
+      text,
+      quotedMessageId ? { quotedMessageId } : {}
+    );
+  }
+
+  /**
+   * Consulta qué números tienen WhatsApp. Los inválidos no se consultan.
+   */
+  async checkNumbers(numbers) {
+    if (!this.isConnected) {
+      throw new Error("Bot no está conectado");
+    }
+
+    const validation = PhoneValidator.validatePhoneNumbers(
+      numbers,
+      phoneOptions
+    );
+    const checks = await this.numberChecker.checkMany(
+      validation.validNumbers.map((entry) => entry.normalized)
+    );
+
+    const registered = [];
+    const unregistered = [];
+    const failed = [];
+    validation.validNumbers.forEach((entry, i) => {
+      const check = {
+        original: entry.original,
+        index: entry.index,
+        ...checks[i],
+      };
+      if (check.registered) registered.push(check);
+      else if (check.registered === false) unregistered.push(check);
+      else failed.push(check);
+    });
+
+    return {
+      total: numbers.length,
+      registeredCount: registered.length,
+      unregisteredCount: unregistered.length,
+      invalidCount: validation.invalidNumbers.length,
+      failedCount: failed.length,
+      registered,
+      unregistered,
+      invalid: validation.invalidNumbers,
+      failed,
+    };
+  }
+
+  /**
+   * Envía contenido a un chat por su id de WhatsApp (privado o grupo)
+   */
+  async sendToChat(chatId, content, options = {}) {
     try {
       if (!this.isConnected) {
         throw new Error("Bot no está conectado");
       }
 
-      // Validar número de teléfono
-      if (!this.isValidPhoneNumber(to)) {
-        throw new Error("Número de teléfono inválido");
-      }
-
-      // Formatear número para WhatsApp
-      const whatsappNumber = this.toWhatsAppFormat(to);
-
       // Validar longitud del mensaje
-      if (text.length > config.security.messageMaxLength) {
+      if (
+        typeof content === "string" &&
+        content.length > config.security.messageMaxLength
+      ) {
         throw new Error("Mensaje demasiado largo");
       }
 
-      // Enviar mensaje
-      const response = await this.client.sendMessage(whatsappNumber, text);
+      // Enviar mensaje respetando los límites de envío
+      const response = await this.throttler.schedule(
+        chatId,
+        async () => {
+          if (config.throttle.typing && typeof content === "string") {
+            await this.simulateTyping(chatId, content);
+          }
+          return this.client.sendMessage(chatId, content, options);
+        },
+        { unknownContact: await this.isUnknownContact(chatId) }
+      );
 
       this.logger.info("Mensaje enviado exitosamente:", {
-        to: whatsappNumber,
+        to: chatId,
         messageId: response.id._serialized,
       });
 
+      this.recordOutbound(chatId, content, options, response);
+      this.ackTracker.track(response.id._serialized, chatId, response.ack);
+
       return {
         success: true,
         messageId: response.id._serialized,
@@ -381,14 +1085,153 @@ class WhatsAppBot {
     }
   }
 
+  /**
+   * Muestra "escribiendo..." durante un tiempo proporcional al texto
+   */
+  async simulateTyping(chatId, text) {
+    try {
+      const chat = await this.client.getChatById(chatId);
+      await chat.sendStateTyping();
+      await new Promise((resolve) =>
+        setTimeout(
+          resolve,
+          Math.min(
+            text.length * config.throttle.typingMsPerChar,
+            config.throttle.typingMaxDelay
+          )
+        )
+      );
+      await chat.clearState();
+    } catch (error) {
+      this.logger.debug("No se pudo simular escritura:", error.message);
+    }
+  }
+
+  /**
+   * Un chat privado es desconocido si no está en los contactos y no nos
+   * escribió desde que inició el bot
+   */
+  async isUnknownContact(chatId) {
+    if (!config.throttle.enabled || !config.throttle.unknownDailyCap) {
+      return false;
+    }
+    if (!this.isPrivateChat(chatId) || this.knownChats.has(chatId)) {
+      return false;
+    }
+
+    try {
+      const contact = await this.client.getContactById(chatId);
+      return !contact.isMyContact;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Registra un mensaje entrante ya formateado en el historial
+   */
+  recordInbound(data) {
+    if (!this.messageStore) return;
+
+    this.messageStore.record({
+      id: data.messageId,
+      direction: "inbound",
+      chatId: data.from,
+      from: data.from,
+      fromNumber: data.fromNumber,
+      to: data.to,
+      body: data.body,
+      type: data.type,
+      timestamp: data.timestamp,
+      hasMedia: Boolean(data.metadata?.hasMedia),
+      media: data.media
+        ? {
+            mimetype: data.media.mimetype,
+            filename: data.media.filename,
+            id: data.media.id,
+          }
+        : null,
+      contactName: data.contact?.name,
+      isGroup: data.isGroupMsg,
+      quotedMessageId: data.metadata?.quotedMessage?.id || null,
+    });
+  }
+
+  /**
+   * Registra un mensaje saliente en el historial
+   */
+  recordOutbound(chatId, content, options, response) {
+    if (!this.messageStore) return;
+
+    const isText = typeof content === "string";
+    const ownId = this.client.info?.wid?._serialized || null;
+
+    this.messageStore.record({
+      id: response.id._serialized,
+      direction: "outbound",
+      chatId,
+      from: ownId,
+      fromNumber: ownId ? PhoneValidator.extractPhoneNumber(ownId) : null,
+      to: chatId,
+      body: isText ? content : options.caption || "",
+      type: isText ? "chat" : getMediaCategory(content.mimetype),
+      timestamp: Date.now(),
+      hasMedia: !isText,
+      media: isText
+        ? null
+        : { mimetype: content.mimetype, filename: content.filename || null },
+      isGroup: this.isGroup(chatId),
+      quotedMessageId: options.quotedMessageId || null,
+    });
+  }
+
+  /**
+   * Envía un archivo multimedia a un número. Opciones: caption,
+   * asVoice (audio como nota de voz) y asDocument (forzar documento)
+   */
+  async sendMedia(
+    to,
+    spec,
+    { caption, asVoice, asDocument, transactional } = {}
+  ) {
+    if (!PhoneValidator.isValidPhoneNumber(to, phoneOptions)) {
+      throw createValidationError("Número de teléfono inválido");
+    }
+    this.checkOptOut(to, transactional);
+
+    const media = await this.createMedia(spec);
+    const category = getMediaCategory(media.mimetype);
+
+    const result = await this.sendToChat(
+      PhoneValidator.toWhatsAppFormat(to, phoneOptions),
+      media,
+      {
+        caption,
+        sendAudioAsVoice: Boolean(asVoice) && category === "audio",
+        sendMediaAsDocument: Boolean(asDocument) || category === "document",
+      }
+    );
+
+    return { ...result, mimetype: media.mimetype, category };
+  }
+
   /**
    * Obtiene el estado del bot
    */
   getStatus() {
     return {
+      sessionId: this.sessionId,
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
-      messageQueueLength: this.messageQueue.length,
+      pipelineHandlers: this.pipeline.list(),
+      eventSubscriptions: this.events.list(),
+      webhookQueue: this.webhookQueue.getStats(),
+      numberCheckCache: this.numberChecker.getStats(),
+      activeCampaigns: this.campaigns
+        .list()
+        .filter((campaign) => campaign.status === "running").length,
+      activeSchedules: this.scheduler.list({ status: "active" }).length,
+      sendLimits: this.throttler.getStats(),
       timestamp: Date.now(),
     };
   }
@@ -400,6 +1243,13 @@ class WhatsAppBot {
     try {
       this.logger.info("Cerrando bot de WhatsApp...");
 
+      this.webhookQueue.stop();
+      this.campaigns.stop();
+      this.scheduler.stop();
+      this.flows.stop();
+      this.mediaStore.stop();
+      this.ackTracker.flush();
+
       if (this.client) {
         await this.client.destroy();
       }
@@ -447,26 +1297,63 @@ class WhatsAppBot {
     }
   }
 
+  /**
+   * Arma el payload para N8N. En grupos "from" es el id del grupo y el
+   * remitente real va en "author", "fromNumber" y "contact".
+   */
   formatMessageForN8N(message, contact, chat) {
     try {
+      const isGroupMsg = message.from.includes("@g.us");
+      const sender = (isGroupMsg && message.author) || message.from;
+      const senderNumber = PhoneValidator.extractPhoneNumber(sender);
+      const mentionedIds = (message.mentionedIds || []).map((id) =>
+        typeof id === "object" ? id._serialized : id
+      );
+      const ownId = this.client?.info?.wid?._serialized;
+      const members = chat?.group?.participants;
+      const authorMember = isGroupMsg && members ? members.get(sender) : null;
+      const ownMember = isGroupMsg && members ? members.get(ownId) : null;
+
       return {
         messageId: message.id._serialized,
+        sessionId: this.sessionId,
         from: message.from,
-        fromNumber: this.extractPhoneNumber(message.from),
+        fromNumber: senderNumber,
         to: message.to,
         body: message.body || "",
         type: message.type,
         timestamp: Math.floor(message.timestamp * 1000),
-        isGroupMsg: message.from.includes("@g.us"),
+        isGroupMsg,
+        author: isGroupMsg
+          ? {
+              id: sender,
+              number: senderNumber,
+              name: contact?.name || "Desconocido",
+              isAdmin: Boolean(authorMember?.isAdmin),
+              isSuperAdmin: Boolean(authorMember?.isSuperAdmin),
+            }
+          : null,
+        mentionedIds,
+        mentionsMe: Boolean(ownId) && mentionedIds.includes(ownId),
         contact: {
           name: contact?.name || "Desconocido",
-          number: this.extractPhoneNumber(message.from),
+          number: senderNumber,
           isMyContact: contact?.isMyContact || false,
         },
         chat: {
           name: chat?.name || "Chat privado",
           isGroup: chat?.isGroup || false,
         },
+        group: isGroupMsg
+          ? {
+              id: message.from,
+              name: chat?.name || null,
+              description: chat?.group?.description || null,
+              owner: chat?.group?.owner || null,
+              participantsCount: chat?.group?.participantsCount ?? null,
+              isAdmin: Boolean(ownMember?.isAdmin),
+            }
+          : null,
         metadata: {
           hasMedia: message.hasMedia,
           mediaType: message.type,
@@ -479,9 +1366,9 @@ class WhatsAppBot {
         },
         ...(message.hasMedia && {
           media: {
-            mimetype: message.mimetype,
-            filename: message.filename,
-            size: message.size,
+            mimetype: message._data?.mimetype || null,
+            filename: message._data?.filename || null,
+            size: message._data?.size || null,
           },
         }),
       };
@@ -491,42 +1378,6 @@ class WhatsAppBot {
     }
   }
 
-  extractPhoneNumber(whatsappId) {
-    if (!whatsappId) return "";
-    let number = whatsappId.replace("@c.us", "").replace("@g.us", "");
-    if (!number.startsWith("54") && !number.startsWith("+54")) {
-      number = "54" + number;
-    }
-    return number.replace("+", "");
-  }
-
-  toWhatsAppFormat(number) {
-    try {
-      if (!number) return "";
-      let cleanNumber = number.replace(/\D/g, "");
-      if (!cleanNumber.startsWith("54")) {
-        cleanNumber = "54" + cleanNumber;
-      }
-      return cleanNumber + "@c.us";
-    } catch (error) {
-      this.logger.error("Error convirtiendo número a formato WhatsApp:", error);
-      return number;
-    }
-  }
-
-  isValidPhoneNumber(number) {
-    try {
-      if (!number || typeof number !== "string") {
-        return false;
-      }
-      const cleanNumber = number.replace(/\D/g, "");
-      return config.validation.phoneNumberPattern.test(cleanNumber);
-    } catch (error) {
-      this.logger.error("Error validando número de teléfono:", error);
-      return false;
-    }
-  }
-
   isGroup(chatId) {
     try {
       return chatId && chatId.includes("@g.us");
@@ -544,95 +1395,15 @@ class WhatsAppBot {
       return false;
     }
   }
+}
 
-  validatePhoneNumbers(phoneNumbers) {
-    try {
-      if (!Array.isArray(phoneNumbers)) {
-        return {
-          valid: false,
-          error: "El parámetro debe ser un array",
-          validNumbers: [],
-          invalidNumbers: [],
-        };
-      }
-
-      const validNumbers = [];
-      const invalidNumbers = [];
-
-      phoneNumbers.forEach((number, index) => {
-        if (this.isValidPhoneNumber(number)) {
-          validNumbers.push({
-            original: number,
-            normalized: this.normalizePhoneNumber(number),
-            index,
-          });
-        } else {
-          invalidNumbers.push({
-            original: number,
-            index,
-            error: "Número inválido",
-          });
-        }
-      });
-
-      return {
-        valid: invalidNumbers.length === 0,
-        total: phoneNumbers.length,
-        validCount: validNumbers.length,
-        invalidCount: invalidNumbers.length,
-        validNumbers,
-        invalidNumbers,
-      };
-    } catch (error) {
-      this.logger.error("Error validando números de teléfono:", error);
-      return {
-        valid: false,
-        error: error.message,
-        validNumbers: [],
-        invalidNumbers: [],
-      };
-    }
-  }
-
-  normalizePhoneNumber(phoneNumber) {
-    try {
-      if (!phoneNumber) return "";
-      let cleanNumber = phoneNumber.replace(/\D/g, "");
-      if (cleanNumber.startsWith("54")) {
-        return cleanNumber;
-      }
-      if (cleanNumber.length === 10 && cleanNumber.startsWith("9")) {
-        cleanNumber = "54" + cleanNumber;
-      } else if (cleanNumber.length === 8) {
-        cleanNumber = "549" + cleanNumber;
-      } else if (cleanNumber.length === 11 && cleanNumber.startsWith("9")) {
-        cleanNumber = "54" + cleanNumber;
-      } else if (cleanNumber.length === 9 && cleanNumber.startsWith("1")) {
-        cleanNumber = "549" + cleanNumber;
-      }
-      return cleanNumber;
-    } catch (error) {
-      this.logger.error("Error normalizando número de teléfono:", error);
-      return phoneNumber;
-    }
-  }
-
-  formatForDisplay(phoneNumber) {
-    try {
-      const normalized = this.normalizePhoneNumber(phoneNumber);
-      if (normalized.length === 12 && normalized.startsWith("54")) {
-        const areaCode = normalized.substring(2, 4);
-        const prefix = normalized.substring(4, 6);
-        const firstPart = normalized.substring(6, 10);
-        const secondPart = normalized.substring(10, 12);
-        return `+54 ${areaCode} ${prefix} ${firstPart}-${secondPart}`;
-      }
-      return normalized;
-    } catch (error) {
-      this.logger.error("Error formateando número para mostrar:", error);
-      return phoneNumber;
-    }
-  }
+/**
+ * Error de validación de entrada (se responde con 400 en la API)
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
 }
 
 // Exportar la clase
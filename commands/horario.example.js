@@ -0,0 +1,34 @@
+/**
+ * Ejemplo de comando de chat. Copialo como commands/horario.js para
+ * activarlo (los archivos *.example.js no se cargan).
+ *
+ * Uso: !horario [día]
+ */
+const HORARIOS = {
+  lunes: "9:00 a 18:00",
+  martes: "9:00 a 18:00",
+  miercoles: "9:00 a 18:00",
+  jueves: "9:00 a 18:00",
+  viernes: "9:00 a 18:00",
+  sabado: "9:00 a 13:00",
+  domingo: "cerrado",
+};
+
+module.exports = {
+  name: "horario",
+  aliases: ["horarios"],
+  description: "Horario de atención",
+  args: [{ name: "dia", choices: Object.keys(HORARIOS) }],
+  cooldown: 10 * 1000,
+  handle: async (ctx) => {
+    const { dia } = ctx.args;
+    if (dia) {
+      return ctx.reply(`Horario del ${dia}: ${HORARIOS[dia.toLowerCase()]}`);
+    }
+
+    const lines = Object.entries(HORARIOS).map(
+      ([day, hours]) => `${day}: ${hours}`
+    );
+    return ctx.reply(`*Horario de atención*\n${lines.join("\n")}`);
+  },
+};
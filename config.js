@@ -1,4 +1,14 @@
 require("dotenv").config();
+const PhoneValidator = require("./utils/phoneValidator");
+
+/**
+ * Entero de una variable de entorno. Vacía o no numérica toma el valor por
+ * defecto; a diferencia de `parseInt(x) || valor`, admite 0
+ */
+function intFromEnv(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
 
 /**
  * Configuración centralizada del sistema de bot de WhatsApp
@@ -11,6 +21,21 @@ const config = {
       "https://primary-production-87c85.up.railway.app/webhook-test/1a8d1893-2662-4e43-af10-14f2d2fffa2d",
     timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
     retryAttempts: parseInt(process.env.WEBHOOK_RETRY_ATTEMPTS) || 3,
+    // Secreto compartido para firmar los webhooks (HMAC-SHA256). Vacío = sin firma
+    webhookSecret: process.env.N8N_WEBHOOK_SECRET || "",
+    // Enviar al chat la respuesta del webhook ({ reply, replies, media, quote })
+    replyMode: process.env.N8N_REPLY_MODE === "true",
+    // Tabla de ruteo a múltiples webhooks (editable vía /webhook-routes)
+    routesFile: process.env.WEBHOOK_ROUTES_FILE || "./webhook-routes.json",
+    // Cola persistente de entregas (backoff exponencial con jitter)
+    queue: {
+      filePath: process.env.WEBHOOK_QUEUE_FILE || "./data/webhook-queue.json",
+      baseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 5000,
+      maxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 900000,
+      pollInterval: 1000,
+      // Entregas fallidas que se conservan en la dead-letter
+      maxDeadLetters: parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX) || 500,
+    },
   },
 
   // Configuración del Servidor
@@ -20,9 +45,15 @@ const config = {
   },
 
   // Configuración Regional
+  // Región para números sin código de país (AR, UY, CL o ES). Los números
+  // de otros países solo se aceptan con "+" o "00" y código de país.
+  // COUNTRY_CODE (obsoleta) se sigue aceptando si no hay DEFAULT_COUNTRY.
   regional: {
-    countryCode: process.env.COUNTRY_CODE || "54",
-    defaultCountry: "AR",
+    defaultCountry: (
+      process.env.DEFAULT_COUNTRY ||
+      PhoneValidator.getRegionByCountryCode(process.env.COUNTRY_CODE) ||
+      "AR"
+    ).toUpperCase(),
   },
 
   // Configuración de Logs
@@ -47,6 +78,12 @@ const config = {
     },
   },
 
+  // Sesiones adicionales (varios números en un mismo servidor)
+  sessions: {
+    filePath: process.env.SESSIONS_FILE || "./data/sessions.json",
+    dataDir: process.env.SESSIONS_DATA_DIR || "./data/sessions",
+  },
+
   // Configuración de Seguridad
   security: {
     rateLimit: {
@@ -56,6 +93,193 @@ const config = {
     messageMaxLength: parseInt(process.env.MESSAGE_MAX_LENGTH) || 4096,
     allowedFileTypes: ["image", "audio", "document", "video"],
     maxFileSize: 16 * 1024 * 1024, // 16MB
+    auth: {
+      enabled: process.env.AUTH_ENABLED !== "false",
+      // Formato: nombre:key:scope1|scope2,nombre2:key2:scope
+      apiKeys: process.env.API_KEYS || "",
+      keysFile: process.env.API_KEYS_FILE || "",
+    },
+  },
+
+  // Media entrante reenviado a N8N
+  media: {
+    inbound: {
+      // none: solo metadatos | inline: base64 en el webhook | url: URL firmada
+      mode: process.env.MEDIA_DELIVERY_MODE || "none",
+      maxSize: parseInt(process.env.MEDIA_INBOUND_MAX_SIZE) || 16 * 1024 * 1024,
+      storageDir: process.env.MEDIA_STORAGE_DIR || "./data/media",
+      urlSecret: process.env.MEDIA_URL_SECRET || "",
+      urlTtl: parseInt(process.env.MEDIA_URL_TTL) || 24 * 60 * 60 * 1000,
+      retention: parseInt(process.env.MEDIA_RETENTION) || 72 * 60 * 60 * 1000,
+      cleanupInterval: 60 * 60 * 1000,
+      publicBaseUrl:
+        process.env.PUBLIC_BASE_URL ||
+        `http://localhost:${parseInt(process.env.PORT) || 3000}`,
+    },
+    // Tiempo máximo (ms) para descargar el media saliente indicado por URL
+    downloadTimeout: parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT) || 30000,
+    // Dominios desde los que se puede descargar ese media (y sus subdominios).
+    // Vacía = cualquiera: el servidor hace la petición, así que quien tenga
+    // permiso "send" puede hacerle pedir URLs de la red interna
+    downloadAllowedHosts: (process.env.MEDIA_DOWNLOAD_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  // Historial de mensajes
+  history: {
+    enabled: process.env.MESSAGE_HISTORY_ENABLED !== "false",
+    filePath: process.env.MESSAGE_HISTORY_FILE || "./data/messages.ndjson",
+    maxMessages: parseInt(process.env.MESSAGE_HISTORY_MAX) || 50000,
+  },
+
+  // Confirmaciones de entrega y lectura (acks)
+  acks: {
+    filePath: process.env.ACK_STORE_FILE || "./data/acks.json",
+    maxEntries: parseInt(process.env.ACK_STORE_MAX) || 10000,
+    forwardToN8N: process.env.ACK_WEBHOOK_ENABLED === "true",
+    // Vacío = se usa N8N_WEBHOOK_URL
+    webhookUrl: process.env.ACK_WEBHOOK_URL || "",
+  },
+
+  // Suscripciones a eventos de WhatsApp ({ event, version, timestamp, data })
+  events: {
+    subscriptionsFile: process.env.EVENT_SUBSCRIPTIONS_FILE || "./events.json",
+    webhookUrl: process.env.EVENT_WEBHOOK_URL || "",
+    types: (process.env.EVENT_TYPES || "").split(",").filter(Boolean),
+  },
+
+  // Consulta de números registrados en WhatsApp (/check-numbers)
+  numberCheck: {
+    ttl: parseInt(process.env.NUMBER_CHECK_TTL) || 24 * 60 * 60 * 1000,
+    maxNumbers: parseInt(process.env.NUMBER_CHECK_MAX) || 100,
+    // Descartar en /send-bulk los números sin WhatsApp antes de enviar
+    bulkPrefilter: process.env.BULK_CHECK_NUMBERS === "true",
+  },
+
+  // Límites de envío (anti-ban): todos los envíos pasan por una cola central
+  throttle: {
+    enabled: process.env.SEND_THROTTLE_ENABLED !== "false",
+    perMinute: parseInt(process.env.SEND_MAX_PER_MINUTE) || 20,
+    perChatPerMinute: parseInt(process.env.SEND_MAX_PER_CHAT_PER_MINUTE) || 6,
+    // Pausa aleatoria entre envíos (ms); 0 = sin pausa
+    minDelay: intFromEnv("SEND_MIN_DELAY", 1000),
+    maxDelay: intFromEnv("SEND_MAX_DELAY", 3000),
+    // Mostrar "escribiendo..." antes de cada mensaje de texto
+    typing: process.env.SEND_SIMULATE_TYPING === "true",
+    typingMsPerChar: 40,
+    typingMaxDelay: 4000,
+    // Chats nuevos (no contactos) por día; 0 = sin límite (vacía = 50)
+    unknownDailyCap: parseInt(process.env.SEND_UNKNOWN_DAILY_CAP || 50) || 0,
+    maxQueue: parseInt(process.env.SEND_MAX_QUEUE) || 1000,
+  },
+
+  // Campañas de envío masivo en segundo plano (/send-bulk)
+  campaigns: {
+    filePath: process.env.CAMPAIGNS_FILE || "./data/campaigns.json",
+    // Campañas terminadas que se conservan para consulta
+    maxCampaigns: parseInt(process.env.CAMPAIGNS_MAX) || 100,
+  },
+
+  // Plantillas de mensajes con variables (/templates)
+  templates: {
+    filePath: process.env.TEMPLATES_FILE || "./data/templates.json",
+  },
+
+  // Envíos programados y recurrentes (/schedules)
+  scheduler: {
+    filePath: process.env.SCHEDULES_FILE || "./data/schedules.json",
+    // Zona horaria por defecto de las expresiones cron
+    timezone:
+      process.env.SCHEDULER_TIMEZONE ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+    pollInterval: 1000,
+    // Atraso máximo (bot desconectado) antes de dar un envío por vencido
+    maxLateness:
+      parseInt(process.env.SCHEDULER_MAX_LATENESS) || 6 * 60 * 60 * 1000,
+  },
+
+  // Lista de opt-out: palabras clave (mensaje completo) para baja y alta
+  optOut: {
+    filePath: process.env.OPT_OUT_FILE || "./data/opt-outs.json",
+    keywords: (
+      process.env.OPT_OUT_KEYWORDS ||
+      "BAJA,STOP,UNSUBSCRIBE,DESUSCRIBIR,DARME DE BAJA"
+    ).split(","),
+    optInKeywords: (
+      process.env.OPT_IN_KEYWORDS || "ALTA,START,SUBSCRIBE,SUSCRIBIR"
+    ).split(","),
+    // Vacío = no se responde
+    confirmationMessage:
+      process.env.OPT_OUT_CONFIRMATION ??
+      "Listo, no vas a recibir más mensajes. Escribí ALTA para volver a suscribirte.",
+    optInMessage:
+      process.env.OPT_IN_CONFIRMATION ??
+      "¡Listo! Vas a volver a recibir nuestros mensajes.",
+  },
+
+  // Mensajes de grupos: solo procesar los que mencionan al bot o son comandos
+  groups: {
+    mentionOnly: process.env.GROUP_MENTION_ONLY === "true",
+  },
+
+  // Comandos de chat (mensajes que empiezan con el prefijo)
+  commands: {
+    enabled: process.env.COMMANDS_ENABLED !== "false",
+    prefix: process.env.COMMAND_PREFIX ?? "!",
+    // Módulos de comandos propios (ver commands/horario.example.js)
+    dir: process.env.COMMANDS_DIR || "./commands",
+    // Números habilitados para los comandos adminOnly
+    admins: (process.env.COMMAND_ADMINS || "")
+      .split(",")
+      .map((number) => number.trim())
+      .filter(Boolean),
+  },
+
+  // Flujos de conversación de varios pasos (ver flows/*.example.yaml)
+  flows: {
+    dir: process.env.FLOWS_DIR || "./flows",
+    filePath: process.env.FLOWS_STATE_FILE || "./data/flow-sessions.json",
+    // Tiempo sin respuesta (ms) antes de abandonar el flujo
+    timeout: parseInt(process.env.FLOW_TIMEOUT) || 30 * 60 * 1000,
+    sweepInterval: 30 * 1000,
+    cancelKeywords: (process.env.FLOW_CANCEL_KEYWORDS || "CANCELAR,SALIR")
+      .split(",")
+      .map((keyword) => keyword.trim()),
+    cancelMessage:
+      process.env.FLOW_CANCEL_MESSAGE ?? "Listo, cancelamos la conversación.",
+    timeoutMessage:
+      process.env.FLOW_TIMEOUT_MESSAGE ??
+      "La conversación se cerró por falta de respuesta. Podés empezar de nuevo cuando quieras.",
+    // Destino de las respuestas al completar un flujo (vacío = webhook de N8N)
+    webhookUrl: process.env.FLOWS_WEBHOOK_URL || "",
+  },
+
+  // Respuestas automáticas por palabra clave (reglas editables por API)
+  autoReply: {
+    filePath: process.env.AUTO_REPLIES_FILE || "./data/auto-replies.json",
+    // Enfriamiento por defecto (ms) entre respuestas de una regla a un chat
+    cooldown: parseInt(process.env.AUTO_REPLY_COOLDOWN) || 60 * 1000,
+    // Silencio (ms) tras el cual un mensaje cuenta como inicio de conversación
+    conversationGap:
+      parseInt(process.env.AUTO_REPLY_CONVERSATION_GAP) || 12 * 60 * 60 * 1000,
+    reloadInterval: 2000,
+  },
+
+  // Horario de atención (reglas "outsideHours")
+  businessHours: {
+    schedule:
+      process.env.BUSINESS_HOURS || "lun-vie 09:00-18:00; sab 09:00-13:00",
+    timezone:
+      process.env.BUSINESS_TIMEZONE ||
+      process.env.SCHEDULER_TIMEZONE ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+  },
+
+  // Pipeline de mensajes entrantes
+  pipeline: {
+    configFile: process.env.PIPELINE_CONFIG || "./pipeline.json",
   },
 
   // Configuración de Reconexión
@@ -76,7 +300,6 @@ const config = {
 
   // Configuración de Validación
   validation: {
-    phoneNumberPattern: /^(\+?54)?9?1[1-9]\d{6,9}$/,
     messageTypes: [
       "chat",
       "image",
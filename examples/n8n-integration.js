@@ -54,260 +54,52 @@ function processCustomerService() {
 }
 
 // ============================================================================
-// EJEMPLO 2: SISTEMA DE ENCUESTAS
+// EJEMPLOS 2 Y 3: ENCUESTAS Y RESERVAS (FLUJOS DE CONVERSACIÓN)
 // ============================================================================
 
-function processSurvey() {
-  const message = $json.body;
-  const fromNumber = $json.fromNumber;
-  const contactName = $json.contact.name;
-
-  // Estado de la encuesta (en producción, esto vendría de una base de datos)
-  const surveyState = getSurveyState(fromNumber);
-
-  if (!surveyState) {
-    // Iniciar nueva encuesta
-    const welcomeMessage = `Hola ${contactName}, gracias por participar en nuestra encuesta.
-    
-¿Qué tan satisfecho estás con nuestro servicio?
-1 - Muy insatisfecho
-2 - Insatisfecho  
-3 - Neutral
-4 - Satisfecho
-5 - Muy satisfecho`;
-
-    setSurveyState(fromNumber, { step: "satisfaction", responses: {} });
-
-    return {
-      to: fromNumber,
-      message: welcomeMessage,
-      surveyStep: "satisfaction",
-    };
-  }
-
-  // Procesar respuesta según el paso actual
-  switch (surveyState.step) {
-    case "satisfaction":
-      if (message.match(/^[1-5]$/)) {
-        surveyState.responses.satisfaction = parseInt(message);
-        surveyState.step = "recommendation";
-
-        const nextQuestion = `Gracias. ¿Recomendarías nuestro servicio a un amigo?
-1 - Definitivamente no
-2 - Probablemente no
-3 - Tal vez
-4 - Probablemente sí
-5 - Definitivamente sí`;
-
-        setSurveyState(fromNumber, surveyState);
-
-        return {
-          to: fromNumber,
-          message: nextQuestion,
-          surveyStep: "recommendation",
-        };
-      }
-      break;
-
-    case "recommendation":
-      if (message.match(/^[1-5]$/)) {
-        surveyState.responses.recommendation = parseInt(message);
-        surveyState.step = "comments";
-
-        const finalQuestion = `Excelente. ¿Tienes algún comentario adicional sobre nuestro servicio?`;
-
-        setSurveyState(fromNumber, surveyState);
-
-        return {
-          to: fromNumber,
-          message: finalQuestion,
-          surveyStep: "comments",
-        };
-      }
-      break;
-
-    case "comments":
-      surveyState.responses.comments = message;
-      surveyState.completed = true;
-
-      // Guardar encuesta completada
-      saveSurveyResults(fromNumber, surveyState.responses);
-
-      const thankYouMessage = `¡Gracias ${contactName} por completar nuestra encuesta!
-      
-Tus respuestas nos ayudarán a mejorar nuestro servicio.
-¡Que tengas un excelente día!`;
+/**
+ * Las conversaciones de varios pasos las maneja el bot con el motor de
+ * flujos: las preguntas, validaciones y el estado de cada chat se definen en
+ * flows/encuesta.example.yaml y flows/reserva.example.yaml (copiarlos sin
+ * ".example" para activarlos). N8N solo recibe el resultado final:
+ *
+ * {
+ *   "event": "flow_completed",
+ *   "flow": "reserva",
+ *   "runId": "...",
+ *   "fromNumber": "5491123456789",
+ *   "contact": { "name": "Ana" },
+ *   "answers": { "fecha": "2025-12-20", "hora": "13:00", "personas": 4 },
+ *   "inputs": { "fecha": "20/12/2025", "hora": "13:00", "personas": "4" }
+ * }
+ *
+ * Una encuesta también puede iniciarse desde N8N con
+ * POST /flows/encuesta/start { "to": "5491123456789" }
+ */
 
-      clearSurveyState(fromNumber);
+function processFlowCompleted() {
+  const { flow, fromNumber, contact, answers, runId } = $json;
 
-      return {
-        to: fromNumber,
-        message: thankYouMessage,
-        surveyCompleted: true,
-        results: surveyState.responses,
-      };
+  if (flow === "encuesta") {
+    saveSurveyResults(fromNumber, answers);
+    return { saved: true };
   }
 
-  // Respuesta por defecto si no coincide con el formato esperado
-  return {
-    to: fromNumber,
-    message: "Por favor, responde con un número del 1 al 5.",
-    surveyStep: surveyState.step,
-  };
-}
-
-// ============================================================================
-// EJEMPLO 3: SISTEMA DE RESERVAS
-// ============================================================================
-
-function processReservation() {
-  const message = $json.body;
-  const fromNumber = $json.fromNumber;
-  const contactName = $json.contact.name;
-
-  const reservationState = getReservationState(fromNumber);
-
-  if (!reservationState) {
-    // Iniciar proceso de reserva
-    const welcomeMessage = `Hola ${contactName}, te ayudo a hacer tu reserva.
-    
-¿Para qué fecha te gustaría reservar? (formato: DD/MM/YYYY)`;
-
-    setReservationState(fromNumber, { step: "date", data: {} });
+  if (flow === "reserva") {
+    const reservationId = saveReservation(fromNumber, { runId, ...answers });
 
     return {
       to: fromNumber,
-      message: welcomeMessage,
-      reservationStep: "date",
-    };
-  }
-
-  switch (reservationState.step) {
-    case "date":
-      // Validar formato de fecha
-      const dateMatch = message.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-      if (dateMatch) {
-        const [, day, month, year] = dateMatch;
-        const date = new Date(year, month - 1, day);
-
-        if (date > new Date()) {
-          reservationState.data.date = date;
-          reservationState.step = "time";
-
-          const timeQuestion = `Perfecto. ¿A qué hora te gustaría reservar?
-Opciones disponibles:
-- 12:00
-- 13:00
-- 14:00
-- 15:00
-- 16:00`;
-
-          setReservationState(fromNumber, reservationState);
-
-          return {
-            to: fromNumber,
-            message: timeQuestion,
-            reservationStep: "time",
-          };
-        } else {
-          return {
-            to: fromNumber,
-            message:
-              "La fecha debe ser futura. Por favor, ingresa una fecha válida (DD/MM/YYYY).",
-            reservationStep: "date",
-          };
-        }
-      } else {
-        return {
-          to: fromNumber,
-          message: "Por favor, ingresa la fecha en formato DD/MM/YYYY.",
-          reservationStep: "date",
-        };
-      }
-      break;
-
-    case "time":
-      const timeMatch = message.match(/^(\d{1,2}):(\d{2})$/);
-      if (timeMatch) {
-        const [, hour, minute] = timeMatch;
-        const time = `${hour}:${minute}`;
-
-        if (["12:00", "13:00", "14:00", "15:00", "16:00"].includes(time)) {
-          reservationState.data.time = time;
-          reservationState.step = "guests";
-
-          const guestsQuestion = `Excelente. ¿Cuántas personas serán?`;
-
-          setReservationState(fromNumber, reservationState);
-
-          return {
-            to: fromNumber,
-            message: guestsQuestion,
-            reservationStep: "guests",
-          };
-        } else {
-          return {
-            to: fromNumber,
-            message: "Por favor, selecciona una hora disponible de la lista.",
-            reservationStep: "time",
-          };
-        }
-      } else {
-        return {
-          to: fromNumber,
-          message: "Por favor, ingresa la hora en formato HH:MM.",
-          reservationStep: "time",
-        };
-      }
-      break;
+      message: `¡Listo ${contact.name}! Tu reserva quedó confirmada.
 
-    case "guests":
-      const guestsMatch = message.match(/^(\d+)$/);
-      if (guestsMatch) {
-        const guests = parseInt(guestsMatch[1]);
-        if (guests > 0 && guests <= 10) {
-          reservationState.data.guests = guests;
-          reservationState.completed = true;
-
-          // Guardar reserva
-          const reservationId = saveReservation(
-            fromNumber,
-            reservationState.data
-          );
-
-          const confirmationMessage = `¡Perfecto ${contactName}! Tu reserva ha sido confirmada.
-
-📅 Fecha: ${reservationState.data.date.toLocaleDateString()}
-🕐 Hora: ${reservationState.data.time}
-👥 Personas: ${reservationState.data.guests}
 🆔 ID de Reserva: ${reservationId}
 
-Te esperamos. ¡Que tengas un excelente día!`;
-
-          clearReservationState(fromNumber);
-
-          return {
-            to: fromNumber,
-            message: confirmationMessage,
-            reservationCompleted: true,
-            reservationId,
-          };
-        } else {
-          return {
-            to: fromNumber,
-            message: "Por favor, ingresa un número válido de personas (1-10).",
-            reservationStep: "guests",
-          };
-        }
-      } else {
-        return {
-          to: fromNumber,
-          message: "Por favor, ingresa un número válido de personas.",
-          reservationStep: "guests",
-        };
-      }
-      break;
+Te esperamos.`,
+      reservationId,
+    };
   }
+
+  return { ignored: true };
 }
 
 // ============================================================================
@@ -325,8 +117,12 @@ function sendBulkNotification() {
 📅 Válido hasta el 31 de diciembre
 🛒 Código: PROMO2024
 
-¡No te lo pierdas!`,
+¡No te lo pierdas!
+
+Respondé BAJA si no querés recibir más promociones.`,
     delay: 2000, // 2 segundos entre mensajes
+    // Los números dados de baja se omiten (ver /opt-outs). Usar
+    // transactional: true solo para avisos que no son promocionales.
   };
 
   return {
@@ -336,42 +132,66 @@ function sendBulkNotification() {
 }
 
 // ============================================================================
-// FUNCIONES AUXILIARES (simuladas)
+// EJEMPLO 5: VERIFICAR LA FIRMA DEL WEBHOOK
 // ============================================================================
 
-function getSurveyState(phoneNumber) {
-  // En producción, esto consultaría una base de datos
-  return null;
-}
+/**
+ * Si N8N_WEBHOOK_SECRET está configurado, cada entrega incluye las cabeceras
+ * X-Webhook-Signature, X-Webhook-Timestamp y X-Webhook-Id. En N8N:
+ *
+ * 1. Activar "Raw Body" en el nodo Webhook
+ * 2. Permitir el módulo crypto (NODE_FUNCTION_ALLOW_BUILTIN=crypto)
+ * 3. Agregar un nodo "Code" con este código antes de procesar el mensaje
+ *
+ * Fuera de N8N se puede usar directamente el helper exportado por el
+ * proyecto: require("./utils/webhookSignature").createWebhookVerifier
+ */
 
-function setSurveyState(phoneNumber, state) {
-  // En producción, esto guardaría en una base de datos
-  console.log(`Survey state set for ${phoneNumber}:`, state);
-}
+function verifyWebhookSignature() {
+  const crypto = require("crypto");
+  const secret = "el-mismo-valor-de-N8N_WEBHOOK_SECRET";
+  const headers = $json.headers;
+  const rawBody = Buffer.from($binary.data.data, "base64").toString();
 
-function clearSurveyState(phoneNumber) {
-  // En producción, esto limpiaría la base de datos
-  console.log(`Survey state cleared for ${phoneNumber}`);
-}
+  const timestamp = parseInt(headers["x-webhook-timestamp"]);
+  if (Math.abs(Date.now() / 1000 - timestamp) > 300) {
+    throw new Error("Webhook expirado o con timestamp inválido");
+  }
 
-function saveSurveyResults(phoneNumber, results) {
-  // En producción, esto guardaría en una base de datos
-  console.log(`Survey results saved for ${phoneNumber}:`, results);
-}
+  const expected =
+    "sha256=" +
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest("hex");
+  const received = headers["x-webhook-signature"] || "";
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))
+  ) {
+    throw new Error("Firma de webhook inválida");
+  }
 
-function getReservationState(phoneNumber) {
-  // En producción, esto consultaría una base de datos
-  return null;
-}
+  // Para rechazar replays, guardar x-webhook-id (por ejemplo con
+  // $getWorkflowStaticData) y descartar ids ya procesados
+  const staticData = $getWorkflowStaticData("global");
+  staticData.deliveries = staticData.deliveries || {};
+  if (staticData.deliveries[headers["x-webhook-id"]]) {
+    throw new Error("Entrega duplicada");
+  }
+  staticData.deliveries[headers["x-webhook-id"]] = timestamp;
 
-function setReservationState(phoneNumber, state) {
-  // En producción, esto guardaría en una base de datos
-  console.log(`Reservation state set for ${phoneNumber}:`, state);
+  return JSON.parse(rawBody);
 }
 
-function clearReservationState(phoneNumber) {
-  // En producción, esto limpiaría la base de datos
-  console.log(`Reservation state cleared for ${phoneNumber}`);
+// ============================================================================
+// FUNCIONES AUXILIARES (simuladas)
+// ============================================================================
+
+function saveSurveyResults(phoneNumber, results) {
+  // En producción, esto guardaría en una base de datos
+  console.log(`Survey results saved for ${phoneNumber}:`, results);
 }
 
 function saveReservation(phoneNumber, data) {
@@ -398,15 +218,26 @@ function saveReservation(phoneNumber, data) {
  * Method: POST
  * URL: http://localhost:3000/send-message
  * Headers: Content-Type: application/json
+ *          Authorization: Bearer <API key con permiso "send">
  * Body: {
  *   "to": "{{ $json.to }}",
  *   "message": "{{ $json.message }}"
+ * } *
+ * 2. Con N8N_REPLY_MODE=true no hace falta el HTTP Request: basta con un nodo
+ *    "Respond to Webhook" (y el Webhook configurado en "Using 'Respond to
+ *    Webhook' Node") que devuelva, por ejemplo:
+ *
+ * {
+ *   "reply": "{{ $json.message }}",
+ *   "replies": ["Mensaje adicional"],
+ *   "media": { "url": "https://ejemplo.com/catalogo.pdf", "caption": "Catálogo" },
+ *   "quote": true
  * }
  */
 
 module.exports = {
   processCustomerService,
-  processSurvey,
-  processReservation,
+  processFlowCompleted,
   sendBulkNotification,
+  verifyWebhookSignature,
 };
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * Autenticación por API key / bearer token para la API REST
+ *
+ * Cada key tiene un nombre y una lista de permisos (scopes):
+ *   - send:  enviar mensajes
+ *   - read:  consultar estado, chats y contactos
+ *   - admin: gestión de la sesión (QR) e implica todos los demás permisos
+ */
+const SCOPES = ["send", "read", "admin"];
+
+/**
+ * Parsea keys definidas como "nombre:key:scope1|scope2,nombre2:key2:scope".
+ * El nombre termina en el primer ":" y los permisos empiezan en el último,
+ * así que la key puede contener ":" (en ese caso los permisos son obligatorios)
+ */
+function parseKeysFromString(value) {
+  if (!value) return [];
+
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const first = entry.indexOf(":");
+      const last = entry.lastIndexOf(":");
+      if (first === -1) return { name: entry };
+
+      const [key, scopes] =
+        first === last
+          ? [entry.slice(first + 1), ""]
+          : [entry.slice(first + 1, last), entry.slice(last + 1)];
+      return {
+        name: entry.slice(0, first),
+        key,
+        scopes: scopes.split("|").filter(Boolean),
+      };
+    });
+}
+
+/**
+ * Carga keys desde un archivo JSON (array o { keys: [...] }). Un archivo
+ * mal formado es un error de configuración: se lanza en vez de arrancar
+ * sin las keys que define
+ */
+function loadKeysFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const keys = Array.isArray(content) ? content : content?.keys || [];
+    if (!Array.isArray(keys)) {
+      throw new Error('"keys" debe ser un array');
+    }
+    return keys;
+  } catch (error) {
+    throw new Error(
+      `Archivo de API keys inválido (${filePath}): ${error.message}`
+    );
+  }
+}
+
+/**
+ * Combina las keys de configuración y del archivo, descartando las inválidas
+ */
+function loadApiKeys(authConfig) {
+  const keys = [
+    ...parseKeysFromString(authConfig.apiKeys),
+    ...loadKeysFile(authConfig.keysFile),
+  ];
+
+  return keys
+    .filter((entry) => entry && entry.name && entry.key)
+    .map((entry) => ({
+      name: entry.name,
+      hash: hashKey(entry.key),
+      scopes: (entry.scopes || []).filter((scope) => SCOPES.includes(scope)),
+    }));
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest();
+}
+
+/**
+ * Extrae la key de "Authorization: Bearer <key>" o "X-API-Key: <key>"
+ */
+function extractKey(req) {
+  const authorization = req.get("Authorization");
+  if (authorization && authorization.startsWith("Bearer ")) {
+    return authorization.slice(7).trim();
+  }
+  return req.get("X-API-Key") || null;
+}
+
+/**
+ * Crea el validador de autenticación. Devuelve una función que genera
+ * el middleware para el permiso requerido: `auth("send")`. Sin permiso,
+ * `auth()` solo exige una key válida
+ */
+function createAuth({ authConfig, logger }) {
+  const enabled = authConfig.enabled;
+  const keys = enabled ? loadApiKeys(authConfig) : [];
+
+  if (!enabled) {
+    logger.warn(
+      "Autenticación de la API deshabilitada (AUTH_ENABLED=false). Cualquiera con acceso al puerto puede usar la API."
+    );
+  } else if (keys.length === 0) {
+    logger.warn(
+      "Autenticación habilitada pero no hay API keys configuradas. Define API_KEYS o API_KEYS_FILE."
+    );
+  } else {
+    logger.info(`API keys cargadas: ${keys.map((k) => k.name).join(", ")}`);
+  }
+
+  // Se comparan los hashes (misma longitud) contra todas las keys, sin
+  // cortar en la primera que coincide, para no filtrar información por tiempo
+  const findKey = (rawKey) => {
+    const hash = hashKey(rawKey);
+    let found = null;
+    keys.forEach((entry) => {
+      if (crypto.timingSafeEqual(entry.hash, hash) && !found) found = entry;
+    });
+    return found;
+  };
+
+  return function requireScope(scope) {
+    return (req, res, next) => {
+      if (!enabled) return next();
+
+      const rawKey = extractKey(req);
+      const apiKey = rawKey ? findKey(rawKey) : null;
+
+      if (!apiKey) {
+        logger.warn(`Acceso no autenticado a ${req.method} ${req.path}`, {
+          ip: req.ip,
+        });
+        res.setHeader("WWW-Authenticate", "Bearer");
+        return res.status(401).json({
+          success: false,
+          error: "API key inválida o ausente",
+        });
+      }
+
+      if (
+        scope &&
+        !apiKey.scopes.includes(scope) &&
+        !apiKey.scopes.includes("admin")
+      ) {
+        logger.warn(
+          `API key "${apiKey.name}" sin permiso "${scope}" para ${req.method} ${req.path}`
+        );
+        return res.status(403).json({
+          success: false,
+          error: `La API key no tiene el permiso "${scope}"`,
+        });
+      }
+
+      req.apiKey = { name: apiKey.name, scopes: apiKey.scopes };
+      next();
+    };
+  };
+}
+
+module.exports = {
+  SCOPES,
+  createAuth,
+  loadApiKeys,
+  parseKeysFromString,
+};
@@ -0,0 +1,135 @@
+const express = require("express");
+
+/**
+ * CRUD de reglas de respuesta automática (comunes a todas las sesiones)
+ */
+function createAutoReplyRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  const rules = () => server.sessions.autoReplies;
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Regla no encontrada",
+    });
+
+  router.get("/auto-replies", auth("read"), (req, res) => {
+    const list = rules().list();
+    res.json({
+      success: true,
+      data: { total: list.length, rules: list },
+    });
+  });
+
+  // Probar un mensaje contra las reglas, sin enviar ni aplicar enfriamiento
+  router.post("/auto-replies/test", auth("read"), (req, res) => {
+    try {
+      const {
+        body = "",
+        isGroupMsg = false,
+        firstMessage = false,
+        at,
+        variables,
+      } = req.body || {};
+      const now = at ? new Date(at) : new Date();
+      if (Number.isNaN(now.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: '"at" debe ser una fecha válida',
+        });
+      }
+
+      const matches = rules().match(
+        { body: String(body), isGroupMsg: Boolean(isGroupMsg) },
+        { isFirstMessage: Boolean(firstMessage), now }
+      );
+      const [rule] = matches;
+      res.json({
+        success: true,
+        data: {
+          matched: matches.map(({ id, name, priority }) => ({
+            id,
+            name,
+            priority,
+          })),
+          rule: rule ? rules().get(rule.id) : null,
+          reply: rule
+            ? rules().renderReply(rule, { body, ...variables })
+            : null,
+        },
+      });
+    } catch (error) {
+      logger.error("Error probando reglas de respuesta automática:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  router.get("/auto-replies/:id", auth("read"), (req, res) => {
+    const rule = rules().get(req.params.id);
+    if (!rule) return notFound(res);
+    res.json({ success: true, data: rule });
+  });
+
+  router.post("/auto-replies", auth("send"), (req, res) => {
+    try {
+      const { rule, error } = rules().create(req.body || {});
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      logger.info(`Regla de respuesta automática creada: ${rule.id}`);
+      res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+      logger.error("Error creando regla de respuesta automática:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  router.put("/auto-replies/:id", auth("send"), (req, res) => {
+    try {
+      const result = rules().update(req.params.id, req.body || {});
+      if (!result) return notFound(res);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+
+      logger.info(
+        `Regla de respuesta automática actualizada: ${req.params.id}`
+      );
+      res.json({ success: true, data: result.rule });
+    } catch (error) {
+      logger.error("Error actualizando regla de respuesta automática:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  router.delete("/auto-replies/:id", auth("send"), (req, res) => {
+    try {
+      if (!rules().remove(req.params.id)) return notFound(res);
+
+      logger.info(`Regla de respuesta automática eliminada: ${req.params.id}`);
+      res.json({ success: true, data: { id: req.params.id } });
+    } catch (error) {
+      logger.error("Error eliminando regla de respuesta automática:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAutoReplyRoutes;
@@ -0,0 +1,59 @@
+const express = require("express");
+
+/**
+ * Rutas de seguimiento y control de campañas de envío masivo
+ */
+function createCampaignRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Campaña no encontrada",
+    });
+
+  // Listar campañas (sin destinatarios)
+  router.get("/campaigns", auth("read"), (req, res) => {
+    const campaigns = req.bot.campaigns.list();
+    res.json({
+      success: true,
+      data: { total: campaigns.length, campaigns },
+    });
+  });
+
+  // Progreso y estado por destinatario
+  router.get("/campaigns/:id", auth("read"), (req, res) => {
+    const campaign = req.bot.campaigns.get(req.params.id);
+    if (!campaign) return notFound(res);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.bot.campaigns.summarize(campaign),
+        recipients: campaign.recipients,
+      },
+    });
+  });
+
+  // Pausar, reanudar o cancelar
+  ["pause", "resume", "cancel"].forEach((action) => {
+    router.post(`/campaigns/:id/${action}`, auth("send"), (req, res) => {
+      const result = req.bot.campaigns[action](req.params.id);
+      if (!result) return notFound(res);
+      if (result.error) {
+        return res.status(409).json({ success: false, error: result.error });
+      }
+
+      logger.info(`Campaña ${req.params.id}: ${action}`);
+      res.json({
+        success: true,
+        data: req.bot.campaigns.summarize(result.campaign),
+      });
+    });
+  });
+
+  return router;
+}
+
+module.exports = createCampaignRoutes;
@@ -0,0 +1,94 @@
+const express = require("express");
+
+/**
+ * Rutas de la cola de entregas de webhooks y su dead-letter
+ */
+function createDeliveryRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  // Resumen de la cola y entregas pendientes de reintento
+  router.get("/deliveries", auth("read"), (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        ...req.bot.webhookQueue.getStats(),
+        pendingDeliveries: req.bot.webhookQueue.listPending(),
+      },
+    });
+  });
+
+  // Listar entregas en dead-letter
+  router.get("/deliveries/dead-letter", auth("read"), (req, res) => {
+    const deadLetters = req.bot.webhookQueue.listDeadLetters();
+    res.json({
+      success: true,
+      data: {
+        total: deadLetters.length,
+        deliveries: deadLetters,
+      },
+    });
+  });
+
+  // Inspeccionar una entrega en dead-letter (incluye el payload)
+  router.get("/deliveries/dead-letter/:id", auth("read"), (req, res) => {
+    const delivery = req.bot.webhookQueue.getDeadLetter(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Entrega no encontrada",
+      });
+    }
+    res.json({ success: true, data: delivery });
+  });
+
+  // Reenviar todas las entregas en dead-letter
+  router.post("/deliveries/dead-letter/replay", auth("admin"), (req, res) => {
+    const replayed = req.bot.webhookQueue.replayAll();
+    logger.info(`Reenviando ${replayed.length} entregas de dead-letter`);
+    res.json({
+      success: true,
+      data: { replayed: replayed.length, deliveries: replayed },
+    });
+  });
+
+  // Reenviar una entrega en dead-letter
+  router.post(
+    "/deliveries/dead-letter/:id/replay",
+    auth("admin"),
+    (req, res) => {
+      const delivery = req.bot.webhookQueue.replay(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: "Entrega no encontrada",
+        });
+      }
+      logger.info(`Reenviando entrega de dead-letter ${req.params.id}`);
+      res.json({ success: true, data: delivery });
+    }
+  );
+
+  // Purgar todas las entregas en dead-letter
+  router.delete("/deliveries/dead-letter", auth("admin"), (req, res) => {
+    const purged = req.bot.webhookQueue.purge();
+    logger.info(`Purgadas ${purged} entregas de dead-letter`);
+    res.json({ success: true, data: { purged } });
+  });
+
+  // Purgar una entrega en dead-letter
+  router.delete("/deliveries/dead-letter/:id", auth("admin"), (req, res) => {
+    const purged = req.bot.webhookQueue.purge(req.params.id);
+    if (purged === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Entrega no encontrada",
+      });
+    }
+    res.json({ success: true, data: { purged } });
+  });
+
+  return router;
+}
+
+module.exports = createDeliveryRoutes;
@@ -0,0 +1,111 @@
+const express = require("express");
+const config = require("../config");
+const PhoneValidator = require("../utils/phoneValidator");
+
+const phoneOptions = { defaultRegion: config.regional.defaultCountry };
+
+/**
+ * Rutas de flujos de conversación: definiciones, conversaciones en curso,
+ * inicio desde la API (por ejemplo una encuesta enviada por N8N) y recarga
+ */
+function createFlowRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  /**
+   * Chat de un número o id de WhatsApp ("...@c.us")
+   */
+  const toChatId = (value) =>
+    String(value).includes("@")
+      ? String(value)
+      : PhoneValidator.toWhatsAppFormat(value, phoneOptions);
+
+  router.get("/flows", auth("read"), (req, res) => {
+    const flows = req.bot.flows.list();
+    res.json({ success: true, data: { total: flows.length, flows } });
+  });
+
+  router.get("/flows/sessions", auth("read"), (req, res) => {
+    const sessions = req.bot.flows.listSessions({ flow: req.query.flow });
+    res.json({ success: true, data: { total: sessions.length, sessions } });
+  });
+
+  router.get("/flows/sessions/:chatId", auth("read"), (req, res) => {
+    const session = req.bot.flows.getSession(toChatId(req.params.chatId));
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "No hay un flujo en curso en ese chat",
+      });
+    }
+    res.json({ success: true, data: session });
+  });
+
+  // Relee los archivos de FLOWS_DIR sin reiniciar
+  router.post("/flows/reload", auth("admin"), (req, res) => {
+    const result = req.bot.flows.loadFlows();
+    res.json({ success: result.errors.length === 0, data: result });
+  });
+
+  // Iniciar un flujo: { to, variables }
+  router.post("/flows/:name/start", auth("send"), async (req, res) => {
+    try {
+      const { to, variables, transactional } = req.body || {};
+      if (!to) {
+        return res.status(400).json({
+          success: false,
+          error: 'El parámetro "to" es requerido',
+        });
+      }
+
+      const chatId = toChatId(to);
+      if (!chatId || !req.bot.isPrivateChat(chatId)) {
+        return res.status(400).json({
+          success: false,
+          error: config.messages.invalidNumber,
+        });
+      }
+
+      if (!req.bot.getStatus().isConnected) {
+        return res.status(503).json({
+          success: false,
+          error: "El bot no está conectado. Por favor, intenta más tarde.",
+        });
+      }
+
+      const fromNumber = PhoneValidator.extractPhoneNumber(chatId);
+      req.bot.checkOptOut(fromNumber, transactional === true);
+      const contact = await req.bot.getContactInfo(chatId);
+
+      const session = await req.bot.flows.startFlow(chatId, req.params.name, {
+        contact: { name: contact.name, number: fromNumber },
+        fromNumber,
+        variables,
+      });
+
+      res.status(201).json({ success: true, data: session });
+    } catch (error) {
+      logger.error("Error iniciando flujo:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Cancelar el flujo en curso de un chat (sin avisar al usuario)
+  router.delete("/flows/sessions/:chatId", auth("send"), async (req, res) => {
+    const session = await req.bot.flows.cancel(toChatId(req.params.chatId));
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "No hay un flujo en curso en ese chat",
+      });
+    }
+    res.json({ success: true, data: session });
+  });
+
+  return router;
+}
+
+module.exports = createFlowRoutes;
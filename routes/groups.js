@@ -0,0 +1,215 @@
+const express = require("express");
+
+/**
+ * Rutas de administración de grupos (crear, participantes, datos, foto,
+ * enlaces de invitación, unirse y salir)
+ */
+function createGroupRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  /**
+   * Envuelve un handler: exige el bot conectado y responde los errores con
+   * su status (400, 403, 404) o 500
+   */
+  const handle = (description, handler) => async (req, res) => {
+    if (!req.bot.getStatus().isConnected) {
+      return res.status(503).json({
+        success: false,
+        error: "El bot no está conectado. Por favor, intenta más tarde.",
+      });
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error(`Error ${description}:`, error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  };
+
+  /**
+   * Responde el resultado por participante: 200 si todos salieron bien,
+   * 207 si fallaron algunos y 400 si fallaron todos
+   */
+  const sendParticipantResults = (res, results) => {
+    const succeeded = results.filter((result) => result.success).length;
+    const status =
+      succeeded === results.length ? 200 : succeeded === 0 ? 400 : 207;
+    res.status(status).json({
+      success: succeeded > 0,
+      data: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      },
+    });
+  };
+
+  const getParticipants = (body = {}) => {
+    const participants = body.participants ?? body.participant;
+    if (
+      !participants ||
+      (Array.isArray(participants) && participants.length === 0)
+    ) {
+      const error = new Error('El parámetro "participants" es requerido');
+      error.status = 400;
+      throw error;
+    }
+    return participants;
+  };
+
+  // Crear grupo: { name, participants: ["54911...", ...] }
+  router.post(
+    "/groups",
+    auth("send"),
+    handle("creando grupo", async (req, res) => {
+      const { name, participants, messageTimer, comment } = req.body || {};
+      const group = await req.bot.groups.create({
+        name,
+        participants,
+        messageTimer,
+        comment,
+      });
+      res.status(201).json({ success: true, data: group });
+    })
+  );
+
+  // Unirse por código o enlace: { inviteCode }
+  router.post(
+    "/groups/join",
+    auth("send"),
+    handle("uniéndose a grupo", async (req, res) => {
+      const group = await req.bot.groups.join((req.body || {}).inviteCode);
+      res.json({ success: true, data: group });
+    })
+  );
+
+  router.get(
+    "/groups/:groupId",
+    auth("read"),
+    handle("obteniendo grupo", async (req, res) => {
+      const group = await req.bot.groups.getInfo(req.params.groupId);
+      res.json({ success: true, data: group });
+    })
+  );
+
+  // Cambiar asunto y/o descripción: { subject, description }
+  router.put(
+    "/groups/:groupId",
+    auth("send"),
+    handle("actualizando grupo", async (req, res) => {
+      const { subject, description } = req.body || {};
+      const group = await req.bot.groups.updateInfo(req.params.groupId, {
+        subject,
+        description,
+      });
+      res.json({ success: true, data: group });
+    })
+  );
+
+  router.get(
+    "/groups/:groupId/participants",
+    auth("read"),
+    handle("obteniendo participantes", async (req, res) => {
+      const participants = await req.bot.groups.getParticipants(
+        req.params.groupId
+      );
+      res.json({
+        success: true,
+        data: {
+          total: participants.length,
+          admins: participants.filter((member) => member.isAdmin).length,
+          participants,
+        },
+      });
+    })
+  );
+
+  router.post(
+    "/groups/:groupId/participants",
+    auth("send"),
+    handle("agregando participantes", async (req, res) => {
+      const results = await req.bot.groups.addParticipants(
+        req.params.groupId,
+        getParticipants(req.body),
+        { comment: (req.body || {}).comment }
+      );
+      sendParticipantResults(res, results);
+    })
+  );
+
+  ["remove", "promote", "demote"].forEach((action) => {
+    router.post(
+      `/groups/:groupId/participants/${action}`,
+      auth("send"),
+      handle(`en ${action} de participantes`, async (req, res) => {
+        const results = await req.bot.groups.updateMembers(
+          req.params.groupId,
+          getParticipants(req.body),
+          action
+        );
+        sendParticipantResults(res, results);
+      })
+    );
+  });
+
+  // Foto: { url } o { data (base64), mimetype }
+  router.put(
+    "/groups/:groupId/picture",
+    auth("send"),
+    handle("cambiando foto del grupo", async (req, res) => {
+      const { url, data, mimetype } = req.body || {};
+      await req.bot.groups.setPicture(req.params.groupId, {
+        url,
+        data,
+        mimetype,
+      });
+      res.json({ success: true, message: "Foto del grupo actualizada" });
+    })
+  );
+
+  router.delete(
+    "/groups/:groupId/picture",
+    auth("send"),
+    handle("quitando foto del grupo", async (req, res) => {
+      await req.bot.groups.deletePicture(req.params.groupId);
+      res.json({ success: true, message: "Foto del grupo eliminada" });
+    })
+  );
+
+  router.get(
+    "/groups/:groupId/invite",
+    auth("read"),
+    handle("obteniendo enlace de invitación", async (req, res) => {
+      const invite = await req.bot.groups.getInvite(req.params.groupId);
+      res.json({ success: true, data: invite });
+    })
+  );
+
+  router.post(
+    "/groups/:groupId/invite/revoke",
+    auth("send"),
+    handle("revocando enlace de invitación", async (req, res) => {
+      const invite = await req.bot.groups.revokeInvite(req.params.groupId);
+      res.json({ success: true, data: invite });
+    })
+  );
+
+  router.post(
+    "/groups/:groupId/leave",
+    auth("send"),
+    handle("saliendo del grupo", async (req, res) => {
+      await req.bot.groups.leave(req.params.groupId);
+      res.json({ success: true, message: "Se abandonó el grupo" });
+    })
+  );
+
+  return router;
+}
+
+module.exports = createGroupRoutes;
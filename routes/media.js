@@ -0,0 +1,64 @@
+const express = require("express");
+
+/**
+ * Descarga de media entrante mediante URL firmada (sin API key)
+ */
+function createMediaRoutes(server) {
+  const router = express.Router();
+  const { logger } = server;
+
+  router.get("/media/:id", (req, res) => {
+    try {
+      const store = server.bot.mediaStore;
+      const { id } = req.params;
+      const { expires, signature } = req.query;
+
+      if (!store.verifySignedUrl(id, expires, signature)) {
+        return res.status(403).json({
+          success: false,
+          error: "URL de media inválida o expirada",
+        });
+      }
+
+      const media = store.get(id);
+      if (!media) {
+        return res.status(404).json({
+          success: false,
+          error: "Archivo no encontrado",
+        });
+      }
+
+      // El mimetype lo declara quien envió el archivo: solo se muestran en
+      // línea imágenes, audio y video; el resto (HTML, SVG...) se descarga
+      const disposition = isInlineMimetype(media.mimetype)
+        ? "inline"
+        : "attachment";
+      res.setHeader("Content-Type", media.mimetype);
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      res.setHeader(
+        "Content-Disposition",
+        media.filename
+          ? `${disposition}; filename*=UTF-8''${encodeURIComponent(media.filename)}`
+          : disposition
+      );
+      res.sendFile(media.filePath);
+    } catch (error) {
+      logger.error("Error entregando archivo de media:", error);
+      res.status(500).json({
+        success: false,
+        error: "Error interno del servidor",
+      });
+    }
+  });
+
+  return router;
+}
+
+function isInlineMimetype(mimetype) {
+  return (
+    /^(image|audio|video)\//i.test(mimetype || "") &&
+    !/^image\/svg/i.test(mimetype)
+  );
+}
+
+module.exports = createMediaRoutes;
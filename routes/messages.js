@@ -0,0 +1,101 @@
+const express = require("express");
+const config = require("../config");
+const PhoneValidator = require("../utils/phoneValidator");
+
+const phoneOptions = { defaultRegion: config.regional.defaultCountry };
+
+/**
+ * Rutas de consulta del historial de mensajes
+ */
+function createMessageRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  // Verifica que el historial esté habilitado
+  const requireStore = (req, res, next) => {
+    if (!req.bot.messageStore) {
+      return res.status(404).json({
+        success: false,
+        error: "El historial de mensajes está deshabilitado",
+      });
+    }
+    next();
+  };
+
+  // Buscar mensajes: ?chat=&from=&since=&until=&type=&direction=&q=&limit=&offset=
+  router.get("/messages", auth("read"), requireStore, (req, res) => {
+    try {
+      const filters = { ...req.query };
+      if (filters.chat && !filters.chat.includes("@")) {
+        filters.chat = PhoneValidator.toWhatsAppFormat(
+          filters.chat,
+          phoneOptions
+        );
+      }
+
+      res.json({
+        success: true,
+        data: req.bot.messageStore.query(filters),
+      });
+    } catch (error) {
+      logger.error("Error consultando historial de mensajes:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Estado de entrega de un mensaje enviado (pending, server, device, read, played)
+  router.get("/messages/:id/status", auth("read"), async (req, res) => {
+    try {
+      const status = await req.bot.getMessageStatus(req.params.id);
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          error: "Mensaje no encontrado",
+        });
+      }
+      res.json({ success: true, data: status });
+    } catch (error) {
+      logger.error("Error obteniendo estado de entrega:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Mensajes de un chat (id de WhatsApp o número de teléfono)
+  router.get(
+    "/chats/:chatId/messages",
+    auth("read"),
+    requireStore,
+    (req, res) => {
+      try {
+        const { chatId } = req.params;
+        const chat = chatId.includes("@")
+          ? chatId
+          : PhoneValidator.toWhatsAppFormat(chatId, phoneOptions);
+
+        res.json({
+          success: true,
+          data: {
+            chatId: chat,
+            ...req.bot.messageStore.query({ ...req.query, chat }),
+          },
+        });
+      } catch (error) {
+        logger.error("Error consultando mensajes del chat:", error);
+        res.status(500).json({
+          success: false,
+          error: error.message || "Error interno del servidor",
+        });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createMessageRoutes;
@@ -0,0 +1,86 @@
+const express = require("express");
+const config = require("../config");
+const PhoneValidator = require("../utils/phoneValidator");
+
+const phoneOptions = { defaultRegion: config.regional.defaultCountry };
+
+/**
+ * Rutas de la lista de opt-out (común a todas las sesiones)
+ */
+function createOptOutRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  const optOuts = () => server.sessions.optOuts;
+
+  router.get("/opt-outs", auth("read"), (req, res) => {
+    const entries = optOuts().list();
+    res.json({
+      success: true,
+      data: { total: entries.length, entries },
+    });
+  });
+
+  // Consultar si un número está dado de baja
+  router.get("/opt-outs/:number", auth("read"), (req, res) => {
+    const number = PhoneValidator.normalizePhoneNumber(
+      req.params.number,
+      phoneOptions
+    );
+    const entry = optOuts().get(number);
+    res.json({
+      success: true,
+      data: { number, optedOut: Boolean(entry), entry },
+    });
+  });
+
+  router.post("/opt-outs", auth("send"), (req, res) => {
+    try {
+      const { number, reason } = req.body || {};
+      if (!PhoneValidator.isValidPhoneNumber(number, phoneOptions)) {
+        return res.status(400).json({
+          success: false,
+          error: config.messages.invalidNumber,
+        });
+      }
+
+      const entry = optOuts().add(
+        PhoneValidator.normalizePhoneNumber(number, phoneOptions),
+        { source: "api", reason }
+      );
+      res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+      logger.error("Error agregando opt-out:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  router.delete("/opt-outs/:number", auth("send"), (req, res) => {
+    try {
+      const number = PhoneValidator.normalizePhoneNumber(
+        req.params.number,
+        phoneOptions
+      );
+      if (!optOuts().remove(number)) {
+        return res.status(404).json({
+          success: false,
+          error: "El número no está en la lista de opt-out",
+        });
+      }
+      res.json({ success: true, data: { number } });
+    } catch (error) {
+      logger.error("Error eliminando opt-out:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createOptOutRoutes;
@@ -0,0 +1,138 @@
+const express = require("express");
+const config = require("../config");
+const PhoneValidator = require("../utils/phoneValidator");
+
+const phoneOptions = { defaultRegion: config.regional.defaultCountry };
+
+/**
+ * Rutas de envíos programados (únicos con runAt o recurrentes con cron)
+ */
+function createScheduleRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Envío programado no encontrado",
+    });
+
+  /**
+   * Normaliza el destino y renderiza la plantilla si la hay. Devuelve los
+   * campos listos para el scheduler o { error }.
+   */
+  const prepare = (body, existing = {}) => {
+    const fields = { ...body };
+
+    if (body.to !== undefined && !String(body.to).includes("@")) {
+      if (!PhoneValidator.isValidPhoneNumber(body.to, phoneOptions)) {
+        return { error: config.messages.invalidNumber };
+      }
+      fields.to = PhoneValidator.normalizePhoneNumber(body.to, phoneOptions);
+    }
+
+    if (
+      body.message !== undefined ||
+      body.template !== undefined ||
+      body.variables !== undefined
+    ) {
+      // Un "message" literal reemplaza la plantilla anterior
+      const template =
+        body.template !== undefined
+          ? body.template
+          : body.message !== undefined
+            ? null
+            : existing.template;
+      const variables = body.variables ?? existing.variables;
+      const rendered = server.renderMessage({
+        message: body.message ?? existing.message,
+        template,
+        variables,
+      });
+      if (rendered.error) return { error: rendered.error };
+      Object.assign(fields, { message: rendered.text, template, variables });
+    }
+
+    return { fields };
+  };
+
+  router.get("/schedules", auth("read"), (req, res) => {
+    const schedules = req.bot.scheduler.list({ status: req.query.status });
+    res.json({
+      success: true,
+      data: { total: schedules.length, schedules },
+    });
+  });
+
+  router.get("/schedules/:id", auth("read"), (req, res) => {
+    const schedule = req.bot.scheduler.get(req.params.id);
+    if (!schedule) return notFound(res);
+    res.json({ success: true, data: schedule });
+  });
+
+  // Crear envío: { to, message | template + variables, runAt | cron, timezone }
+  router.post("/schedules", auth("send"), (req, res) => {
+    try {
+      const prepared = prepare(req.body || {});
+      if (prepared.error) {
+        return res.status(400).json({ success: false, error: prepared.error });
+      }
+
+      const { schedule, error } = req.bot.scheduler.create(prepared.fields);
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      logger.info(`Envío programado creado: ${schedule.id}`);
+      res.status(201).json({ success: true, data: schedule });
+    } catch (error) {
+      logger.error("Error creando envío programado:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  router.put("/schedules/:id", auth("send"), (req, res) => {
+    try {
+      const existing = req.bot.scheduler.get(req.params.id);
+      if (!existing) return notFound(res);
+
+      const prepared = prepare(req.body || {}, existing);
+      if (prepared.error) {
+        return res.status(400).json({ success: false, error: prepared.error });
+      }
+
+      const result = req.bot.scheduler.update(req.params.id, prepared.fields);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+
+      logger.info(`Envío programado actualizado: ${req.params.id}`);
+      res.json({ success: true, data: result.schedule });
+    } catch (error) {
+      logger.error("Error actualizando envío programado:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Cancelar (se conserva en el listado con estado "cancelled")
+  router.delete("/schedules/:id", auth("send"), (req, res) => {
+    const result = req.bot.scheduler.cancel(req.params.id);
+    if (!result) return notFound(res);
+    if (result.error) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+
+    logger.info(`Envío programado cancelado: ${req.params.id}`);
+    res.json({ success: true, data: result.schedule });
+  });
+
+  return router;
+}
+
+module.exports = createScheduleRoutes;
@@ -0,0 +1,123 @@
+const express = require("express");
+
+/**
+ * Gestión de sesiones de WhatsApp (un número por sesión)
+ */
+function createSessionRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  const notFound = (res, sessionId) =>
+    res.status(404).json({
+      success: false,
+      error: `Sesión "${sessionId}" no encontrada`,
+    });
+
+  // Listar sesiones con su estado
+  router.get("/sessions", auth("admin"), (req, res) => {
+    const sessions = server.sessions.list();
+    res.json({
+      success: true,
+      data: { total: sessions.length, sessions },
+    });
+  });
+
+  // Crear sesión (y opcionalmente iniciarla)
+  router.post("/sessions", auth("admin"), async (req, res) => {
+    try {
+      const { id, webhookUrl, autoStart = true, start = true } = req.body;
+      const { session, error } = server.sessions.create({
+        id,
+        webhookUrl,
+        autoStart,
+      });
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      // La inicialización espera al QR o a la conexión, no bloquear la respuesta
+      if (start) {
+        server.sessions.start(session.id).catch((error) => {
+          logger.error(`Error iniciando sesión ${session.id}:`, error);
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: server.sessions.getInfo(session.id),
+      });
+    } catch (error) {
+      logger.error("Error creando sesión:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Estado de una sesión
+  router.get("/sessions/:sessionId", auth("admin"), (req, res) => {
+    const info = server.sessions.getInfo(req.params.sessionId);
+    if (!info) return notFound(res, req.params.sessionId);
+    res.json({ success: true, data: info });
+  });
+
+  // Iniciar sesión
+  router.post("/sessions/:sessionId/start", auth("admin"), (req, res) => {
+    const { sessionId } = req.params;
+    if (!server.sessions.get(sessionId)) return notFound(res, sessionId);
+
+    server.sessions.start(sessionId).catch((error) => {
+      logger.error(`Error iniciando sesión ${sessionId}:`, error);
+    });
+
+    res.json({
+      success: true,
+      data: server.sessions.getInfo(sessionId),
+    });
+  });
+
+  // Detener sesión (conserva la autenticación)
+  router.post("/sessions/:sessionId/stop", auth("admin"), async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const session = await server.sessions.stop(sessionId);
+      if (!session) return notFound(res, sessionId);
+
+      res.json({
+        success: true,
+        data: server.sessions.getInfo(sessionId),
+      });
+    } catch (error) {
+      logger.error("Error deteniendo sesión:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Eliminar sesión con su autenticación y datos
+  router.delete("/sessions/:sessionId", auth("admin"), async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const result = await server.sessions.remove(sessionId);
+      if (!result) return notFound(res, sessionId);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error("Error eliminando sesión:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSessionRoutes;
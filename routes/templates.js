@@ -0,0 +1,95 @@
+const express = require("express");
+
+/**
+ * CRUD de plantillas de mensajes
+ */
+function createTemplateRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Plantilla no encontrada",
+    });
+
+  router.get("/templates", auth("read"), (req, res) => {
+    const templates = server.templates.list();
+    res.json({
+      success: true,
+      data: { total: templates.length, templates },
+    });
+  });
+
+  router.get("/templates/:name", auth("read"), (req, res) => {
+    const template = server.templates.get(req.params.name);
+    if (!template) return notFound(res);
+    res.json({ success: true, data: template });
+  });
+
+  router.post("/templates", auth("send"), (req, res) => {
+    try {
+      const { template, error } = server.templates.create(req.body || {});
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+
+      logger.info(`Plantilla creada: ${template.name}`);
+      res.status(201).json({ success: true, data: template });
+    } catch (error) {
+      logger.error("Error creando plantilla:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  router.put("/templates/:name", auth("send"), (req, res) => {
+    try {
+      const result = server.templates.update(req.params.name, req.body || {});
+      if (!result) return notFound(res);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+
+      logger.info(`Plantilla actualizada: ${req.params.name}`);
+      res.json({ success: true, data: result.template });
+    } catch (error) {
+      logger.error("Error actualizando plantilla:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  router.delete("/templates/:name", auth("send"), (req, res) => {
+    try {
+      if (!server.templates.remove(req.params.name)) return notFound(res);
+
+      logger.info(`Plantilla eliminada: ${req.params.name}`);
+      res.json({ success: true, data: { name: req.params.name } });
+    } catch (error) {
+      logger.error("Error eliminando plantilla:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Renderizar con variables de prueba, sin enviar
+  router.post("/templates/:name/preview", auth("read"), (req, res) => {
+    const result = server.templates.render(
+      req.params.name,
+      (req.body || {}).variables
+    );
+    if (!result) return notFound(res);
+    res.json({ success: true, data: result });
+  });
+
+  return router;
+}
+
+module.exports = createTemplateRoutes;
@@ -0,0 +1,102 @@
+const express = require("express");
+
+/**
+ * Administración de la tabla de ruteo de webhooks
+ */
+function createWebhookRoutes(server) {
+  const router = express.Router();
+  const { auth, logger } = server;
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Ruta de webhook no encontrada",
+    });
+
+  // Listar rutas
+  router.get("/webhook-routes", auth("admin"), (req, res) => {
+    const routes = req.bot.webhookRouter.list();
+    res.json({
+      success: true,
+      data: { total: routes.length, routes },
+    });
+  });
+
+  // Probar qué rutas coinciden con un mensaje de ejemplo
+  router.post("/webhook-routes/test", auth("admin"), (req, res) => {
+    const matches = req.bot.webhookRouter.match(req.body || {});
+    res.json({
+      success: true,
+      data: {
+        matched: matches.map(({ id, name, url }) => ({ id, name, url })),
+        usesDefault: matches.length === 0,
+      },
+    });
+  });
+
+  // Obtener una ruta
+  router.get("/webhook-routes/:id", auth("admin"), (req, res) => {
+    const route = req.bot.webhookRouter.get(req.params.id);
+    if (!route) return notFound(res);
+    res.json({ success: true, data: route });
+  });
+
+  // Crear ruta
+  router.post("/webhook-routes", auth("admin"), (req, res) => {
+    try {
+      const { route, error } = req.bot.webhookRouter.create(req.body || {});
+      if (error) {
+        return res.status(400).json({ success: false, error });
+      }
+      logger.info(`Ruta de webhook creada: ${route.name}`);
+      res.status(201).json({ success: true, data: route });
+    } catch (error) {
+      logger.error("Error creando ruta de webhook:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Actualizar ruta
+  router.put("/webhook-routes/:id", auth("admin"), (req, res) => {
+    try {
+      const result = req.bot.webhookRouter.update(
+        req.params.id,
+        req.body || {}
+      );
+      if (!result) return notFound(res);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      logger.info(`Ruta de webhook actualizada: ${result.route.name}`);
+      res.json({ success: true, data: result.route });
+    } catch (error) {
+      logger.error("Error actualizando ruta de webhook:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  // Eliminar ruta
+  router.delete("/webhook-routes/:id", auth("admin"), (req, res) => {
+    try {
+      if (!req.bot.webhookRouter.remove(req.params.id)) return notFound(res);
+      logger.info(`Ruta de webhook eliminada: ${req.params.id}`);
+      res.json({ success: true, data: { id: req.params.id } });
+    } catch (error) {
+      logger.error("Error eliminando ruta de webhook:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message || "Error interno del servidor",
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWebhookRoutes;
@@ -3,8 +3,27 @@ const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const winston = require("winston");
 const config = require("./config");
-const WhatsAppBot = require("./bot");
+const SessionManager = require("./services/sessionManager");
+const TemplateStore = require("./services/templateStore");
+const { createAuth } = require("./middleware/auth");
+const createDeliveryRoutes = require("./routes/deliveries");
+const createMediaRoutes = require("./routes/media");
+const createMessageRoutes = require("./routes/messages");
+const createWebhookRoutes = require("./routes/webhookRoutes");
+const createSessionRoutes = require("./routes/sessions");
+const createCampaignRoutes = require("./routes/campaigns");
+const createTemplateRoutes = require("./routes/templates");
+const createScheduleRoutes = require("./routes/schedules");
+const createOptOutRoutes = require("./routes/optOuts");
+const createAutoReplyRoutes = require("./routes/autoReplies");
+const createGroupRoutes = require("./routes/groups");
+const createFlowRoutes = require("./routes/flows");
+const PhoneValidator = require("./utils/phoneValidator");
+const { validateMediaUrl } = require("./utils/media");
 const qrcode = require("qrcode");
+const multer = require("multer");
+
+const phoneOptions = { defaultRegion: config.regional.defaultCountry };
 
 /**
  * Servidor Express con API REST para el bot de WhatsApp
@@ -13,9 +32,68 @@ class WhatsAppServer {
   constructor() {
     this.app = express();
     this.logger = this.setupLogger();
+    if (process.env.COUNTRY_CODE && !process.env.DEFAULT_COUNTRY) {
+      this.logger.warn(
+        `COUNTRY_CODE está obsoleta, usá DEFAULT_COUNTRY (región actual: ${config.regional.defaultCountry})`
+      );
+    }
+    this.templates = new TemplateStore({
+      filePath: config.templates.filePath,
+      logger: this.logger,
+    });
     this.setupMiddleware();
     this.setupRoutes();
-    this.bot = new WhatsAppBot();
+    this.sessions = new SessionManager({
+      logger: this.logger,
+      templates: this.templates,
+    });
+  }
+
+  /**
+   * Bot de la sesión por defecto
+   */
+  get bot() {
+    return this.sessions.getBot();
+  }
+
+  /**
+   * Middleware que resuelve la sesión de la ruta (/sessions/:sessionId/...)
+   * o la sesión por defecto, y la deja disponible en req.bot
+   */
+  resolveSession(req, res, next) {
+    const sessionId = req.params.sessionId || "default";
+    const bot = this.sessions.getBot(sessionId);
+
+    if (!bot) {
+      return res.status(404).json({
+        success: false,
+        error: `Sesión "${sessionId}" no encontrada`,
+      });
+    }
+
+    req.sessionId = sessionId;
+    req.bot = bot;
+    next();
+  }
+
+  /**
+   * Texto a enviar: "message" literal o la plantilla "template" renderizada
+   * con sus variables. Devuelve { text } o { error, missing }
+   */
+  renderMessage({ message, template, variables }) {
+    if (!template) return { text: message };
+
+    const result = this.templates.render(template, variables);
+    if (!result) {
+      return { error: `Plantilla "${template}" no encontrada`, missing: [] };
+    }
+    if (result.missing.length > 0) {
+      return {
+        error: `Faltan variables de la plantilla: ${result.missing.join(", ")}`,
+        missing: result.missing,
+      };
+    }
+    return { text: result.text };
   }
 
   /**
@@ -57,10 +135,16 @@ class WhatsAppServer {
           ? process.env.ALLOWED_ORIGINS.split(",")
           : "*",
         methods: ["GET", "POST", "PUT", "DELETE"],
-        allowedHeaders: ["Content-Type", "Authorization"],
+        allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
       })
     );
 
+    // Autenticación por API key (se aplica por ruta según el permiso)
+    this.auth = createAuth({
+      authConfig: config.security.auth,
+      logger: this.logger,
+    });
+
     // Rate limiting
     const limiter = rateLimit({
       windowMs: config.security.rateLimit.windowMs,
@@ -74,16 +158,23 @@ class WhatsAppServer {
     });
     this.app.use(limiter);
 
-    // Body parser
-    this.app.use(express.json({ limit: "10mb" }));
-    this.app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+    // Body parser (el límite admite archivos en base64 hasta maxFileSize)
+    const bodyLimit = Math.ceil(config.security.maxFileSize * 1.4);
+    this.app.use(express.json({ limit: bodyLimit }));
+    this.app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+
+    // Subida de archivos multipart (en memoria)
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: config.security.maxFileSize, files: 1 },
+    }).single("file");
 
     // Logging middleware
     this.app.use((req, res, next) => {
       this.logger.info(`${req.method} ${req.path}`, {
         ip: req.ip,
         userAgent: req.get("User-Agent"),
-        body: req.method === "POST" ? req.body : undefined,
+        body: req.method === "POST" ? summarizeBody(req.body) : undefined,
       });
       next();
     });
@@ -93,7 +184,7 @@ class WhatsAppServer {
    * Configura las rutas de la API
    */
   setupRoutes() {
-    // Health check
+    // Health check (sin autenticación, usado por el healthcheck de Docker)
     this.app.get("/health", (req, res) => {
       res.json({
         status: "ok",
@@ -102,10 +193,14 @@ class WhatsAppServer {
       });
     });
 
+    // Rutas de cada sesión: sin prefijo para la sesión por defecto y con
+    // prefijo /sessions/:sessionId para las demás
+    const router = express.Router();
+
     // Estado del bot
-    this.app.get("/status", (req, res) => {
+    router.get("/status", this.auth("read"), (req, res) => {
       try {
-        const status = this.bot.getStatus();
+        const status = req.bot.getStatus();
         res.json({
           success: true,
           data: status,
@@ -120,26 +215,43 @@ class WhatsAppServer {
     });
 
     // Enviar mensaje individual - VERSION ACTUALIZADA
-    this.app.post("/send-message", async (req, res) => {
+    router.post("/send-message", this.auth("send"), async (req, res) => {
       try {
-        const { to, message } = req.body;
+        const { to, template, variables } = req.body;
 
         this.logger.info("Recibida solicitud de envío de mensaje:", {
           to,
-          messageLength: message?.length,
+          template,
+          messageLength: req.body.message?.length,
         });
 
         // Validar parámetros
-        if (!to || !message) {
+        if (!to || (!req.body.message && !template)) {
           this.logger.warn("Parámetros faltantes en solicitud");
           return res.status(400).json({
             success: false,
-            error: 'Los parámetros "to" y "message" son requeridos',
+            error:
+              'Los parámetros "to" y "message" (o "template") son requeridos',
           });
         }
 
+        // Renderizar plantilla
+        const rendered = this.renderMessage({
+          message: req.body.message,
+          template,
+          variables,
+        });
+        if (rendered.error) {
+          return res.status(400).json({
+            success: false,
+            error: rendered.error,
+            data: { missing: rendered.missing },
+          });
+        }
+        const message = rendered.text;
+
         // Validar número de teléfono
-        if (!this.bot.isValidPhoneNumber(to)) {
+        if (!PhoneValidator.isValidPhoneNumber(to, phoneOptions)) {
           this.logger.warn("Número de teléfono inválido:", to);
           return res.status(400).json({
             success: false,
@@ -157,7 +269,7 @@ class WhatsAppServer {
         }
 
         // Verificar estado del bot
-        const status = this.bot.getStatus();
+        const status = req.bot.getStatus();
         if (!status.isConnected) {
           this.logger.error("Bot no conectado al intentar enviar mensaje");
           return res.status(503).json({
@@ -169,7 +281,10 @@ class WhatsAppServer {
         this.logger.info("Enviando mensaje a WhatsApp...");
 
         // Enviar mensaje
-        const result = await this.bot.sendMessage(to, message);
+        // "transactional" permite enviar a números dados de baja
+        const result = await req.bot.sendMessage(to, message, {
+          transactional: req.body.transactional === true,
+        });
 
         this.logger.info("Mensaje enviado exitosamente:", result);
 
@@ -179,7 +294,7 @@ class WhatsAppServer {
         });
       } catch (error) {
         this.logger.error("Error enviando mensaje:", error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
           success: false,
           error: error.message || "Error interno del servidor",
         });
@@ -187,7 +302,7 @@ class WhatsAppServer {
     });
 
     // Responder a mensaje específico
-    this.app.post("/send-response", async (req, res) => {
+    router.post("/send-response", this.auth("send"), async (req, res) => {
       try {
         const { to, message, replyTo } = req.body;
 
@@ -200,7 +315,7 @@ class WhatsAppServer {
         }
 
         // Validar número de teléfono
-        if (!this.bot.isValidPhoneNumber(to)) {
+        if (!PhoneValidator.isValidPhoneNumber(to, phoneOptions)) {
           return res.status(400).json({
             success: false,
             error: config.messages.invalidNumber,
@@ -215,103 +330,224 @@ class WhatsAppServer {
           });
         }
 
-        // Formatear número para WhatsApp
-        const whatsappNumber = this.bot.toWhatsAppFormat(to);
-
-        // Enviar respuesta
-        let result;
-        if (replyTo) {
-          // Enviar como respuesta a un mensaje específico
-          result = await this.bot.client.sendMessage(whatsappNumber, message, {
-            quotedMessageId: replyTo,
-          });
-        } else {
-          // Enviar mensaje normal
-          result = await this.bot.sendMessage(to, message);
-        }
+        // Enviar respuesta (con "replyTo", citando el mensaje indicado)
+        const result = await req.bot.sendMessage(to, message, {
+          transactional: req.body.transactional === true,
+          quotedMessageId: replyTo,
+        });
 
         res.json({
           success: true,
           data: {
-            messageId: result.messageId || result.id._serialized,
+            messageId: result.messageId,
             timestamp: Date.now(),
           },
         });
       } catch (error) {
         this.logger.error("Error enviando respuesta:", error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
           success: false,
           error: error.message || "Error interno del servidor",
         });
       }
     });
 
-    // Enviar mensajes masivos
-    this.app.post("/send-bulk", async (req, res) => {
+    // Enviar archivo multimedia (URL, base64 o multipart en el campo "file")
+    router.post("/send-media", this.auth("send"), async (req, res) => {
       try {
-        const { numbers, message, delay = 1000 } = req.body;
+        await new Promise((resolve, reject) =>
+          this.upload(req, res, (error) => (error ? reject(error) : resolve()))
+        ).catch((error) => {
+          error.status = 400;
+          if (error.code === "LIMIT_FILE_SIZE") {
+            error.message = `El archivo excede el tamaño máximo de ${Math.round(config.security.maxFileSize / 1024 / 1024)}MB`;
+          }
+          throw error;
+        });
+
+        const { to, url, base64, mimetype, filename, caption } = req.body;
+        const asVoice = [true, "true"].includes(req.body.asVoice);
+        const asDocument = [true, "true"].includes(req.body.asDocument);
 
         // Validar parámetros
-        if (!numbers || !Array.isArray(numbers) || !message) {
+        if (!to || (!url && !base64 && !req.file)) {
           return res.status(400).json({
             success: false,
             error:
-              'Los parámetros "numbers" (array) y "message" son requeridos',
+              'Los parámetros "to" y uno de "url", "base64" o "file" son requeridos',
           });
         }
 
-        // Validar array de números
-        const validation = this.bot.validatePhoneNumbers(numbers);
-        if (!validation.valid) {
+        // Validar número de teléfono
+        if (!PhoneValidator.isValidPhoneNumber(to, phoneOptions)) {
           return res.status(400).json({
             success: false,
-            error: "Algunos números de teléfono son inválidos",
-            data: validation,
+            error: config.messages.invalidNumber,
           });
         }
 
-        // Validar longitud del mensaje
-        if (message.length > config.security.messageMaxLength) {
+        // Validar longitud del caption
+        if (caption && caption.length > config.security.messageMaxLength) {
           return res.status(400).json({
             success: false,
             error: config.messages.messageTooLong,
           });
         }
 
-        // Enviar mensajes con delay
-        const results = [];
-        const errors = [];
-
-        for (let i = 0; i < validation.validNumbers.length; i++) {
-          try {
-            const number = validation.validNumbers[i].normalized;
-            const result = await this.bot.sendMessage(number, message);
-            results.push({
-              number,
-              success: true,
-              messageId: result.messageId,
-            });
+        // Validar la URL del archivo (protocolo y dominios permitidos)
+        const urlError =
+          url && !base64 && !req.file
+            ? validateMediaUrl(url, config.media.downloadAllowedHosts)
+            : null;
+        if (urlError) {
+          return res.status(400).json({ success: false, error: urlError });
+        }
 
-            // Delay entre mensajes para evitar spam
-            if (i < validation.validNumbers.length - 1) {
-              await new Promise((resolve) => setTimeout(resolve, delay));
-            }
-          } catch (error) {
-            errors.push({
-              number: validation.validNumbers[i].normalized,
-              error: error.message,
+        // Verificar estado del bot
+        if (!req.bot.getStatus().isConnected) {
+          return res.status(503).json({
+            success: false,
+            error: "El bot no está conectado. Por favor, intenta más tarde.",
+          });
+        }
+
+        let spec;
+        if (req.file) {
+          spec = {
+            data: req.file.buffer.toString("base64"),
+            mimetype: req.file.mimetype,
+            filename: filename || req.file.originalname,
+          };
+        } else if (base64) {
+          spec = { data: base64, mimetype, filename };
+        } else {
+          spec = { url, filename };
+        }
+
+        const result = await req.bot.sendMedia(to, spec, {
+          caption,
+          asVoice,
+          asDocument,
+          transactional: [true, "true"].includes(req.body.transactional),
+        });
+
+        res.json({
+          success: true,
+          data: result,
+        });
+      } catch (error) {
+        this.logger.error("Error enviando archivo multimedia:", error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message || "Error interno del servidor",
+        });
+      }
+    });
+
+    // Enviar mensajes masivos (crea una campaña, ver /campaigns/:id)
+    router.post("/send-bulk", this.auth("send"), async (req, res) => {
+      try {
+        const {
+          numbers,
+          recipients,
+          message,
+          template,
+          variables,
+          delay = 1000,
+          checkRegistered = config.numberCheck.bulkPrefilter,
+          transactional = false,
+        } = req.body;
+
+        // Validar parámetros
+        const list = recipients || numbers;
+        if (!Array.isArray(list) || (!message && !template)) {
+          return res.status(400).json({
+            success: false,
+            error:
+              'Los parámetros "numbers" o "recipients" (array) y "message" (o "template") son requeridos',
+          });
+        }
+
+        // recipients: [{ number, vars }] con variables por destinatario
+        const entries = list.map((entry) =>
+          entry && typeof entry === "object"
+            ? { number: entry.number, vars: entry.vars || entry.variables }
+            : { number: entry }
+        );
+
+        // Validar array de números
+        const validation = PhoneValidator.validatePhoneNumbers(
+          entries.map((entry) => entry.number),
+          phoneOptions
+        );
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: "Algunos números de teléfono son inválidos",
+            data: validation,
+          });
+        }
+
+        // Renderizar el mensaje de cada destinatario antes de enviar nada
+        const invalidMessages = [];
+        const campaignRecipients = validation.validNumbers.map((entry) => {
+          const rendered = this.renderMessage({
+            message,
+            template,
+            variables: { ...variables, ...entries[entry.index].vars },
+          });
+          if (rendered.error) {
+            invalidMessages.push({
+              index: entry.index,
+              number: entry.original,
+              error: rendered.error,
+              missing: rendered.missing,
+            });
+          } else if (rendered.text.length > config.security.messageMaxLength) {
+            invalidMessages.push({
+              index: entry.index,
+              number: entry.original,
+              error: config.messages.messageTooLong,
             });
           }
+          return {
+            number: entry.normalized,
+            message: template ? rendered.text : undefined,
+            // Los dados de baja quedan en la campaña como omitidos
+            skipReason:
+              !transactional && req.bot.optOuts.has(entry.normalized)
+                ? "El número se dio de baja de los envíos (opt-out)"
+                : undefined,
+          };
+        });
+
+        if (invalidMessages.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: "Algunos mensajes no se pudieron generar",
+            data: { invalidMessages },
+          });
         }
 
-        res.json({
+        // El envío se hace en segundo plano como campaña
+        const campaign = req.bot.campaigns.create({
+          recipients: campaignRecipients,
+          message: template ? null : message,
+          template,
+          delay: Math.max(0, parseInt(delay) || 0),
+          checkRegistered,
+          transactional,
+        });
+
+        res.status(202).json({
           success: true,
           data: {
-            total: validation.validNumbers.length,
-            sent: results.length,
-            errors: errors.length,
-            results,
-            errors,
+            campaignId: campaign.id,
+            status: campaign.status,
+            total: campaign.recipients.length,
+            optedOut: campaignRecipients
+              .filter((recipient) => recipient.skipReason)
+              .map((recipient) => recipient.number),
           },
         });
       } catch (error) {
@@ -324,12 +560,12 @@ class WhatsAppServer {
     });
 
     // Obtener información de contacto
-    this.app.get("/contact/:phoneNumber", async (req, res) => {
+    router.get("/contact/:phoneNumber", this.auth("read"), async (req, res) => {
       try {
         const { phoneNumber } = req.params;
 
         // Validar número de teléfono
-        if (!this.bot.isValidPhoneNumber(phoneNumber)) {
+        if (!PhoneValidator.isValidPhoneNumber(phoneNumber, phoneOptions)) {
           return res.status(400).json({
             success: false,
             error: config.messages.invalidNumber,
@@ -337,15 +573,21 @@ class WhatsAppServer {
         }
 
         // Formatear número para WhatsApp
-        const whatsappNumber = this.bot.toWhatsAppFormat(phoneNumber);
+        const whatsappNumber = PhoneValidator.toWhatsAppFormat(
+          phoneNumber,
+          phoneOptions
+        );
 
         // Obtener información del contacto
-        const contact = await this.bot.getContactInfo(whatsappNumber);
+        const contact = await req.bot.getContactInfo(whatsappNumber);
 
         res.json({
           success: true,
           data: {
-            phoneNumber: this.bot.normalizePhoneNumber(phoneNumber),
+            phoneNumber: PhoneValidator.normalizePhoneNumber(
+              phoneNumber,
+              phoneOptions
+            ),
             whatsappId: whatsappNumber,
             contact,
           },
@@ -360,22 +602,22 @@ class WhatsAppServer {
     });
 
     // Listar chats activos
-    this.app.get("/chats", async (req, res) => {
+    router.get("/chats", this.auth("read"), async (req, res) => {
       try {
         const { limit = 50, type } = req.query;
 
         // Obtener chats
-        const chats = await this.bot.client.getChats();
+        const chats = await req.bot.client.getChats();
 
         // Filtrar por tipo si se especifica
         let filteredChats = chats;
         if (type === "group") {
           filteredChats = chats.filter((chat) =>
-            this.bot.isGroup(chat.id._serialized)
+            req.bot.isGroup(chat.id._serialized)
           );
         } else if (type === "private") {
           filteredChats = chats.filter((chat) =>
-            this.bot.isPrivateChat(chat.id._serialized)
+            req.bot.isPrivateChat(chat.id._serialized)
           );
         }
 
@@ -386,7 +628,7 @@ class WhatsAppServer {
         const formattedChats = limitedChats.map((chat) => ({
           id: chat.id._serialized,
           name: chat.name || "Sin nombre",
-          isGroup: this.bot.isGroup(chat.id._serialized),
+          isGroup: req.bot.isGroup(chat.id._serialized),
           unreadCount: chat.unreadCount || 0,
           lastMessage: chat.lastMessage
             ? {
@@ -415,9 +657,9 @@ class WhatsAppServer {
     });
 
     // Listar contactos
-    this.app.get("/contacts", async (req, res) => {
+    router.get("/contacts", this.auth("read"), async (req, res) => {
       try {
-        const status = this.bot.getStatus();
+        const status = req.bot.getStatus();
         if (!status.isConnected) {
           return res.status(503).json({
             success: false,
@@ -425,12 +667,12 @@ class WhatsAppServer {
           });
         }
 
-        const contacts = await this.bot.client.getContacts();
+        const contacts = await req.bot.client.getContacts();
         const formattedContacts = contacts
           .filter((contact) => contact.isMyContact)
           .map((contact) => ({
             name: contact.pushname || contact.name || "Sin nombre",
-            number: this.bot.extractPhoneNumber(contact.id._serialized),
+            number: PhoneValidator.extractPhoneNumber(contact.id._serialized),
             isMyContact: contact.isMyContact,
           }));
 
@@ -451,9 +693,9 @@ class WhatsAppServer {
     });
 
     // Validar número de teléfono
-    this.app.post("/validate-phone", (req, res) => {
+    router.post("/validate-phone", this.auth("read"), (req, res) => {
       try {
-        const { phoneNumber } = req.body;
+        const { phoneNumber, country } = req.body;
 
         if (!phoneNumber) {
           return res.status(400).json({
@@ -462,18 +704,29 @@ class WhatsAppServer {
           });
         }
 
-        const isValid = this.bot.isValidPhoneNumber(phoneNumber);
-        const normalized = this.bot.normalizePhoneNumber(phoneNumber);
-        const whatsappFormat = this.bot.toWhatsAppFormat(phoneNumber);
+        // "country" permite interpretar números locales de otra región
+        const parsed = PhoneValidator.parsePhoneNumber(phoneNumber, {
+          defaultRegion: country || phoneOptions.defaultRegion,
+        });
 
         res.json({
           success: true,
           data: {
             phoneNumber,
-            isValid,
-            normalized,
-            whatsappFormat,
-            displayFormat: this.bot.formatForDisplay(phoneNumber),
+            isValid: parsed.valid,
+            country: parsed.country || null,
+            countryCode: parsed.countryCode || null,
+            type: parsed.type || null,
+            e164: parsed.e164 || null,
+            normalized: parsed.valid
+              ? parsed.number
+              : PhoneValidator.normalizePhoneNumber(phoneNumber, phoneOptions),
+            whatsappFormat: parsed.valid
+              ? parsed.whatsappId
+              : PhoneValidator.toWhatsAppFormat(phoneNumber, phoneOptions),
+            displayFormat: parsed.valid
+              ? PhoneValidator.formatForDisplay(parsed.e164, phoneOptions)
+              : phoneNumber,
           },
         });
       } catch (error) {
@@ -485,10 +738,47 @@ class WhatsAppServer {
       }
     });
 
+    // Consultar qué números tienen WhatsApp
+    router.post("/check-numbers", this.auth("read"), async (req, res) => {
+      try {
+        const { number } = req.body;
+        const numbers = req.body.numbers || (number ? [number] : null);
+
+        if (!Array.isArray(numbers) || numbers.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'El parámetro "numbers" (array) o "number" es requerido',
+          });
+        }
+        if (numbers.length > config.numberCheck.maxNumbers) {
+          return res.status(400).json({
+            success: false,
+            error: `Máximo ${config.numberCheck.maxNumbers} números por consulta`,
+          });
+        }
+
+        if (!req.bot.getStatus().isConnected) {
+          return res.status(503).json({
+            success: false,
+            error: "El bot no está conectado. Por favor, intenta más tarde.",
+          });
+        }
+
+        const data = await req.bot.checkNumbers(numbers);
+        res.json({ success: true, data });
+      } catch (error) {
+        this.logger.error("Error consultando números:", error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message || "Error interno del servidor",
+        });
+      }
+    });
+
     // Obtener QR code
-    this.app.get("/qr", async (req, res) => {
+    router.get("/qr", this.auth("admin"), async (req, res) => {
       try {
-        const status = this.bot.getStatus();
+        const status = req.bot.getStatus();
         if (status.isConnected) {
           return res.json({
             success: true,
@@ -499,7 +789,7 @@ class WhatsAppServer {
             },
           });
         }
-        const qrData = this.bot.getQRCode();
+        const qrData = req.bot.getQRCode();
         if (!qrData) {
           return res.json({
             success: false,
@@ -529,16 +819,16 @@ class WhatsAppServer {
     });
 
     // Obtener imagen QR
-    this.app.get("/qr-image", async (req, res) => {
+    router.get("/qr-image", this.auth("admin"), async (req, res) => {
       try {
-        const status = this.bot.getStatus();
+        const status = req.bot.getStatus();
         if (status.isConnected) {
           return res.status(400).json({
             success: false,
             error: "El bot ya está conectado",
           });
         }
-        const qrData = this.bot.getQRCode();
+        const qrData = req.bot.getQRCode();
         if (!qrData) {
           return res.status(404).json({
             success: false,
@@ -564,16 +854,16 @@ class WhatsAppServer {
     });
 
     // Regenerar QR code
-    this.app.post("/qr-regenerate", async (req, res) => {
+    router.post("/qr-regenerate", this.auth("admin"), async (req, res) => {
       try {
-        const status = this.bot.getStatus();
+        const status = req.bot.getStatus();
         if (status.isConnected) {
           return res.json({
             success: false,
             error: "El bot ya está conectado",
           });
         }
-        const qrData = await this.bot.regenerateQR();
+        const qrData = await req.bot.regenerateQR();
         if (!qrData) {
           return res.json({
             success: false,
@@ -597,6 +887,47 @@ class WhatsAppServer {
       }
     });
 
+    // Cola de entregas de webhooks
+    router.use(createDeliveryRoutes(this));
+
+    // Tabla de ruteo de webhooks
+    router.use(createWebhookRoutes(this));
+
+    // Historial de mensajes
+    router.use(createMessageRoutes(this));
+
+    // Campañas de envío masivo
+    router.use(createCampaignRoutes(this));
+
+    // Envíos programados
+    router.use(createScheduleRoutes(this));
+
+    // Administración de grupos
+    router.use(createGroupRoutes(this));
+
+    // Flujos de conversación
+    router.use(createFlowRoutes(this));
+
+    // Media entrante con URL firmada (común a todas las sesiones)
+    this.app.use(createMediaRoutes(this));
+
+    // Gestión de sesiones
+    this.app.use(createSessionRoutes(this));
+
+    // Plantillas de mensajes (comunes a todas las sesiones)
+    this.app.use(createTemplateRoutes(this));
+
+    // Lista de opt-out (común a todas las sesiones)
+    this.app.use(createOptOutRoutes(this));
+
+    // Reglas de respuesta automática (comunes a todas las sesiones)
+    this.app.use(createAutoReplyRoutes(this));
+
+    // Autenticar antes de resolver la sesión para no revelar qué sesiones existen
+    const resolveSession = this.resolveSession.bind(this);
+    this.app.use("/sessions/:sessionId", this.auth(), resolveSession, router);
+    this.app.use(resolveSession, router);
+
     // Manejo de errores 404
     this.app.use("*", (req, res) => {
       res.status(404).json({
@@ -610,11 +941,83 @@ class WhatsAppServer {
           "POST /qr-regenerate",
           "POST /send-message",
           "POST /send-response",
+          "POST /send-media",
           "POST /send-bulk",
+          "GET /campaigns",
+          "GET /campaigns/:id",
+          "POST /campaigns/:id/pause",
+          "POST /campaigns/:id/resume",
+          "POST /campaigns/:id/cancel",
+          "GET /schedules",
+          "GET /schedules/:id",
+          "POST /schedules",
+          "PUT /schedules/:id",
+          "DELETE /schedules/:id",
+          "POST /groups",
+          "POST /groups/join",
+          "GET /groups/:groupId",
+          "PUT /groups/:groupId",
+          "GET /groups/:groupId/participants",
+          "POST /groups/:groupId/participants",
+          "POST /groups/:groupId/participants/remove",
+          "POST /groups/:groupId/participants/promote",
+          "POST /groups/:groupId/participants/demote",
+          "PUT /groups/:groupId/picture",
+          "DELETE /groups/:groupId/picture",
+          "GET /groups/:groupId/invite",
+          "POST /groups/:groupId/invite/revoke",
+          "POST /groups/:groupId/leave",
+          "GET /flows",
+          "GET /flows/sessions",
+          "GET /flows/sessions/:chatId",
+          "POST /flows/reload",
+          "POST /flows/:name/start",
+          "DELETE /flows/sessions/:chatId",
           "GET /contact/:phoneNumber",
           "GET /chats",
           "GET /contacts",
           "POST /validate-phone",
+          "POST /check-numbers",
+          "GET /deliveries",
+          "GET /deliveries/dead-letter",
+          "GET /deliveries/dead-letter/:id",
+          "POST /deliveries/dead-letter/replay",
+          "POST /deliveries/dead-letter/:id/replay",
+          "DELETE /deliveries/dead-letter",
+          "DELETE /deliveries/dead-letter/:id",
+          "GET /webhook-routes",
+          "GET /webhook-routes/:id",
+          "POST /webhook-routes",
+          "POST /webhook-routes/test",
+          "PUT /webhook-routes/:id",
+          "DELETE /webhook-routes/:id",
+          "GET /media/:id",
+          "GET /messages",
+          "GET /messages/:id/status",
+          "GET /chats/:chatId/messages",
+          "GET /templates",
+          "GET /templates/:name",
+          "POST /templates",
+          "PUT /templates/:name",
+          "DELETE /templates/:name",
+          "POST /templates/:name/preview",
+          "GET /opt-outs",
+          "GET /opt-outs/:number",
+          "POST /opt-outs",
+          "DELETE /opt-outs/:number",
+          "GET /auto-replies",
+          "GET /auto-replies/:id",
+          "POST /auto-replies",
+          "PUT /auto-replies/:id",
+          "DELETE /auto-replies/:id",
+          "POST /auto-replies/test",
+          "GET /sessions",
+          "POST /sessions",
+          "GET /sessions/:sessionId",
+          "POST /sessions/:sessionId/start",
+          "POST /sessions/:sessionId/stop",
+          "DELETE /sessions/:sessionId",
+          "* /sessions/:sessionId/<endpoint> (mismos endpoints por sesión)",
         ],
       });
     });
@@ -636,8 +1039,8 @@ class WhatsAppServer {
     try {
       this.logger.info("Iniciando servidor y bot...");
 
-      // Inicializar bot
-      await this.bot.initialize();
+      // Inicializar sesión por defecto y sesiones adicionales
+      await this.sessions.startAll();
 
       // Iniciar servidor
       const port = config.server.port;
@@ -657,7 +1060,7 @@ class WhatsAppServer {
   async stop() {
     try {
       this.logger.info("Deteniendo servidor y bot...");
-      await this.bot.destroy();
+      await this.sessions.stopAll();
       this.logger.info("Servidor y bot detenidos correctamente");
     } catch (error) {
       this.logger.error("Error deteniendo servidor:", error);
@@ -666,6 +1069,24 @@ class WhatsAppServer {
   }
 }
 
+/**
+ * Resumen del body para el log: los textos largos (base64, mensajes) y las
+ * listas se reemplazan por su tamaño
+ */
+function summarizeBody(body) {
+  if (!body || typeof body !== "object") return body;
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => {
+      if (typeof value === "string" && value.length > 200) {
+        return [key, `<${value.length} caracteres>`];
+      }
+      if (Array.isArray(value)) return [key, `<${value.length} elementos>`];
+      if (value && typeof value === "object") return [key, "<objeto>"];
+      return [key, value];
+    })
+  );
+}
+
 // Crear y exportar instancia del servidor
 const server = new WhatsAppServer();
 
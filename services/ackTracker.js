@@ -0,0 +1,124 @@
+const JsonStore = require("../utils/jsonStore");
+
+/**
+ * Estados de entrega según el ack de WhatsApp
+ */
+const ACK_STATUS = {
+  "-1": "error",
+  0: "pending",
+  1: "server",
+  2: "device",
+  3: "read",
+  4: "played",
+};
+
+/**
+ * Seguimiento de confirmaciones de entrega y lectura (acks) de los
+ * mensajes salientes. El estado se persiste en disco con escritura diferida.
+ */
+class AckTracker {
+  constructor({ filePath, maxEntries, logger }) {
+    this.store = new JsonStore(filePath, { messages: {} });
+    this.maxEntries = maxEntries;
+    this.logger = logger;
+    this.messages = new Map();
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const { messages } = this.store.read();
+      this.messages = new Map(Object.entries(messages || {}));
+    } catch (error) {
+      this.logger.error("Error cargando estados de entrega:", error);
+    }
+  }
+
+  /**
+   * Agenda el guardado para agrupar ráfagas de acks
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    try {
+      this.store.write({ messages: Object.fromEntries(this.messages) });
+    } catch (error) {
+      this.logger.error("Error guardando estados de entrega:", error);
+    }
+  }
+
+  /**
+   * Comienza el seguimiento de un mensaje recién enviado. Si un ack llegó
+   * antes de que termine el envío, se conserva ese estado
+   */
+  track(messageId, chatId, ack = 0) {
+    const existing = this.messages.get(messageId);
+    if (existing) {
+      existing.chatId = existing.chatId || chatId;
+      this.update(messageId, chatId, ack);
+      return;
+    }
+
+    const now = Date.now();
+    const status = getAckStatus(ack);
+    this.messages.set(messageId, {
+      messageId,
+      chatId,
+      ack,
+      status,
+      sentAt: now,
+      updatedAt: now,
+      history: [{ status, at: now }],
+    });
+
+    // Descartar los más antiguos (Map conserva el orden de inserción)
+    while (this.messages.size > this.maxEntries) {
+      this.messages.delete(this.messages.keys().next().value);
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Registra un ack. Devuelve { entry, previousStatus } si hubo transición,
+   * o null si el ack no cambia el estado (los acks pueden llegar repetidos)
+   */
+  update(messageId, chatId, ack) {
+    let entry = this.messages.get(messageId);
+    if (!entry) {
+      this.track(messageId, chatId, ack);
+      return { entry: this.messages.get(messageId), previousStatus: null };
+    }
+
+    if (ack === entry.ack || (ack < entry.ack && ack !== -1)) return null;
+
+    const previousStatus = entry.status;
+    const now = Date.now();
+    entry.ack = ack;
+    entry.status = getAckStatus(ack);
+    entry.updatedAt = now;
+    entry.history.push({ status: entry.status, at: now });
+
+    this.scheduleSave();
+    return { entry, previousStatus };
+  }
+
+  get(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+}
+
+function getAckStatus(ack) {
+  return ACK_STATUS[ack] || "unknown";
+}
+
+module.exports = AckTracker;
+module.exports.getAckStatus = getAckStatus;
@@ -0,0 +1,353 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const JsonStore = require("../utils/jsonStore");
+const { parseTemplate, renderTemplate } = require("../utils/template");
+const { normalizeKeyword } = require("../utils/text");
+const {
+  parseBusinessHours,
+  isWithinBusinessHours,
+} = require("../utils/businessHours");
+
+const MATCH_TYPES = [
+  "exact",
+  "contains",
+  "regex",
+  "firstMessage",
+  "outsideHours",
+];
+const CHAT_TYPES = ["private", "group", "all"];
+
+/**
+ * Reglas de respuesta automática, comunes a todas las sesiones
+ *
+ * Una regla tiene:
+ *   - match:    { type, value } con type exact | contains (value: texto o
+ *               lista), regex ({ pattern, flags }), firstMessage (primer
+ *               mensaje de la conversación) u outsideHours ({ hours }
+ *               opcional, por defecto BUSINESS_HOURS)
+ *   - reply:    { text } (admite variables), { template, variables } y/o
+ *               { media: { url | data, mimetype, caption } }
+ *   - priority: las de mayor prioridad se evalúan primero
+ *   - cooldown: ms mínimos entre respuestas de la regla a un mismo chat
+ *   - forward:  si es true el mensaje sigue hacia N8N; si no, se corta acá
+ *   - chatType: private (por defecto), group o all
+ *
+ * El archivo se relee automáticamente si se edita a mano.
+ */
+class AutoReplyRules {
+  constructor({
+    filePath,
+    cooldown,
+    reloadInterval,
+    businessHours,
+    timezone,
+    templates,
+    logger,
+  }) {
+    this.filePath = filePath;
+    this.store = new JsonStore(filePath, { rules: [] });
+    this.defaultCooldown = cooldown;
+    this.reloadInterval = reloadInterval;
+    this.businessHours = parseBusinessHours(businessHours);
+    this.timezone = timezone;
+    this.templates = templates;
+    this.logger = logger;
+    this.rules = [];
+    // Reglas del archivo que no pasan la validación: se conservan tal cual
+    // al guardar para no perder lo editado a mano
+    this.invalidRules = [];
+    this.lastWrite = null;
+    this.load();
+    this.watch();
+  }
+
+  /**
+   * Carga las reglas del archivo. Pasan por la misma validación que las de
+   * la API (y toman los mismos valores por defecto); las inválidas no se
+   * aplican.
+   */
+  load() {
+    try {
+      const { rules } = this.store.read();
+      const loaded = [];
+      const invalid = [];
+
+      rules.forEach((definition) => {
+        const rule = {
+          id: definition?.id || crypto.randomUUID(),
+          createdAt: definition?.createdAt || Date.now(),
+          updatedAt: definition?.updatedAt || Date.now(),
+        };
+        const error =
+          definition && typeof definition === "object"
+            ? this.applyDefinition(rule, definition, { checkTemplate: false })
+            : "La regla debe ser un objeto";
+        if (error) {
+          this.logger.error(`Regla ${rule.id} inválida: ${error}`);
+          invalid.push(definition);
+        } else {
+          loaded.push(rule);
+        }
+      });
+
+      this.rules = loaded;
+      this.invalidRules = invalid;
+      this.sort();
+    } catch (error) {
+      this.logger.error(
+        "Error cargando reglas de respuesta automática:",
+        error
+      );
+    }
+  }
+
+  persist() {
+    this.store.write({ rules: [...this.list(), ...this.invalidRules] });
+    this.lastWrite = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Recarga las reglas cuando el archivo cambia fuera de la API
+   */
+  watch() {
+    const watcher = fs.watchFile(
+      this.filePath,
+      { interval: this.reloadInterval },
+      (current) => {
+        if (!current.mtimeMs || current.mtimeMs === this.lastWrite) return;
+        this.logger.info("Reglas de respuesta automática recargadas");
+        this.load();
+      }
+    );
+    watcher.unref();
+  }
+
+  stop() {
+    fs.unwatchFile(this.filePath);
+  }
+
+  sort() {
+    // Mayor prioridad primero; a igual prioridad, la más antigua
+    this.rules.sort(
+      (a, b) => b.priority - a.priority || a.createdAt - b.createdAt
+    );
+  }
+
+  list() {
+    return this.rules.map(({ compiled, ...rule }) => rule);
+  }
+
+  get(id) {
+    const rule = this.rules.find((candidate) => candidate.id === id);
+    if (!rule) return null;
+    const { compiled, ...data } = rule;
+    return data;
+  }
+
+  /**
+   * Crea una regla. Devuelve { rule } o { error }
+   */
+  create(definition) {
+    const rule = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    const error = this.applyDefinition(rule, definition);
+    if (error) return { error };
+
+    this.rules.push(rule);
+    this.sort();
+    this.persist();
+    return { rule: this.get(rule.id) };
+  }
+
+  update(id, changes) {
+    const existing = this.rules.find((candidate) => candidate.id === id);
+    if (!existing) return null;
+
+    const rule = { ...existing, updatedAt: Date.now() };
+    const error = this.applyDefinition(rule, { ...this.get(id), ...changes });
+    if (error) return { error };
+
+    this.rules = this.rules.map((candidate) =>
+      candidate.id === id ? rule : candidate
+    );
+    this.sort();
+    this.persist();
+    return { rule: this.get(id) };
+  }
+
+  remove(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter((rule) => rule.id !== id);
+    if (this.rules.length === before) return false;
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Valida y copia la definición sobre la regla. Devuelve un mensaje de
+   * error o null. checkTemplate: false no exige que la plantilla exista
+   * (al cargar del archivo; si falta, se informa al responder).
+   */
+  applyDefinition(rule, definition, { checkTemplate = true } = {}) {
+    const {
+      name,
+      match,
+      reply,
+      priority = 0,
+      cooldown = this.defaultCooldown,
+      forward = false,
+      chatType = "private",
+      enabled = true,
+    } = definition;
+
+    if (!match || !MATCH_TYPES.includes(match.type)) {
+      return `"match.type" debe ser uno de: ${MATCH_TYPES.join(", ")}`;
+    }
+    let compiled;
+    try {
+      compiled = compileMatch(match);
+    } catch (error) {
+      return error.message;
+    }
+
+    if (!reply || (!reply.text && !reply.template && !reply.media)) {
+      return 'La respuesta requiere "reply.text", "reply.template" o "reply.media"';
+    }
+    if (reply.text) {
+      try {
+        parseTemplate(reply.text);
+      } catch (error) {
+        return `Texto de respuesta inválido: ${error.message}`;
+      }
+    }
+    if (
+      reply.template &&
+      checkTemplate &&
+      this.templates &&
+      !this.templates.get(reply.template)
+    ) {
+      return `Plantilla "${reply.template}" no encontrada`;
+    }
+    if (reply.media && !reply.media.url && !reply.media.data) {
+      return 'El media requiere "url" o "data" (base64) con "mimetype"';
+    }
+
+    if (!CHAT_TYPES.includes(chatType)) {
+      return `"chatType" debe ser uno de: ${CHAT_TYPES.join(", ")}`;
+    }
+    if (!Number.isFinite(priority) || !Number.isFinite(cooldown)) {
+      return '"priority" y "cooldown" deben ser números';
+    }
+
+    Object.assign(rule, {
+      name: name || null,
+      enabled: Boolean(enabled),
+      priority,
+      match,
+      reply,
+      cooldown: Math.max(0, cooldown),
+      forward: Boolean(forward),
+      chatType,
+      compiled,
+    });
+    return null;
+  }
+
+  /**
+   * Reglas habilitadas que coinciden con el mensaje, en orden de prioridad.
+   * context: { isFirstMessage, now }
+   */
+  match(data, { isFirstMessage = false, now = new Date() } = {}) {
+    const text = data.body || "";
+    const normalized = normalizeKeyword(text);
+
+    return this.rules.filter((rule) => {
+      if (!rule.enabled) return false;
+      if (rule.chatType === "private" && data.isGroupMsg) return false;
+      if (rule.chatType === "group" && !data.isGroupMsg) return false;
+
+      const { compiled } = rule;
+      switch (rule.match.type) {
+        case "exact":
+          return compiled.values.includes(normalized);
+        case "contains":
+          return (
+            normalized !== "" &&
+            compiled.values.some((value) => normalized.includes(value))
+          );
+        case "regex":
+          return compiled.pattern.test(text);
+        case "firstMessage":
+          return isFirstMessage;
+        case "outsideHours":
+          return !isWithinBusinessHours(
+            compiled.hours || this.businessHours,
+            now,
+            this.timezone
+          );
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * Texto de la respuesta con las variables del mensaje. Lanza un error si
+   * la plantilla ya no existe.
+   */
+  renderReply(rule, variables) {
+    const { reply } = rule;
+    const values = { ...variables, ...reply.variables };
+
+    if (reply.template) {
+      const result = this.templates?.render(reply.template, values);
+      if (!result) {
+        throw new Error(`Plantilla "${reply.template}" no encontrada`);
+      }
+      return result.text;
+    }
+    return reply.text ? renderTemplate(reply.text, values).text : null;
+  }
+}
+
+/**
+ * Prepara los datos de comparación de la regla. Lanza un error si son
+ * inválidos.
+ */
+function compileMatch(match) {
+  if (match.type === "exact" || match.type === "contains") {
+    const values = []
+      .concat(match.value ?? [])
+      .map((value) => normalizeKeyword(String(value)))
+      .filter(Boolean);
+    if (values.length === 0) {
+      throw new Error(`"match.value" es requerido para "${match.type}"`);
+    }
+    return { values };
+  }
+
+  if (match.type === "regex") {
+    if (!match.pattern) {
+      throw new Error('"match.pattern" es requerido para "regex"');
+    }
+    // g e y hacen que test() recuerde la última posición entre mensajes
+    if (/[gy]/.test(match.flags ?? "")) {
+      throw new Error('"match.flags" no admite "g" ni "y"');
+    }
+    try {
+      return { pattern: new RegExp(match.pattern, match.flags ?? "i") };
+    } catch (error) {
+      throw new Error(`Expresión regular inválida: ${match.pattern}`);
+    }
+  }
+
+  if (match.type === "outsideHours" && match.hours) {
+    return { hours: parseBusinessHours(match.hours) };
+  }
+  return {};
+}
+
+module.exports = AutoReplyRules;
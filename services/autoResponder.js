@@ -0,0 +1,131 @@
+const { renderTemplate } = require("../utils/template");
+
+const MAX_TRACKED_CHATS = 10000;
+
+/**
+ * Aplica las reglas de respuesta automática a los mensajes de una sesión
+ *
+ * Las reglas son comunes (AutoReplyRules); el enfriamiento por chat y el
+ * último mensaje recibido de cada chat (para "firstMessage") son propios de
+ * cada sesión.
+ */
+class AutoResponder {
+  constructor({ rules, conversationGap, bot, logger }) {
+    this.rules = rules;
+    this.conversationGap = conversationGap;
+    this.bot = bot;
+    this.logger = logger;
+    this.lastInbound = new Map();
+    this.cooldowns = new Map();
+  }
+
+  /**
+   * Registra el mensaje entrante y devuelve true si inicia una conversación
+   * (no hubo mensajes del chat dentro de conversationGap). Si el chat no
+   * está en memoria se consulta el historial de WhatsApp.
+   */
+  async observe(message, data) {
+    const chatId = data.from;
+    let previous = this.lastInbound.get(chatId);
+    if (previous === undefined && this.usesFirstMessage()) {
+      previous = await this.fetchPreviousInbound(message);
+    }
+
+    this.lastInbound.delete(chatId);
+    this.lastInbound.set(chatId, data.timestamp);
+    if (this.lastInbound.size > MAX_TRACKED_CHATS) {
+      this.lastInbound.delete(this.lastInbound.keys().next().value);
+    }
+
+    return !previous || data.timestamp - previous >= this.conversationGap;
+  }
+
+  usesFirstMessage() {
+    return this.rules
+      .list()
+      .some((rule) => rule.enabled && rule.match.type === "firstMessage");
+  }
+
+  async fetchPreviousInbound(message) {
+    try {
+      const chat = await message.getChat();
+      const messages = await chat.fetchMessages({ limit: 10 });
+      const previous = messages
+        .filter(
+          (candidate) =>
+            !candidate.fromMe &&
+            candidate.id._serialized !== message.id._serialized
+        )
+        .pop();
+      return previous ? previous.timestamp * 1000 : null;
+    } catch (error) {
+      this.logger.debug(`Sin historial para ${message.from}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Responde con la primera regla que coincide y no está en enfriamiento
+   * para el chat. Devuelve la regla aplicada o null.
+   */
+  async handle(message, data, { isFirstMessage = false } = {}) {
+    const now = Date.now();
+
+    for (const rule of this.rules.match(data, { isFirstMessage })) {
+      const key = `${rule.id}:${data.from}`;
+      const lastReply = this.cooldowns.get(key);
+      if (lastReply && now - lastReply < rule.cooldown) continue;
+
+      this.cooldowns.set(key, now);
+      this.pruneCooldowns(now);
+      this.logger.info(
+        `Respuesta automática "${rule.name || rule.id}" para ${data.from}`
+      );
+      await this.sendReply(message, data, rule);
+      return rule;
+    }
+    return null;
+  }
+
+  async sendReply(message, data, rule) {
+    const variables = {
+      contact: data.contact,
+      fromNumber: data.fromNumber,
+      body: data.body,
+      group: data.group,
+    };
+
+    try {
+      const text = this.rules.renderReply(rule, variables);
+      if (text) await this.bot.sendToChat(message.from, text);
+
+      const { media } = rule.reply;
+      if (media) {
+        await this.bot.sendToChat(
+          message.from,
+          await this.bot.createMedia(media),
+          {
+            caption: media.caption
+              ? renderTemplate(media.caption, variables).text
+              : undefined,
+          }
+        );
+      }
+    } catch (error) {
+      this.logger.error(
+        `Error enviando respuesta automática "${rule.name || rule.id}":`,
+        error
+      );
+    }
+  }
+
+  pruneCooldowns(now) {
+    if (this.cooldowns.size <= MAX_TRACKED_CHATS) return;
+    for (const [key, repliedAt] of this.cooldowns) {
+      const rule = this.rules.get(key.split(":")[0]);
+      if (!rule || now - repliedAt >= rule.cooldown) this.cooldowns.delete(key);
+    }
+  }
+}
+
+module.exports = AutoResponder;
@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+const JsonStore = require("../utils/jsonStore");
+
+const FINISHED = ["completed", "cancelled"];
+
+/**
+ * Campañas de envío masivo en segundo plano
+ *
+ * Cada campaña tiene un estado (running, paused, completed, cancelled) y un
+ * estado por destinatario (pending, sent, failed, skipped, cancelled). Se
+ * persisten tras cada envío para retomar las campañas activas al reiniciar;
+ * un mensaje cortado a mitad de envío puede repetirse una vez.
+ */
+class CampaignManager {
+  constructor({ filePath, maxCampaigns, pollInterval = 5000, bot, logger }) {
+    this.store = new JsonStore(filePath, { campaigns: [] });
+    this.maxCampaigns = maxCampaigns;
+    this.pollInterval = pollInterval;
+    this.bot = bot;
+    this.logger = logger;
+    this.campaigns = new Map();
+    this.running = new Set();
+    this.stopped = true;
+    this.load();
+  }
+
+  load() {
+    try {
+      const { campaigns } = this.store.read();
+      campaigns.forEach((campaign) =>
+        this.campaigns.set(campaign.id, campaign)
+      );
+    } catch (error) {
+      this.logger.error("Error cargando campañas:", error);
+    }
+  }
+
+  persist() {
+    try {
+      this.store.write({ campaigns: [...this.campaigns.values()] });
+    } catch (error) {
+      this.logger.error("Error guardando campañas:", error);
+    }
+  }
+
+  /**
+   * Retoma las campañas que estaban en curso
+   */
+  start() {
+    this.stopped = false;
+    for (const campaign of this.campaigns.values()) {
+      if (campaign.status === "running") this.run(campaign.id);
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Crea una campaña y comienza a enviarla. recipients: [{ number, message,
+   * skipReason }] con números normalizados; message por destinatario si se
+   * usó plantilla y skipReason para los que no deben recibirla (opt-out).
+   */
+  create({
+    recipients,
+    message,
+    template,
+    delay,
+    checkRegistered,
+    transactional,
+  }) {
+    const campaign = {
+      id: crypto.randomUUID(),
+      status: "running",
+      message,
+      template: template || null,
+      delay,
+      checkRegistered: Boolean(checkRegistered),
+      transactional: Boolean(transactional),
+      createdAt: Date.now(),
+      finishedAt: null,
+      recipients: recipients.map(({ number, message, skipReason }) => ({
+        number,
+        ...(message !== undefined && { message }),
+        status: skipReason ? "skipped" : "pending",
+        messageId: null,
+        error: skipReason || null,
+        sentAt: null,
+      })),
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    this.prune();
+    this.persist();
+    this.logger.info(
+      `Campaña creada: ${campaign.id} (${recipients.length} destinatarios)`
+    );
+
+    if (!this.stopped) this.run(campaign.id);
+    return campaign;
+  }
+
+  /**
+   * Descarta las campañas terminadas más antiguas por encima del máximo
+   */
+  prune() {
+    const finished = [...this.campaigns.values()].filter((campaign) =>
+      FINISHED.includes(campaign.status)
+    );
+    const excess = this.campaigns.size - this.maxCampaigns;
+    finished
+      .slice(0, Math.max(0, excess))
+      .forEach((campaign) => this.campaigns.delete(campaign.id));
+  }
+
+  get(id) {
+    return this.campaigns.get(id) || null;
+  }
+
+  list() {
+    return [...this.campaigns.values()].map((campaign) =>
+      this.summarize(campaign)
+    );
+  }
+
+  /**
+   * Campaña sin la lista de destinatarios, con contadores por estado
+   */
+  summarize(campaign) {
+    const { recipients, ...summary } = campaign;
+    const counts = { pending: 0, sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+    recipients.forEach((recipient) => counts[recipient.status]++);
+    return { ...summary, total: recipients.length, ...counts };
+  }
+
+  pause(id) {
+    const campaign = this.get(id);
+    if (!campaign) return null;
+    if (campaign.status !== "running") {
+      return {
+        error: `La campaña está ${campaign.status}, no se puede pausar`,
+      };
+    }
+
+    campaign.status = "paused";
+    this.persist();
+    return { campaign };
+  }
+
+  resume(id) {
+    const campaign = this.get(id);
+    if (!campaign) return null;
+    if (campaign.status !== "paused") {
+      return {
+        error: `La campaña está ${campaign.status}, no se puede reanudar`,
+      };
+    }
+
+    campaign.status = "running";
+    this.persist();
+    if (!this.stopped) this.run(id);
+    return { campaign };
+  }
+
+  cancel(id) {
+    const campaign = this.get(id);
+    if (!campaign) return null;
+    if (FINISHED.includes(campaign.status)) {
+      return {
+        error: `La campaña está ${campaign.status}, no se puede cancelar`,
+      };
+    }
+
+    campaign.status = "cancelled";
+    campaign.finishedAt = Date.now();
+    campaign.recipients
+      .filter((recipient) => recipient.status === "pending")
+      .forEach((recipient) => (recipient.status = "cancelled"));
+    this.persist();
+    return { campaign };
+  }
+
+  /**
+   * Envía los destinatarios pendientes de a uno, respetando la pausa entre
+   * mensajes. Se detiene si la campaña deja de estar en curso; sin conexión
+   * espera a que el bot se reconecte.
+   */
+  async run(id) {
+    if (this.running.has(id)) return;
+    this.running.add(id);
+
+    try {
+      while (!this.stopped) {
+        const campaign = this.get(id);
+        if (!campaign || campaign.status !== "running") break;
+
+        const recipient = campaign.recipients.find(
+          (entry) => entry.status === "pending"
+        );
+        if (!recipient) {
+          campaign.status = "completed";
+          campaign.finishedAt = Date.now();
+          this.persist();
+          this.logger.info(`Campaña completada: ${id}`);
+          break;
+        }
+
+        if (!this.bot.isConnected) {
+          await sleep(this.pollInterval);
+          continue;
+        }
+
+        const sent = await this.sendTo(campaign, recipient);
+        this.persist();
+
+        if (sent) await sleep(campaign.delay);
+      }
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  /**
+   * Envía a un destinatario. Devuelve true si se intentó el envío.
+   */
+  async sendTo(campaign, recipient) {
+    try {
+      if (campaign.checkRegistered) {
+        const check = await this.bot.numberChecker.check(recipient.number);
+        if (!check.registered) {
+          recipient.status = "skipped";
+          recipient.error = "El número no tiene WhatsApp";
+          return false;
+        }
+      }
+
+      const result = await this.bot.sendMessage(
+        recipient.number,
+        recipient.message || campaign.message,
+        { transactional: campaign.transactional }
+      );
+      recipient.status = "sent";
+      recipient.messageId = result.messageId;
+      recipient.sentAt = Date.now();
+    } catch (error) {
+      // Se dio de baja después de crear la campaña
+      if (error.code === "OPTED_OUT") {
+        recipient.status = "skipped";
+        recipient.error = error.message;
+        return false;
+      }
+      this.logger.error(`Error en campaña ${campaign.id}:`, {
+        number: recipient.number,
+        error: error.message,
+      });
+      recipient.status = "failed";
+      recipient.error = error.message;
+    }
+    return true;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = CampaignManager;
@@ -0,0 +1,325 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+const SCOPES = ["all", "group", "private"];
+const ARG_TYPES = ["string", "number"];
+
+/**
+ * Comandos de chat ("!help", "!horario fecha", ...)
+ *
+ * Un comando se define con:
+ *   { name, aliases, description, args, scope, adminOnly, cooldown, handle }
+ *   - args:      [{ name, type ("string"|"number"), required, choices, rest }]
+ *                rest toma el resto del texto como un solo argumento
+ *   - scope:     "all" (por defecto), "group" o "private"
+ *   - adminOnly: solo los números de COMMAND_ADMINS
+ *   - cooldown:  ms mínimos entre usos de un mismo remitente
+ *   - handle:    async (ctx) con ctx.args, ctx.argv, ctx.reply(), ctx.data
+ *
+ * Los mensajes con el prefijo que no corresponden a ningún comando siguen el
+ * camino normal hacia N8N.
+ */
+class CommandRouter {
+  constructor({ prefix, admins = [], bot, logger }) {
+    this.prefix = prefix;
+    this.admins = new Set(admins);
+    this.bot = bot;
+    this.logger = logger;
+    this.commands = new Map();
+    this.aliases = new Map();
+    this.cooldowns = new Map();
+    this.register(createHelpCommand(this));
+  }
+
+  /**
+   * Registra un comando. Lanza un error si la definición es inválida o el
+   * nombre ya está en uso.
+   */
+  register(definition) {
+    const command = {
+      aliases: [],
+      description: "",
+      args: [],
+      scope: "all",
+      adminOnly: false,
+      cooldown: 0,
+      ...definition,
+    };
+    command.name = String(command.name || "").toLowerCase();
+    command.aliases = command.aliases.map((alias) => alias.toLowerCase());
+
+    if (!command.name || /\s/.test(command.name)) {
+      throw new Error("El comando requiere un nombre sin espacios");
+    }
+    if (typeof command.handle !== "function") {
+      throw new Error(`El comando "${command.name}" no define handle()`);
+    }
+    if (!SCOPES.includes(command.scope)) {
+      throw new Error(`Ámbito de comando inválido: ${command.scope}`);
+    }
+    command.args.forEach((arg) => {
+      if (!arg.name || !ARG_TYPES.includes(arg.type || "string")) {
+        throw new Error(`Argumento inválido en el comando "${command.name}"`);
+      }
+    });
+
+    for (const name of [command.name, ...command.aliases]) {
+      if (this.resolve(name)) {
+        throw new Error(`El comando "${name}" ya está registrado`);
+      }
+    }
+
+    this.commands.set(command.name, command);
+    command.aliases.forEach((alias) => this.aliases.set(alias, command.name));
+    return this;
+  }
+
+  /**
+   * Carga los comandos de un directorio. Cada módulo exporta una definición,
+   * un array de definiciones o una factory (bot) => definición(es). Los
+   * archivos *.example.js se ignoran.
+   */
+  loadDirectory(dir) {
+    const resolved = path.resolve(dir);
+    if (!fs.existsSync(resolved)) {
+      this.logger.debug(`Sin directorio de comandos en ${resolved}`);
+      return;
+    }
+
+    fs.readdirSync(resolved)
+      .filter((file) => file.endsWith(".js") && !file.endsWith(".example.js"))
+      .sort()
+      .forEach((file) => {
+        try {
+          let exported = require(path.join(resolved, file));
+          if (typeof exported === "function") exported = exported(this.bot);
+          [].concat(exported).forEach((command) => this.register(command));
+        } catch (error) {
+          this.logger.error(`Error cargando comando ${file}:`, error);
+        }
+      });
+
+    this.logger.info(
+      `Comandos cargados: ${this.list()
+        .map((command) => command.name)
+        .join(", ")}`
+    );
+  }
+
+  resolve(name) {
+    const key = String(name).toLowerCase();
+    return this.commands.get(this.aliases.get(key) || key) || null;
+  }
+
+  list() {
+    return [...this.commands.values()];
+  }
+
+  isAdmin(number) {
+    return this.admins.has(number);
+  }
+
+  /**
+   * Comandos que puede usar el remitente en ese tipo de chat
+   */
+  available(data) {
+    return this.list().filter(
+      (command) =>
+        isAllowedIn(command, data) &&
+        (!command.adminOnly || this.isAdmin(data.fromNumber))
+    );
+  }
+
+  /**
+   * Ejecuta el comando del mensaje, si lo hay. Devuelve true si el mensaje
+   * era un comando conocido (y no debe seguir hacia N8N).
+   */
+  async handle(message, data) {
+    const body = (data.body || "").trim();
+    if (!this.prefix || !body.startsWith(this.prefix)) return false;
+
+    const [name, ...rest] = body.slice(this.prefix.length).split(/\s+/);
+    const command = name ? this.resolve(name) : null;
+    if (!command) return false;
+
+    const ctx = {
+      message,
+      data,
+      bot: this.bot,
+      command,
+      router: this,
+      prefix: this.prefix,
+      argv: tokenize(rest.join(" ")),
+      args: {},
+      reply: (content, options) =>
+        this.bot.sendToChat(message.from, content, options),
+    };
+
+    if (!isAllowedIn(command, data)) {
+      await ctx.reply(
+        command.scope === "group"
+          ? `El comando ${this.prefix}${command.name} solo se puede usar en grupos.`
+          : `El comando ${this.prefix}${command.name} solo se puede usar en chat privado.`
+      );
+      return true;
+    }
+    if (command.adminOnly && !this.isAdmin(data.fromNumber)) {
+      await ctx.reply("No tenés permiso para usar este comando.");
+      return true;
+    }
+
+    const wait = this.getCooldown(command, data.fromNumber);
+    if (wait > 0) {
+      await ctx.reply(
+        `Esperá ${Math.ceil(wait / 1000)}s para volver a usar ${this.prefix}${command.name}.`
+      );
+      return true;
+    }
+
+    const parsed = parseArgs(command, ctx.argv);
+    if (parsed.error) {
+      await ctx.reply(`${parsed.error}\nUso: ${formatUsage(command, this)}`);
+      return true;
+    }
+    ctx.args = parsed.args;
+
+    this.logger.info(`Comando ${command.name} de ${data.fromNumber}`);
+    try {
+      if (command.cooldown) {
+        this.cooldowns.set(`${command.name}:${data.fromNumber}`, Date.now());
+      }
+      await command.handle(ctx);
+    } catch (error) {
+      this.logger.error(`Error ejecutando comando "${command.name}":`, error);
+      await ctx.reply(config.messages.error);
+    }
+    return true;
+  }
+
+  /**
+   * ms que faltan para que el remitente pueda volver a usar el comando
+   */
+  getCooldown(command, number) {
+    if (!command.cooldown) return 0;
+
+    const now = Date.now();
+    if (this.cooldowns.size > 1000) {
+      for (const [key, usedAt] of this.cooldowns) {
+        const { cooldown } = this.resolve(key.split(":")[0]) || {};
+        if (!cooldown || now - usedAt >= cooldown) this.cooldowns.delete(key);
+      }
+    }
+
+    const usedAt = this.cooldowns.get(`${command.name}:${number}`);
+    return usedAt ? Math.max(0, usedAt + command.cooldown - now) : 0;
+  }
+}
+
+function isAllowedIn(command, data) {
+  if (command.scope === "group") return data.isGroupMsg;
+  if (command.scope === "private") return !data.isGroupMsg;
+  return true;
+}
+
+/**
+ * Separa el texto en argumentos respetando comillas ("dos palabras")
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+/**
+ * Asigna los argumentos según la definición. Devuelve { args } o { error }.
+ */
+function parseArgs(command, argv) {
+  const args = {};
+
+  for (let i = 0; i < command.args.length; i++) {
+    const definition = command.args[i];
+    const raw = definition.rest ? argv.slice(i).join(" ") : argv[i];
+
+    if (raw === undefined || raw === "") {
+      if (definition.required) {
+        return { error: `Falta el argumento "${definition.name}".` };
+      }
+      args[definition.name] = definition.default ?? null;
+      continue;
+    }
+
+    let value = raw;
+    if (definition.type === "number") {
+      value = Number(raw.replace(",", "."));
+      if (Number.isNaN(value)) {
+        return { error: `"${definition.name}" debe ser un número.` };
+      }
+    }
+    if (
+      definition.choices &&
+      !definition.choices
+        .map((choice) => String(choice).toLowerCase())
+        .includes(String(value).toLowerCase())
+    ) {
+      return {
+        error: `"${definition.name}" debe ser: ${definition.choices.join(", ")}.`,
+      };
+    }
+
+    args[definition.name] = value;
+  }
+
+  return { args };
+}
+
+function formatUsage(command, router) {
+  const args = command.args.map((arg) =>
+    arg.required ? `<${arg.name}>` : `[${arg.name}]`
+  );
+  return [`${router.prefix}${command.name}`, ...args].join(" ");
+}
+
+/**
+ * Comando "help" incorporado, generado a partir de las definiciones
+ */
+function createHelpCommand(router) {
+  return {
+    name: "help",
+    aliases: ["ayuda"],
+    description: "Lista los comandos disponibles",
+    args: [{ name: "comando" }],
+    handle: async (ctx) => {
+      const available = router.available(ctx.data);
+
+      if (ctx.args.comando) {
+        const command = router.resolve(
+          ctx.args.comando.replace(router.prefix, "")
+        );
+        if (!command || !available.includes(command)) {
+          return ctx.reply(`No existe el comando "${ctx.args.comando}".`);
+        }
+        const lines = [`*${formatUsage(command, router)}*`];
+        if (command.description) lines.push(command.description);
+        if (command.aliases.length > 0) {
+          lines.push(
+            `Alias: ${command.aliases.map((alias) => router.prefix + alias).join(", ")}`
+          );
+        }
+        return ctx.reply(lines.join("\n"));
+      }
+
+      const lines = available.map(
+        (command) =>
+          `${formatUsage(command, router)}${command.description ? ` - ${command.description}` : ""}`
+      );
+      return ctx.reply(`*Comandos disponibles*\n${lines.join("\n")}`);
+    },
+  };
+}
+
+module.exports = CommandRouter;
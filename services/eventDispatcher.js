@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Versión del formato del sobre de eventos
+ */
+const EVENT_VERSION = "1.0";
+
+/**
+ * Tipos de evento que pueden suscribirse
+ */
+const EVENT_TYPES = [
+  "message",
+  "message_create",
+  "message_revoke",
+  "message_edit",
+  "message_reaction",
+  "message_ack",
+  "group_join",
+  "group_leave",
+  "call",
+  "qr",
+  "ready",
+  "authenticated",
+  "auth_failure",
+  "disconnected",
+  "state_change",
+  "flow_completed",
+];
+
+/**
+ * Despacha eventos de WhatsApp a las URLs suscritas con un sobre versionado:
+ * { event, version, session, timestamp, data }
+ *
+ * Las suscripciones se leen de un archivo JSON
+ * ({ "subscriptions": [{ "name", "url", "events": ["message", "qr"] }] })
+ * y de EVENT_WEBHOOK_URL / EVENT_TYPES. "*" suscribe a todos los eventos.
+ * Las entregas usan la cola persistente de webhooks.
+ */
+class EventDispatcher {
+  constructor({ sessionId, webhookQueue, logger }) {
+    this.sessionId = sessionId;
+    this.webhookQueue = webhookQueue;
+    this.logger = logger;
+    this.subscriptions = [];
+  }
+
+  /**
+   * Agrega una suscripción validando los tipos de evento
+   */
+  subscribe({ name, url, events }) {
+    if (!url) {
+      throw new Error(`La suscripción "${name}" no define "url"`);
+    }
+    if (events !== undefined && !Array.isArray(events)) {
+      throw new Error('"events" debe ser un array');
+    }
+
+    const unknown = (events || []).filter(
+      (event) => event !== "*" && !EVENT_TYPES.includes(event)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Tipos de evento desconocidos: ${unknown.join(", ")}`);
+    }
+
+    this.subscriptions.push({ name: name || url, url, events: events || [] });
+  }
+
+  /**
+   * Carga las suscripciones de configuración (archivo y variables de entorno).
+   * Un archivo o una suscripción inválidos se registran y se omiten
+   */
+  load({ subscriptionsFile, webhookUrl, types }) {
+    const resolved = path.resolve(subscriptionsFile);
+    if (fs.existsSync(resolved)) {
+      try {
+        const { subscriptions = [] } = JSON.parse(
+          fs.readFileSync(resolved, "utf8")
+        );
+        if (!Array.isArray(subscriptions)) {
+          throw new Error('"subscriptions" debe ser un array');
+        }
+        subscriptions
+          .filter((subscription) => subscription?.enabled !== false)
+          .forEach((subscription) => this.trySubscribe(subscription));
+      } catch (error) {
+        this.logger.error(
+          `Configuración de eventos inválida en ${resolved}: ${error.message}`
+        );
+      }
+    }
+
+    if (webhookUrl && types.length > 0) {
+      this.trySubscribe({ name: "env", url: webhookUrl, events: types });
+    }
+
+    if (this.subscriptions.length > 0) {
+      this.logger.info(
+        `Suscripciones de eventos: ${this.subscriptions.map((s) => `${s.name} [${s.events.join(",")}]`).join("; ")}`
+      );
+    }
+  }
+
+  /**
+   * Como subscribe(), pero registra el error y omite la suscripción
+   */
+  trySubscribe(subscription) {
+    try {
+      if (!subscription || typeof subscription !== "object") {
+        throw new Error("La suscripción debe ser un objeto");
+      }
+      this.subscribe(subscription);
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Suscripción de eventos "${subscription?.name || subscription?.url || "sin nombre"}" omitida: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Envía el evento a todas las suscripciones que lo incluyan
+   */
+  emit(event, data) {
+    const targets = this.subscriptions.filter(
+      (s) => s.events.includes("*") || s.events.includes(event)
+    );
+    if (targets.length === 0) return;
+
+    const envelope = {
+      event,
+      version: EVENT_VERSION,
+      session: this.sessionId,
+      timestamp: Date.now(),
+      data,
+    };
+
+    targets.forEach((subscription) => {
+      this.webhookQueue.deliver(subscription.url, envelope).catch((error) => {
+        this.logger.warn(
+          `Error enviando evento "${event}" a ${subscription.name}, se reintentará:`,
+          { error: error.message }
+        );
+      });
+    });
+  }
+
+  list() {
+    return this.subscriptions.map(({ name, events }) => ({ name, events }));
+  }
+}
+
+module.exports = EventDispatcher;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.EVENT_VERSION = EVENT_VERSION;
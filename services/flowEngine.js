@@ -0,0 +1,533 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const JsonStore = require("../utils/jsonStore");
+const { renderTemplate, parseTemplate } = require("../utils/template");
+const { normalizeKeyword } = require("../utils/text");
+const { validateAnswer, checkValidator } = require("../utils/flowValidators");
+
+const END = "end";
+const FLOW_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+/**
+ * Motor de flujos de conversación de varios pasos (encuestas, reservas...)
+ *
+ * Los flujos se definen en archivos JSON o YAML del directorio FLOWS_DIR:
+ *
+ *   name: reserva
+ *   trigger: { keywords: [reservar] }      # o { pattern: "^reserv" }
+ *   timeout: 900000                        # ms sin respuesta
+ *   cancelKeywords: [cancelar]
+ *   steps:
+ *     fecha:
+ *       prompt: "¿Para qué fecha? (DD/MM/AAAA)"
+ *       validate: { type: date, future: true }
+ *       error: "Ingresá una fecha futura."
+ *       branches: [{ if: { answer: fecha, equals: "2025-12-25" }, goto: feriado }]
+ *       next: hora                         # "end" o sin next termina el flujo
+ *   completeMessage: "¡Gracias {{contact.name}}!"
+ *
+ * Los textos son plantillas ({{contact.name}}, {{answers.fecha}},
+ * {{inputs.fecha}} con el texto tal cual lo escribió el usuario). El estado
+ * de cada chat se persiste en disco; al completarse se envían las respuestas
+ * al webhook del flujo (o al de N8N). Solo se usan en chats privados.
+ */
+class FlowEngine {
+  constructor({
+    dir,
+    filePath,
+    timeout,
+    cancelKeywords,
+    cancelMessage,
+    timeoutMessage,
+    sweepInterval,
+    webhookUrl,
+    timezone,
+    bot,
+    logger,
+  }) {
+    this.dir = dir;
+    this.store = new JsonStore(filePath, { sessions: [] });
+    this.timeout = timeout;
+    this.cancelKeywords = cancelKeywords;
+    this.cancelMessage = cancelMessage;
+    this.timeoutMessage = timeoutMessage;
+    this.sweepInterval = sweepInterval;
+    this.webhookUrl = webhookUrl;
+    this.timezone = timezone;
+    this.bot = bot;
+    this.logger = logger;
+    this.flows = new Map();
+    this.sessions = new Map();
+    this.timer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const { sessions } = this.store.read();
+      sessions.forEach((session) => this.sessions.set(session.chatId, session));
+    } catch (error) {
+      this.logger.error("Error cargando estado de flujos:", error);
+    }
+  }
+
+  persist() {
+    try {
+      this.store.write({ sessions: [...this.sessions.values()] });
+    } catch (error) {
+      this.logger.error("Error guardando estado de flujos:", error);
+    }
+  }
+
+  /**
+   * (Re)carga las definiciones del directorio. Un archivo inválido se
+   * informa y se omite sin afectar al resto. Los *.example.* se ignoran.
+   */
+  loadFlows() {
+    const resolved = path.resolve(this.dir);
+    const flows = new Map();
+    const errors = [];
+
+    if (fs.existsSync(resolved)) {
+      fs.readdirSync(resolved)
+        .filter(
+          (file) =>
+            FLOW_EXTENSIONS.includes(path.extname(file)) &&
+            !file.includes(".example.")
+        )
+        .sort()
+        .forEach((file) => {
+          try {
+            const content = fs.readFileSync(path.join(resolved, file), "utf8");
+            const definition =
+              path.extname(file) === ".json"
+                ? JSON.parse(content)
+                : yaml.load(content);
+            const flow = compileFlow(definition);
+            if (flows.has(flow.name)) {
+              throw new Error(`El flujo "${flow.name}" está duplicado`);
+            }
+            flows.set(flow.name, flow);
+          } catch (error) {
+            this.logger.error(`Flujo inválido en ${file}: ${error.message}`);
+            errors.push({ file, error: error.message });
+          }
+        });
+    } else {
+      this.logger.debug(`Sin directorio de flujos en ${resolved}`);
+    }
+
+    this.flows = flows;
+    if (flows.size > 0) {
+      this.logger.info(`Flujos cargados: ${[...flows.keys()].join(", ")}`);
+    }
+    return { flows: [...flows.keys()], errors };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.expireSessions(), this.sweepInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  list() {
+    return [...this.flows.values()].map((flow) => ({
+      name: flow.name,
+      description: flow.description || null,
+      trigger: flow.trigger || null,
+      steps: Object.keys(flow.steps),
+      timeout: flow.timeout || this.timeout,
+      activeSessions: [...this.sessions.values()].filter(
+        (session) => session.flow === flow.name
+      ).length,
+    }));
+  }
+
+  listSessions({ flow } = {}) {
+    return [...this.sessions.values()].filter(
+      (session) => !flow || session.flow === flow
+    );
+  }
+
+  getSession(chatId) {
+    return this.sessions.get(chatId) || null;
+  }
+
+  /**
+   * Procesa un mensaje entrante. Devuelve true si lo consumió un flujo (en
+   * curso o iniciado por su disparador) y no debe seguir hacia N8N.
+   */
+  async handle(message, data) {
+    if (data.isGroupMsg) return false;
+
+    const chatId = data.from;
+    const text = (data.body || "").trim();
+    let session = this.getSession(chatId);
+
+    if (session && session.expiresAt <= Date.now()) {
+      await this.expire(session);
+      session = null;
+    }
+
+    if (session) {
+      const flow = this.flows.get(session.flow);
+      if (!flow) {
+        this.logger.warn(`Flujo "${session.flow}" ya no existe, se descarta`);
+        this.sessions.delete(chatId);
+        this.persist();
+        return false;
+      }
+
+      const cancelKeywords = flow.cancelKeywords || this.cancelKeywords;
+      if (
+        cancelKeywords.map(normalizeKeyword).includes(normalizeKeyword(text))
+      ) {
+        await this.cancel(chatId, { notify: true });
+        return true;
+      }
+
+      return this.answer(session, flow, text);
+    }
+
+    const flow = this.findTrigger(text);
+    if (!flow) return false;
+
+    await this.startFlow(chatId, flow.name, {
+      contact: data.contact,
+      fromNumber: data.fromNumber,
+    });
+    return true;
+  }
+
+  findTrigger(text) {
+    const normalized = normalizeKeyword(text);
+    if (!normalized) return null;
+
+    return (
+      [...this.flows.values()].find(({ trigger }) => {
+        if (!trigger) return false;
+        if (
+          (trigger.keywords || []).some(
+            (keyword) => normalizeKeyword(keyword) === normalized
+          )
+        ) {
+          return true;
+        }
+        return Boolean(
+          trigger.pattern && new RegExp(trigger.pattern, "i").test(text)
+        );
+      }) || null
+    );
+  }
+
+  /**
+   * Inicia un flujo en un chat (reemplaza el que hubiera en curso) y envía
+   * la primera pregunta. variables queda disponible en las plantillas.
+   */
+  async startFlow(chatId, name, { contact, fromNumber, variables } = {}) {
+    const flow = this.flows.get(name);
+    if (!flow) {
+      const error = new Error(`Flujo no encontrado: ${name}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      chatId,
+      flow: flow.name,
+      step: flow.start,
+      answers: {},
+      inputs: {},
+      variables: {
+        ...variables,
+        contact: contact || { name: null, number: fromNumber || null },
+        fromNumber: fromNumber || null,
+      },
+      startedAt: now,
+      updatedAt: now,
+      expiresAt: now + (flow.timeout || this.timeout),
+    };
+
+    this.sessions.set(chatId, session);
+    this.persist();
+    this.logger.info(`Flujo "${flow.name}" iniciado en ${chatId}`);
+
+    await this.send(chatId, flow.steps[flow.start].prompt, session);
+    return session;
+  }
+
+  /**
+   * Valida la respuesta del paso actual y avanza al siguiente. Devuelve false
+   * si el paso ya no existe en el flujo (se editó y recargó): la sesión se
+   * descarta y el mensaje sigue su curso
+   */
+  async answer(session, flow, text) {
+    const step = flow.steps[session.step];
+    if (!step) {
+      this.logger.warn(
+        `Paso "${session.step}" ya no existe en el flujo "${flow.name}", se descarta`
+      );
+      this.sessions.delete(session.chatId);
+      this.persist();
+      return false;
+    }
+
+    const result = validateAnswer(step.validate, text, {
+      timezone: this.timezone,
+    });
+    this.touch(session, flow);
+
+    if (result.error) {
+      this.persist();
+      await this.send(session.chatId, step.error || result.error, session);
+      return true;
+    }
+
+    const key = step.save || session.step;
+    session.answers[key] = result.value;
+    session.inputs[key] = text;
+
+    const next = resolveNext(step, session.answers);
+    if (next === END) {
+      await this.complete(session, flow);
+      return true;
+    }
+
+    session.step = next;
+    this.persist();
+    await this.send(session.chatId, flow.steps[next].prompt, session);
+    return true;
+  }
+
+  async complete(session, flow) {
+    this.sessions.delete(session.chatId);
+    this.persist();
+
+    const payload = {
+      event: "flow_completed",
+      sessionId: this.bot.sessionId,
+      flow: flow.name,
+      runId: session.id,
+      chatId: session.chatId,
+      fromNumber: session.variables.fromNumber,
+      contact: session.variables.contact,
+      answers: session.answers,
+      inputs: session.inputs,
+      startedAt: session.startedAt,
+      completedAt: Date.now(),
+    };
+    this.logger.info(`Flujo "${flow.name}" completado en ${session.chatId}`);
+
+    if (flow.completeMessage) {
+      await this.send(session.chatId, flow.completeMessage, session);
+    }
+
+    const url = flow.webhookUrl || this.webhookUrl || this.bot.webhookUrl;
+    if (url && flow.webhook !== false) {
+      this.bot.webhookQueue.deliver(url, payload).catch((error) => {
+        this.logger.warn(
+          `Error enviando flujo completado a ${url}, se reintentará:`,
+          { error: error.message }
+        );
+      });
+    }
+    this.bot.events.emit("flow_completed", payload);
+  }
+
+  /**
+   * Cancela el flujo en curso de un chat. Devuelve la sesión o null.
+   */
+  async cancel(chatId, { notify = false } = {}) {
+    const session = this.getSession(chatId);
+    if (!session) return null;
+
+    this.sessions.delete(chatId);
+    this.persist();
+    this.logger.info(`Flujo "${session.flow}" cancelado en ${chatId}`);
+
+    const flow = this.flows.get(session.flow);
+    const message = flow?.cancelMessage ?? this.cancelMessage;
+    if (notify && message) await this.send(chatId, message, session);
+    return session;
+  }
+
+  async expire(session) {
+    this.sessions.delete(session.chatId);
+    this.persist();
+    this.logger.info(
+      `Flujo "${session.flow}" vencido sin respuesta en ${session.chatId}`
+    );
+
+    const flow = this.flows.get(session.flow);
+    const message = flow?.timeoutMessage ?? this.timeoutMessage;
+    if (message && this.bot.isConnected) {
+      await this.send(session.chatId, message, session);
+    }
+  }
+
+  /**
+   * Vence los flujos sin respuesta dentro del timeout
+   */
+  async expireSessions() {
+    const now = Date.now();
+    for (const session of this.listSessions()) {
+      if (session.expiresAt <= now) await this.expire(session);
+    }
+  }
+
+  touch(session, flow) {
+    session.updatedAt = Date.now();
+    session.expiresAt = session.updatedAt + (flow.timeout || this.timeout);
+  }
+
+  async send(chatId, text, session) {
+    const { text: rendered } = renderTemplate(text, {
+      ...session.variables,
+      id: session.id,
+      answers: session.answers,
+      inputs: session.inputs,
+    });
+    try {
+      await this.bot.sendToChat(chatId, rendered);
+    } catch (error) {
+      this.logger.error(`Error enviando mensaje de flujo a ${chatId}:`, error);
+    }
+  }
+}
+
+/**
+ * Valida la definición y completa los valores por defecto. Lanza un error
+ * con el primer problema encontrado.
+ */
+function compileFlow(definition) {
+  if (!definition || typeof definition !== "object") {
+    throw new Error("La definición debe ser un objeto");
+  }
+  const { name, steps } = definition;
+  if (!name || typeof name !== "string") {
+    throw new Error('El flujo requiere "name"');
+  }
+  if (!steps || typeof steps !== "object" || Object.keys(steps).length === 0) {
+    throw new Error(`El flujo "${name}" requiere "steps"`);
+  }
+
+  const stepIds = Object.keys(steps);
+  const start = definition.start || stepIds[0];
+  const isTarget = (target) => target === END || stepIds.includes(target);
+  if (!steps[start]) throw new Error(`Paso inicial inexistente: ${start}`);
+
+  ["completeMessage", "cancelMessage", "timeoutMessage"].forEach((key) => {
+    if (definition[key]) checkTemplate(definition[key], `${name}.${key}`);
+  });
+  if (definition.trigger?.pattern) new RegExp(definition.trigger.pattern, "i");
+
+  stepIds.forEach((id) => {
+    const step = steps[id];
+    if (!step || !step.prompt) {
+      throw new Error(`El paso "${id}" requiere "prompt"`);
+    }
+    checkTemplate(step.prompt, `${id}.prompt`);
+    const validatorError = checkValidator(step.validate);
+    if (validatorError) throw new Error(`Paso "${id}": ${validatorError}`);
+    if (step.next && !isTarget(step.next)) {
+      throw new Error(`Paso "${id}": destino inexistente ${step.next}`);
+    }
+    (step.branches || []).forEach((branch) => {
+      if (!branch.if || !branch.if.answer || !isTarget(branch.goto)) {
+        throw new Error(
+          `Paso "${id}": cada rama requiere "if.answer" y un "goto" válido`
+        );
+      }
+      const conditionError = checkCondition(branch.if);
+      if (conditionError) throw new Error(`Paso "${id}": ${conditionError}`);
+    });
+  });
+
+  return { ...definition, start };
+}
+
+/**
+ * Revisa los operadores de una condición de rama. Devuelve un mensaje de
+ * error o null.
+ */
+function checkCondition(condition) {
+  if (condition.in !== undefined && !Array.isArray(condition.in)) {
+    return '"if.in" debe ser una lista';
+  }
+  for (const key of ["min", "max"]) {
+    if (condition[key] !== undefined && !Number.isFinite(condition[key])) {
+      return `"if.${key}" debe ser un número`;
+    }
+  }
+  if (condition.matches !== undefined) {
+    try {
+      new RegExp(condition.matches, "i");
+    } catch (error) {
+      return `Expresión regular inválida: ${condition.matches}`;
+    }
+  }
+  return null;
+}
+
+function checkTemplate(text, where) {
+  try {
+    parseTemplate(String(text));
+  } catch (error) {
+    throw new Error(`Plantilla inválida en ${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Próximo paso: la primera rama cuya condición se cumple, o "next"
+ */
+function resolveNext(step, answers) {
+  const branch = (step.branches || []).find((candidate) =>
+    matchesCondition(candidate.if, answers[candidate.if.answer])
+  );
+  return (branch ? branch.goto : step.next) || END;
+}
+
+/**
+ * Condición de rama: { answer, equals, in, min, max, matches }. Todas las
+ * que se indiquen deben cumplirse.
+ */
+function matchesCondition(condition, value) {
+  if (value === undefined) return false;
+  const text = String(value).toLowerCase();
+
+  if (
+    condition.equals !== undefined &&
+    String(condition.equals).toLowerCase() !== text
+  ) {
+    return false;
+  }
+  if (
+    condition.in &&
+    !condition.in.map((item) => String(item).toLowerCase()).includes(text)
+  ) {
+    return false;
+  }
+  if (condition.min !== undefined && !(Number(value) >= condition.min)) {
+    return false;
+  }
+  if (condition.max !== undefined && !(Number(value) <= condition.max)) {
+    return false;
+  }
+  if (condition.matches && !new RegExp(condition.matches, "i").test(text)) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = FlowEngine;
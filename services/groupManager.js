@@ -0,0 +1,390 @@
+const config = require("../config");
+const PhoneValidator = require("../utils/phoneValidator");
+
+const phoneOptions = { defaultRegion: config.regional.defaultCountry };
+const INVITE_LINK_PREFIX = "https://chat.whatsapp.com/";
+
+/**
+ * Administración de grupos sobre el cliente de whatsapp-web.js
+ *
+ * Los grupos se identifican por su id ("...@g.us", el sufijo es opcional) y
+ * los participantes por número o id de WhatsApp. Las operaciones sobre
+ * varios participantes devuelven un resultado por cada uno, de modo que un
+ * número inválido o que no pertenece al grupo no corta al resto.
+ */
+class GroupManager {
+  constructor({ bot, logger }) {
+    this.bot = bot;
+    this.logger = logger;
+  }
+
+  get client() {
+    return this.bot.client;
+  }
+
+  /**
+   * Chat del grupo o error 404 si no existe o no es un grupo
+   */
+  async getGroupChat(groupId) {
+    const id = normalizeGroupId(groupId);
+    let chat = null;
+    try {
+      chat = await this.client.getChatById(id);
+    } catch (error) {
+      this.logger.debug(`Grupo ${id} no encontrado: ${error.message}`);
+    }
+
+    if (!chat || !chat.isGroup) {
+      throw createGroupError(`Grupo no encontrado: ${id}`, 404);
+    }
+    return chat;
+  }
+
+  async getInfo(groupId) {
+    return this.summarize(await this.getGroupChat(groupId));
+  }
+
+  async getParticipants(groupId) {
+    const chat = await this.getGroupChat(groupId);
+    return chat.participants.map(formatParticipant);
+  }
+
+  /**
+   * Crea un grupo con los participantes indicados
+   */
+  async create({ name, participants = [], messageTimer, comment }) {
+    if (!name || typeof name !== "string") {
+      throw createGroupError('El parámetro "name" es requerido');
+    }
+
+    const { valid, invalid } = resolveParticipants(participants);
+    const result = await this.client.createGroup(
+      name,
+      valid.map((item) => item.id),
+      { messageTimer, comment }
+    );
+    if (typeof result === "string") throw createGroupError(result);
+
+    const groupId = result.gid._serialized;
+    this.logger.info(`Grupo creado: ${groupId} (${name})`);
+
+    return {
+      id: groupId,
+      name: result.title,
+      participants: [
+        ...valid.map((item) => {
+          const outcome = result.participants[item.id] || {};
+          return formatOutcome(
+            item,
+            outcome.statusCode,
+            outcome.message,
+            outcome.isInviteV4Sent
+          );
+        }),
+        ...invalid,
+      ],
+    };
+  }
+
+  async addParticipants(groupId, participants, { comment } = {}) {
+    const chat = await this.getGroupChat(groupId);
+    const { valid, invalid } = resolveParticipants(participants);
+    if (valid.length === 0) return invalid;
+
+    const result = await chat.addParticipants(
+      valid.map((item) => item.id),
+      { comment }
+    );
+    if (typeof result === "string") throw createGroupError(result, 403);
+
+    this.logger.info(`Participantes agregados al grupo ${chat.id._serialized}`);
+    return [
+      ...valid.map((item) => {
+        const outcome = result[item.id] || {};
+        return formatOutcome(
+          item,
+          outcome.code,
+          outcome.message,
+          outcome.isInviteV4Sent
+        );
+      }),
+      ...invalid,
+    ];
+  }
+
+  removeParticipants(groupId, participants) {
+    return this.updateMembers(groupId, participants, "remove");
+  }
+
+  promoteParticipants(groupId, participants) {
+    return this.updateMembers(groupId, participants, "promote");
+  }
+
+  demoteParticipants(groupId, participants) {
+    return this.updateMembers(groupId, participants, "demote");
+  }
+
+  /**
+   * Quita, promueve o degrada participantes. Solo se envían a WhatsApp los
+   * que pertenecen al grupo; el resto se informa como error.
+   */
+  async updateMembers(groupId, participants, action) {
+    const chat = await this.getGroupChat(groupId);
+    const { valid, invalid } = resolveParticipants(participants);
+    const members = new Map(
+      chat.participants.map((member) => [member.id._serialized, member])
+    );
+
+    const targets = [];
+    const results = [];
+    for (const item of valid) {
+      const member = members.get(item.id);
+      if (!member) {
+        results.push(formatOutcome(item, 404, "No pertenece al grupo"));
+      } else if (action === "promote" && member.isAdmin) {
+        results.push(formatOutcome(item, 409, "Ya es administrador"));
+      } else if (action === "demote" && !member.isAdmin) {
+        results.push(formatOutcome(item, 409, "No es administrador"));
+      } else {
+        targets.push(item);
+      }
+    }
+
+    if (targets.length > 0) {
+      if (!isAdmin(chat, this.client)) {
+        throw createGroupError(
+          "Se requieren permisos de administrador en el grupo",
+          403
+        );
+      }
+
+      const ids = targets.map((item) => item.id);
+      const { status } =
+        action === "remove"
+          ? await chat.removeParticipants(ids)
+          : action === "promote"
+            ? await chat.promoteParticipants(ids)
+            : await chat.demoteParticipants(ids);
+      targets.forEach((item) => results.push(formatOutcome(item, status)));
+      this.logger.info(
+        `Grupo ${chat.id._serialized}: ${action} de ${ids.length} participante(s)`
+      );
+    }
+
+    return [...results, ...invalid];
+  }
+
+  /**
+   * Cambia el asunto y/o la descripción del grupo
+   */
+  async updateInfo(groupId, { subject, description }) {
+    if (subject === undefined && description === undefined) {
+      throw createGroupError('Se requiere "subject" o "description"');
+    }
+    if (subject !== undefined && (!subject || typeof subject !== "string")) {
+      throw createGroupError('El parámetro "subject" no puede estar vacío');
+    }
+
+    const chat = await this.getGroupChat(groupId);
+    if (subject !== undefined && !(await chat.setSubject(subject))) {
+      throw createGroupError("Sin permisos para cambiar el asunto", 403);
+    }
+    if (
+      description !== undefined &&
+      !(await chat.setDescription(description || ""))
+    ) {
+      throw createGroupError("Sin permisos para cambiar la descripción", 403);
+    }
+
+    this.logger.info(`Grupo actualizado: ${chat.id._serialized}`);
+    return this.getInfo(chat.id._serialized);
+  }
+
+  /**
+   * Cambia la foto del grupo. spec es { url } o { data, mimetype }.
+   */
+  async setPicture(groupId, spec) {
+    const chat = await this.getGroupChat(groupId);
+    const media = await this.bot.createMedia(spec);
+    if (!media.mimetype.startsWith("image/")) {
+      throw createGroupError("La foto del grupo debe ser una imagen");
+    }
+    if (!(await chat.setPicture(media))) {
+      throw createGroupError("Sin permisos para cambiar la foto", 403);
+    }
+    this.logger.info(`Foto actualizada en grupo ${chat.id._serialized}`);
+  }
+
+  async deletePicture(groupId) {
+    const chat = await this.getGroupChat(groupId);
+    if (!(await chat.deletePicture())) {
+      throw createGroupError("Sin permisos para quitar la foto", 403);
+    }
+    this.logger.info(`Foto eliminada en grupo ${chat.id._serialized}`);
+  }
+
+  async getInvite(groupId) {
+    const chat = await this.getGroupChat(groupId);
+    const code = await chat.getInviteCode();
+    if (!code) {
+      throw createGroupError(
+        "Se requieren permisos de administrador para ver el enlace",
+        403
+      );
+    }
+    return formatInvite(chat.id._serialized, code);
+  }
+
+  /**
+   * Revoca el enlace actual y devuelve el nuevo
+   */
+  async revokeInvite(groupId) {
+    const chat = await this.getGroupChat(groupId);
+    if (!isAdmin(chat, this.client)) {
+      throw createGroupError(
+        "Se requieren permisos de administrador para revocar el enlace",
+        403
+      );
+    }
+    const code = await chat.revokeInvite();
+    this.logger.info(`Enlace de invitación revocado: ${chat.id._serialized}`);
+    return formatInvite(chat.id._serialized, code);
+  }
+
+  /**
+   * Se une a un grupo por código o enlace de invitación
+   */
+  async join(invite) {
+    const code = parseInviteCode(invite);
+    if (!code) {
+      throw createGroupError('El parámetro "inviteCode" es requerido');
+    }
+
+    let groupId;
+    try {
+      groupId = await this.client.acceptInvite(code);
+    } catch (error) {
+      throw createGroupError(
+        `No se pudo unir al grupo: ${error.message || "invitación inválida"}`
+      );
+    }
+
+    this.logger.info(`Unido al grupo ${groupId}`);
+    return this.getInfo(groupId);
+  }
+
+  async leave(groupId) {
+    const chat = await this.getGroupChat(groupId);
+    await chat.leave();
+    this.logger.info(`Salida del grupo ${chat.id._serialized}`);
+  }
+
+  summarize(chat) {
+    const participants = chat.participants || [];
+    return {
+      id: chat.id._serialized,
+      name: chat.name,
+      description: chat.description || null,
+      owner: chat.owner ? chat.owner._serialized : null,
+      createdAt: chat.createdAt ? chat.createdAt.getTime() : null,
+      participantsCount: participants.length,
+      adminsCount: participants.filter((member) => member.isAdmin).length,
+      isAdmin: isAdmin(chat, this.client),
+      isReadOnly: Boolean(chat.isReadOnly),
+    };
+  }
+}
+
+function normalizeGroupId(groupId) {
+  const id = String(groupId || "").trim();
+  return id.includes("@") ? id : `${id}@g.us`;
+}
+
+/**
+ * Separa los participantes válidos (con su id de WhatsApp) de los inválidos,
+ * que ya se devuelven con su resultado de error
+ */
+function resolveParticipants(participants) {
+  const list = Array.isArray(participants) ? participants : [participants];
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+
+  list.forEach((participant) => {
+    const value = String(participant || "").trim();
+    const number = value.replace(/@c\.us$/, "");
+    let id = null;
+    if (PhoneValidator.isValidPhoneNumber(number, phoneOptions)) {
+      id = value.endsWith("@c.us")
+        ? value
+        : PhoneValidator.toWhatsAppFormat(value, phoneOptions);
+    }
+    if (!id) {
+      invalid.push({
+        participant: value,
+        success: false,
+        error: config.messages.invalidNumber,
+      });
+    } else if (!seen.has(id)) {
+      seen.add(id);
+      valid.push({ participant: value, id });
+    }
+  });
+
+  return { valid, invalid };
+}
+
+function formatOutcome(item, code, message, isInviteV4Sent) {
+  const success = code === 200;
+  const outcome = {
+    participant: item.participant,
+    id: item.id,
+    success,
+    code: code ?? null,
+  };
+  if (!success) outcome.error = message || "No se pudo completar la operación";
+  if (isInviteV4Sent) outcome.inviteSent = true;
+  return outcome;
+}
+
+function formatParticipant(member) {
+  return {
+    id: member.id._serialized,
+    number: PhoneValidator.extractPhoneNumber(member.id._serialized),
+    isAdmin: Boolean(member.isAdmin),
+    isSuperAdmin: Boolean(member.isSuperAdmin),
+  };
+}
+
+function formatInvite(groupId, code) {
+  return { groupId, code, link: `${INVITE_LINK_PREFIX}${code}` };
+}
+
+/**
+ * Código de invitación a partir del código o del enlace completo
+ */
+function parseInviteCode(invite) {
+  const value = String(invite || "").trim();
+  return value.startsWith(INVITE_LINK_PREFIX)
+    ? value.slice(INVITE_LINK_PREFIX.length).split(/[/?#]/)[0]
+    : value;
+}
+
+function isAdmin(chat, client) {
+  const me = client.info && client.info.wid && client.info.wid._serialized;
+  const member = (chat.participants || []).find(
+    (participant) => participant.id._serialized === me
+  );
+  return Boolean(member && member.isAdmin);
+}
+
+/**
+ * Error de operación de grupo (status se usa como código HTTP en la API)
+ */
+function createGroupError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = GroupManager;
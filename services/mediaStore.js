@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Secreto de firma cuando no se configura MEDIA_URL_SECRET. Es común a todas
+ * las sesiones del proceso para que cualquiera pueda servir las URLs.
+ */
+const FALLBACK_SECRET = crypto.randomBytes(32).toString("hex");
+
+/**
+ * Almacenamiento local de archivos multimedia entrantes
+ *
+ * Cada archivo se guarda como <id>.bin junto a <id>.json con sus metadatos.
+ * El acceso se hace mediante URLs firmadas con HMAC que expiran, y los
+ * archivos más antiguos que el tiempo de retención se eliminan periódicamente.
+ */
+class MediaStore {
+  constructor({
+    storageDir,
+    secret,
+    publicBaseUrl,
+    urlTtl,
+    retention,
+    cleanupInterval,
+    logger,
+  }) {
+    this.storageDir = path.resolve(storageDir);
+    this.secret = secret || FALLBACK_SECRET;
+    this.publicBaseUrl = publicBaseUrl.replace(/\/$/, "");
+    this.urlTtl = urlTtl;
+    this.retention = retention;
+    this.cleanupInterval = cleanupInterval;
+    this.logger = logger;
+    this.timer = null;
+
+    if (!secret) {
+      this.logger.warn(
+        "MEDIA_URL_SECRET no configurado: las URLs de media dejarán de ser válidas al reiniciar"
+      );
+    }
+  }
+
+  /**
+   * Inicia la limpieza periódica de archivos antiguos
+   */
+  start() {
+    if (this.timer) return;
+    this.cleanup();
+    this.timer = setInterval(() => this.cleanup(), this.cleanupInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Guarda un MessageMedia y devuelve sus metadatos con la URL firmada
+   */
+  save(media, { messageId } = {}) {
+    fs.mkdirSync(this.storageDir, { recursive: true });
+
+    const id = crypto.randomUUID();
+    const buffer = Buffer.from(media.data, "base64");
+    const meta = {
+      id,
+      messageId: messageId || null,
+      mimetype: media.mimetype,
+      filename: media.filename || null,
+      size: buffer.length,
+      createdAt: Date.now(),
+    };
+
+    fs.writeFileSync(this.getFilePath(id), buffer);
+    fs.writeFileSync(this.getMetaPath(id), JSON.stringify(meta));
+
+    return { ...meta, ...this.createSignedUrl(id) };
+  }
+
+  /**
+   * Devuelve los metadatos y la ruta del archivo, o null si no existe
+   */
+  get(id) {
+    if (!/^[0-9a-f-]{36}$/.test(id) || !fs.existsSync(this.getMetaPath(id))) {
+      return null;
+    }
+    const meta = JSON.parse(fs.readFileSync(this.getMetaPath(id), "utf8"));
+    return { ...meta, filePath: this.getFilePath(id) };
+  }
+
+  createSignedUrl(id) {
+    const expiresAt = Date.now() + this.urlTtl;
+    const signature = this.sign(id, expiresAt);
+    return {
+      url: `${this.publicBaseUrl}/media/${id}?expires=${expiresAt}&signature=${signature}`,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Verifica la firma y la expiración de una URL de media
+   */
+  verifySignedUrl(id, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!Number.isFinite(expiresAt) || expiresAt < Date.now() || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(id, expiresAt));
+    const received = Buffer.from(String(signature));
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  sign(id, expiresAt) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${id}.${expiresAt}`)
+      .digest("hex");
+  }
+
+  /**
+   * Elimina los archivos más antiguos que el tiempo de retención
+   */
+  cleanup() {
+    if (!fs.existsSync(this.storageDir)) return;
+
+    const limit = Date.now() - this.retention;
+    let removed = 0;
+
+    try {
+      fs.readdirSync(this.storageDir)
+        .filter((file) => file.endsWith(".json"))
+        .forEach((file) => {
+          const id = path.basename(file, ".json");
+          const meta = this.get(id);
+          if (meta && meta.createdAt < limit) {
+            fs.rmSync(this.getFilePath(id), { force: true });
+            fs.rmSync(this.getMetaPath(id), { force: true });
+            removed++;
+          }
+        });
+
+      if (removed > 0) {
+        this.logger.info(`Limpieza de media: ${removed} archivos eliminados`);
+      }
+    } catch (error) {
+      this.logger.error("Error limpiando archivos de media:", error);
+    }
+  }
+
+  getFilePath(id) {
+    return path.join(this.storageDir, `${id}.bin`);
+  }
+
+  getMetaPath(id) {
+    return path.join(this.storageDir, `${id}.json`);
+  }
+}
+
+module.exports = MediaStore;
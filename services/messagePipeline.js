@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const builtinHandlers = require("./pipelineHandlers");
+
+const STAGES = ["before", "after"];
+
+/**
+ * Pipeline de procesamiento de mensajes entrantes
+ *
+ * Los handlers se ejecutan en orden de registro dentro de cada etapa:
+ *   - before: antes de enviar a N8N (filtros, enriquecedores, auto-respuestas)
+ *   - after:  después de enviar a N8N, con la respuesta en ctx.n8nResponse
+ *
+ * Un handler recibe el contexto y puede modificar ctx.data (el mensaje ya
+ * formateado), responder con ctx.reply() o cortar la cadena con ctx.stop()
+ * (o devolviendo false). Cortar en "before" evita el envío a N8N.
+ */
+class MessagePipeline {
+  constructor({ bot, logger }) {
+    this.bot = bot;
+    this.logger = logger;
+    this.handlers = [];
+  }
+
+  /**
+   * Registra un handler: función async (ctx) o { name, stage, handle }
+   */
+  use(handler, { name, stage = "before" } = {}) {
+    const entry =
+      typeof handler === "function"
+        ? { name: name || handler.name || "anonymous", stage, handle: handler }
+        : { stage, ...handler };
+
+    if (!STAGES.includes(entry.stage)) {
+      throw new Error(`Etapa de pipeline inválida: ${entry.stage}`);
+    }
+    if (typeof entry.handle !== "function") {
+      throw new Error(`El handler "${entry.name}" no define handle()`);
+    }
+
+    this.handlers.push(entry);
+    return this;
+  }
+
+  /**
+   * Carga los handlers definidos en un archivo JSON:
+   * { "handlers": [{ "type" | "module", "name", "stage", "options" }] }
+   * Un archivo ilegible o un handler inválido se informa y se omite sin
+   * impedir el arranque.
+   */
+  loadFromFile(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      this.logger.debug(`Sin configuración de pipeline en ${resolved}`);
+      return;
+    }
+
+    let handlers;
+    try {
+      ({ handlers = [] } = JSON.parse(fs.readFileSync(resolved, "utf8")));
+      if (!Array.isArray(handlers)) {
+        throw new Error('"handlers" debe ser un array');
+      }
+    } catch (error) {
+      this.logger.error(
+        `Configuración de pipeline inválida en ${resolved}: ${error.message}`
+      );
+      return;
+    }
+
+    handlers.forEach((definition, index) => {
+      if (definition?.enabled === false) return;
+
+      const label =
+        definition?.name ||
+        definition?.type ||
+        definition?.module ||
+        `#${index + 1}`;
+      try {
+        if (!definition || typeof definition !== "object") {
+          throw new Error("La definición debe ser un objeto");
+        }
+        let factory;
+        if (definition.module) {
+          factory = require(
+            path.resolve(path.dirname(resolved), definition.module)
+          );
+        } else {
+          factory = builtinHandlers[definition.type];
+        }
+
+        if (typeof factory !== "function") {
+          throw new Error(
+            `Handler de pipeline desconocido: ${definition.type || definition.module}`
+          );
+        }
+
+        this.use(factory(definition.options || {}, this.bot), {
+          name: label,
+          stage: definition.stage,
+        });
+      } catch (error) {
+        this.logger.error(
+          `Handler de pipeline "${label}" omitido: ${error.message}`
+        );
+      }
+    });
+
+    this.logger.info(
+      `Pipeline cargado: ${this.handlers.map((h) => `${h.name}(${h.stage})`).join(", ") || "sin handlers"}`
+    );
+  }
+
+  /**
+   * Crea el contexto compartido por todas las etapas para un mensaje
+   */
+  createContext(message, data) {
+    const ctx = {
+      message,
+      data,
+      bot: this.bot,
+      n8nResponse: null,
+      stopped: false,
+      stopReason: null,
+      stop: (reason) => {
+        ctx.stopped = true;
+        ctx.stopReason = reason || null;
+      },
+      reply: (content, options) =>
+        this.bot.sendToChat(message.from, content, options),
+    };
+    return ctx;
+  }
+
+  /**
+   * Ejecuta los handlers de una etapa hasta que alguno corte la cadena.
+   * Los errores de un handler se registran sin interrumpir el resto.
+   */
+  async run(stage, ctx) {
+    for (const handler of this.handlers) {
+      if (ctx.stopped) break;
+      if (handler.stage !== stage) continue;
+
+      try {
+        const result = await handler.handle(ctx);
+        if (result === false) {
+          ctx.stop(handler.name);
+        }
+      } catch (error) {
+        this.logger.error(`Error en handler de pipeline "${handler.name}":`, {
+          messageId: ctx.data?.messageId,
+          error: error.message,
+        });
+      }
+    }
+    return ctx;
+  }
+
+  list() {
+    return this.handlers.map(({ name, stage }) => ({ name, stage }));
+  }
+}
+
+module.exports = MessagePipeline;
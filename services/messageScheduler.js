@@ -0,0 +1,312 @@
+const crypto = require("crypto");
+const cronParser = require("cron-parser");
+const JsonStore = require("../utils/jsonStore");
+
+const FINISHED = ["completed", "failed", "expired", "cancelled"];
+// Margen para runAt apenas vencidos (desfase de reloj del cliente)
+const PAST_TOLERANCE = 60 * 1000;
+
+/**
+ * Envíos programados y recurrentes
+ *
+ * Un envío es único (runAt) o recurrente (cron + timezone). Se persisten en
+ * disco y se revisan periódicamente; si el bot está desconectado al llegar
+ * la hora, el envío se posterga hasta que vuelva la conexión, salvo que se
+ * atrase más de maxLateness: el único vence y el recurrente salta a la
+ * próxima ocurrencia.
+ */
+class MessageScheduler {
+  constructor({
+    filePath,
+    pollInterval,
+    maxLateness,
+    timezone,
+    maxMessageLength,
+    bot,
+    logger,
+  }) {
+    this.store = new JsonStore(filePath, { schedules: [] });
+    this.pollInterval = pollInterval;
+    this.maxLateness = maxLateness;
+    this.timezone = timezone;
+    this.maxMessageLength = maxMessageLength;
+    this.bot = bot;
+    this.logger = logger;
+    this.schedules = new Map();
+    this.timer = null;
+    this.isProcessing = false;
+    this.load();
+  }
+
+  load() {
+    try {
+      const { schedules } = this.store.read();
+      schedules.forEach((schedule) =>
+        this.schedules.set(schedule.id, schedule)
+      );
+    } catch (error) {
+      this.logger.error("Error cargando envíos programados:", error);
+    }
+  }
+
+  persist() {
+    try {
+      this.store.write({ schedules: [...this.schedules.values()] });
+    } catch (error) {
+      this.logger.error("Error guardando envíos programados:", error);
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  list({ status } = {}) {
+    return [...this.schedules.values()].filter(
+      (schedule) => !status || schedule.status === status
+    );
+  }
+
+  get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  /**
+   * Crea un envío. Devuelve { schedule } o { error }
+   */
+  create(definition) {
+    const schedule = {
+      id: crypto.randomUUID(),
+      status: "active",
+      runs: 0,
+      lastRunAt: null,
+      lastResult: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+
+    const error =
+      this.applyDefinition(schedule, definition) || checkRunAt(schedule);
+    if (error) return { error };
+
+    this.schedules.set(schedule.id, schedule);
+    this.persist();
+    return { schedule };
+  }
+
+  /**
+   * Modifica destino, mensaje u horario de un envío activo
+   */
+  update(id, changes) {
+    const existing = this.get(id);
+    if (!existing) return null;
+    if (FINISHED.includes(existing.status)) {
+      return { error: `El envío está ${existing.status}, no se puede editar` };
+    }
+
+    const schedule = { ...existing, updatedAt: Date.now() };
+    // runAt o cron reemplazan el horario anterior; timezone sola no
+    const replacesTiming =
+      changes.runAt !== undefined || changes.cron !== undefined;
+    const error = this.applyDefinition(schedule, {
+      to: existing.to,
+      message: existing.message,
+      template: existing.template,
+      variables: existing.variables,
+      transactional: existing.transactional,
+      ...(replacesTiming ? {} : { runAt: existing.runAt, cron: existing.cron }),
+      timezone: existing.timezone,
+      ...changes,
+    });
+    if (error) return { error };
+    // Un runAt conservado puede estar vencido (esperando la conexión)
+    const runAtError = changes.runAt !== undefined && checkRunAt(schedule);
+    if (runAtError) return { error: runAtError };
+
+    this.schedules.set(id, schedule);
+    this.persist();
+    return { schedule };
+  }
+
+  cancel(id) {
+    const schedule = this.get(id);
+    if (!schedule) return null;
+    if (FINISHED.includes(schedule.status)) {
+      return {
+        error: `El envío está ${schedule.status}, no se puede cancelar`,
+      };
+    }
+
+    schedule.status = "cancelled";
+    schedule.nextRunAt = null;
+    schedule.updatedAt = Date.now();
+    this.persist();
+    return { schedule };
+  }
+
+  /**
+   * Valida y copia la definición sobre el envío. Devuelve un mensaje de
+   * error o null.
+   */
+  applyDefinition(
+    schedule,
+    { to, message, template, variables, transactional, ...timing }
+  ) {
+    if (!to) return 'El parámetro "to" es requerido';
+    if (!message || typeof message !== "string") {
+      return 'El parámetro "message" (o "template") es requerido';
+    }
+    if (this.maxMessageLength && message.length > this.maxMessageLength) {
+      return `El mensaje supera el máximo de ${this.maxMessageLength} caracteres`;
+    }
+
+    const { runAt, cron, timezone = this.timezone } = timing;
+    if (Boolean(runAt) === Boolean(cron)) {
+      return 'Se requiere "runAt" (envío único) o "cron" (recurrente), no ambos';
+    }
+
+    try {
+      new Intl.DateTimeFormat("es", { timeZone: timezone });
+    } catch (error) {
+      return `Zona horaria inválida: ${timezone}`;
+    }
+
+    let nextRunAt;
+    if (runAt) {
+      nextRunAt = typeof runAt === "number" ? runAt : Date.parse(runAt);
+      if (Number.isNaN(nextRunAt)) return `Fecha inválida: ${runAt}`;
+    } else {
+      try {
+        nextRunAt = getNextRun(cron, timezone, Date.now());
+      } catch (error) {
+        return `Expresión cron inválida: ${cron}`;
+      }
+    }
+
+    Object.assign(schedule, {
+      to,
+      message,
+      template: template || null,
+      variables: variables || null,
+      transactional: Boolean(transactional),
+      runAt: runAt ? nextRunAt : null,
+      cron: cron || null,
+      timezone,
+      nextRunAt,
+    });
+    return null;
+  }
+
+  /**
+   * Ejecuta los envíos cuya hora ya llegó
+   */
+  async processDue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.list({ status: "active" }).filter(
+        (schedule) => schedule.nextRunAt <= now
+      );
+
+      for (const schedule of due) {
+        const late = now - schedule.nextRunAt;
+        if (late > this.maxLateness) {
+          this.skip(schedule, now);
+          continue;
+        }
+        if (!this.bot.isConnected) continue;
+
+        await this.run(schedule);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Envío que se atrasó demasiado (bot desconectado)
+   */
+  skip(schedule, now) {
+    this.logger.warn(`Envío programado ${schedule.id} vencido sin enviar`);
+    schedule.lastResult = {
+      success: false,
+      error: "Bot desconectado a la hora del envío",
+      at: now,
+    };
+    if (schedule.cron) {
+      schedule.nextRunAt = getNextRun(schedule.cron, schedule.timezone, now);
+    } else {
+      schedule.status = "expired";
+      schedule.nextRunAt = null;
+    }
+    this.persist();
+  }
+
+  async run(schedule) {
+    const now = Date.now();
+    try {
+      // Los chats privados indicados por id también respetan el opt-out
+      if (schedule.to.endsWith("@c.us")) {
+        this.bot.checkOptOut(schedule.to, schedule.transactional);
+      }
+      const result = schedule.to.includes("@")
+        ? await this.bot.sendToChat(schedule.to, schedule.message)
+        : await this.bot.sendMessage(schedule.to, schedule.message, {
+            transactional: schedule.transactional,
+          });
+      schedule.lastResult = {
+        success: true,
+        messageId: result.messageId,
+        at: now,
+      };
+      this.logger.info(`Envío programado ${schedule.id} enviado`);
+    } catch (error) {
+      this.logger.error(`Error en envío programado ${schedule.id}:`, error);
+      schedule.lastResult = { success: false, error: error.message, at: now };
+    }
+
+    schedule.runs++;
+    schedule.lastRunAt = now;
+    if (schedule.cron) {
+      schedule.nextRunAt = getNextRun(schedule.cron, schedule.timezone, now);
+    } else {
+      schedule.status = schedule.lastResult.success ? "completed" : "failed";
+      schedule.nextRunAt = null;
+    }
+    this.persist();
+  }
+}
+
+/**
+ * Rechaza un envío único cuya fecha ya pasó. Devuelve un mensaje de error o
+ * null.
+ */
+function checkRunAt(schedule) {
+  if (schedule.runAt && schedule.runAt < Date.now() - PAST_TOLERANCE) {
+    return `La fecha ya pasó: ${new Date(schedule.runAt).toISOString()}`;
+  }
+  return null;
+}
+
+/**
+ * Próxima ocurrencia de la expresión cron posterior a "from"
+ */
+function getNextRun(cron, timezone, from) {
+  return cronParser
+    .parseExpression(cron, { currentDate: new Date(from), tz: timezone })
+    .next()
+    .getTime();
+}
+
+module.exports = MessageScheduler;
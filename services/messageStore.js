@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Historial local de mensajes entrantes y salientes
+ *
+ * Los mensajes se agregan a un archivo NDJSON (una línea por mensaje) y se
+ * mantienen en memoria para las consultas. Cuando se supera el máximo
+ * configurado el archivo se compacta conservando los más recientes.
+ */
+class MessageStore {
+  constructor({ filePath, maxMessages, logger }) {
+    this.filePath = path.resolve(filePath);
+    this.maxMessages = maxMessages;
+    this.logger = logger;
+    this.messages = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      this.messages = fs
+        .readFileSync(this.filePath, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      this.logger.error("Error cargando historial de mensajes:", error);
+    }
+  }
+
+  /**
+   * Registra un mensaje en el historial
+   */
+  record(entry) {
+    const message = { ...entry, recordedAt: Date.now() };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(message) + "\n");
+      this.messages.push(message);
+
+      // Compactar con margen para no reescribir en cada mensaje
+      if (this.messages.length > this.maxMessages * 1.1) {
+        this.compact();
+      }
+    } catch (error) {
+      this.logger.error("Error guardando mensaje en historial:", error);
+    }
+
+    return message;
+  }
+
+  compact() {
+    this.messages = this.messages.slice(-this.maxMessages);
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      this.messages.map((m) => JSON.stringify(m)).join("\n") + "\n"
+    );
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(id) {
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      if (this.messages[i].id === id) return this.messages[i];
+    }
+    return null;
+  }
+
+  /**
+   * Consulta con filtros y paginación, del más reciente al más antiguo.
+   * filters: { chat, from, since, until, type, direction, q, limit, offset }
+   */
+  query(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 50, 500);
+    const offset = parseInt(filters.offset) || 0;
+    const since = parseTime(filters.since);
+    const until = parseTime(filters.until);
+    const q = filters.q ? String(filters.q).toLowerCase() : null;
+
+    const matches = this.messages.filter((m) => {
+      if (filters.chat && m.chatId !== filters.chat) return false;
+      if (
+        filters.from &&
+        m.from !== filters.from &&
+        m.fromNumber !== filters.from
+      ) {
+        return false;
+      }
+      if (filters.type && m.type !== filters.type) return false;
+      if (filters.direction && m.direction !== filters.direction) return false;
+      if (since && m.timestamp < since) return false;
+      if (until && m.timestamp > until) return false;
+      if (q && !(m.body || "").toLowerCase().includes(q)) return false;
+      return true;
+    });
+
+    matches.reverse();
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      hasMore: offset + limit < matches.length,
+      messages: matches.slice(offset, offset + limit),
+    };
+  }
+}
+
+/**
+ * Acepta timestamps en ms o fechas ISO
+ */
+function parseTime(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+module.exports = MessageStore;
@@ -0,0 +1,66 @@
+/**
+ * Consulta si un número tiene WhatsApp, con caché en memoria por TTL para
+ * no repetir la búsqueda en envíos masivos.
+ */
+class NumberChecker {
+  constructor({ lookup, ttl, maxEntries = 10000, logger }) {
+    // lookup(number) => id de WhatsApp ({ _serialized }) o null
+    this.lookup = lookup;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.logger = logger;
+    this.cache = new Map();
+  }
+
+  /**
+   * Resultado de un número normalizado (solo dígitos, con código de país)
+   */
+  async check(number) {
+    const cached = this.cache.get(number);
+    if (cached && Date.now() - cached.checkedAt < this.ttl) {
+      return { number, ...cached, cached: true };
+    }
+
+    const id = await this.lookup(number);
+    const entry = {
+      registered: Boolean(id),
+      whatsappId: id ? id._serialized : null,
+      checkedAt: Date.now(),
+    };
+
+    // Se reinserta para que el Map quede ordenado por antigüedad
+    this.cache.delete(number);
+    this.cache.set(number, entry);
+    if (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return { number, ...entry, cached: false };
+  }
+
+  /**
+   * Consulta varios números en secuencia. Un error en uno no corta el resto.
+   */
+  async checkMany(numbers) {
+    const results = [];
+    for (const number of numbers) {
+      try {
+        results.push(await this.check(number));
+      } catch (error) {
+        this.logger.error(`Error consultando número ${number}:`, error);
+        results.push({ number, registered: null, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  getStats() {
+    return { cached: this.cache.size, ttl: this.ttl };
+  }
+}
+
+module.exports = NumberChecker;
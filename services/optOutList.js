@@ -0,0 +1,78 @@
+const JsonStore = require("../utils/jsonStore");
+const { normalizeKeyword } = require("../utils/text");
+
+/**
+ * Lista de supresión (opt-out) de números que pidieron no recibir mensajes
+ *
+ * Es común a todas las sesiones. Los números se guardan normalizados
+ * (internacionales, sin "+"). Las palabras clave se comparan con el texto
+ * completo del mensaje, sin distinguir mayúsculas, acentos ni puntuación.
+ */
+class OptOutList {
+  constructor({ filePath, keywords, optInKeywords, logger }) {
+    this.store = new JsonStore(filePath, { entries: [] });
+    this.keywords = keywords.map(normalizeKeyword);
+    this.optInKeywords = optInKeywords.map(normalizeKeyword);
+    this.logger = logger;
+    this.entries = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const { entries } = this.store.read();
+      entries.forEach((entry) => this.entries.set(entry.number, entry));
+    } catch (error) {
+      this.logger.error("Error cargando lista de opt-out:", error);
+    }
+  }
+
+  persist() {
+    this.store.write({ entries: [...this.entries.values()] });
+  }
+
+  has(number) {
+    return this.entries.has(number);
+  }
+
+  get(number) {
+    return this.entries.get(number) || null;
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+
+  add(number, { source = "api", reason = null } = {}) {
+    const entry = this.get(number) || {
+      number,
+      source,
+      reason,
+      createdAt: Date.now(),
+    };
+    this.entries.set(number, entry);
+    this.persist();
+    this.logger.info(`Número dado de baja: ${number} (${source})`);
+    return entry;
+  }
+
+  remove(number) {
+    if (!this.entries.delete(number)) return false;
+    this.persist();
+    this.logger.info(`Número dado de alta nuevamente: ${number}`);
+    return true;
+  }
+
+  /**
+   * "optout", "optin" o null según el texto de un mensaje entrante
+   */
+  matchKeyword(text) {
+    const normalized = normalizeKeyword(text || "");
+    if (!normalized) return null;
+    if (this.keywords.includes(normalized)) return "optout";
+    if (this.optInKeywords.includes(normalized)) return "optin";
+    return null;
+  }
+}
+
+module.exports = OptOutList;
@@ -0,0 +1,96 @@
+/**
+ * Handlers incorporados del pipeline de mensajes entrantes
+ *
+ * Cada export es una factory (options, bot) => async (ctx) que puede
+ * referenciarse por nombre ("type") desde el archivo de configuración.
+ */
+
+/**
+ * Descarta mensajes según tipo, origen o contenido
+ * options: { ignoreGroups, types, allowedNumbers, blockedNumbers, ignorePattern }
+ */
+function filter(options) {
+  const ignorePattern = options.ignorePattern
+    ? new RegExp(options.ignorePattern, "i")
+    : null;
+
+  return async (ctx) => {
+    const { data } = ctx;
+
+    if (options.ignoreGroups && data.isGroupMsg) {
+      return ctx.stop("filter:group");
+    }
+    if (options.types && !options.types.includes(data.type)) {
+      return ctx.stop("filter:type");
+    }
+    if (
+      options.allowedNumbers &&
+      !options.allowedNumbers.includes(data.fromNumber)
+    ) {
+      return ctx.stop("filter:notAllowed");
+    }
+    if (options.blockedNumbers?.includes(data.fromNumber)) {
+      return ctx.stop("filter:blocked");
+    }
+    if (ignorePattern && ignorePattern.test(data.body)) {
+      return ctx.stop("filter:pattern");
+    }
+  };
+}
+
+/**
+ * Agrega campos fijos al mensaje enviado a N8N
+ * options: { fields: { clave: valor } }
+ */
+function enrich(options) {
+  return async (ctx) => {
+    Object.assign(ctx.data, options.fields || {});
+  };
+}
+
+/**
+ * Responde automáticamente cuando el texto coincide con un patrón
+ * options: { pattern, flags, reply, stop }
+ * Para reglas editables por API (horarios, plantillas, enfriamiento) están
+ * las auto-respuestas (services/autoReplyRules.js)
+ */
+function autoReply(options) {
+  if (!options.pattern || !options.reply) {
+    throw new Error('autoReply requiere "pattern" y "reply"');
+  }
+  // g e y hacen que test() recuerde la última posición entre mensajes
+  if (/[gy]/.test(options.flags ?? "")) {
+    throw new Error('"flags" no admite "g" ni "y"');
+  }
+  const pattern = new RegExp(options.pattern, options.flags || "i");
+
+  return async (ctx) => {
+    if (!pattern.test(ctx.data.body || "")) return;
+
+    await ctx.reply(options.reply);
+    if (options.stop) {
+      ctx.stop("autoReply");
+    }
+  };
+}
+
+/**
+ * Reenvía el mensaje a otra URL usando la cola persistente de webhooks
+ * options: { url }
+ */
+function forward(options, bot) {
+  return async (ctx) => {
+    try {
+      await bot.webhookQueue.deliver(options.url, ctx.data);
+    } catch (error) {
+      bot.logger.warn(`Reenvío a ${options.url} fallido, se reintentará`);
+    }
+  };
+}
+
+module.exports = {
+  filter,
+  enrich,
+  autoReply,
+  forward,
+};
@@ -0,0 +1,220 @@
+const ONE_MINUTE = 60 * 1000;
+
+/**
+ * Cola central de envíos salientes (anti-ban)
+ *
+ * Todos los envíos del bot pasan por acá y salen de a uno, respetando:
+ *   - perMinute:        mensajes por minuto en total
+ *   - perChatPerMinute: mensajes por minuto a un mismo chat
+ *   - minDelay/maxDelay: pausa aleatoria entre envíos
+ *   - unknownDailyCap:  chats desconocidos distintos por día (0 = sin límite)
+ * Un chat que llegó a su límite no frena a los demás: se envía el primero de
+ * la cola que esté habilitado.
+ */
+class SendThrottler {
+  constructor({
+    enabled,
+    perMinute,
+    perChatPerMinute,
+    minDelay,
+    maxDelay,
+    unknownDailyCap,
+    maxQueue,
+    logger,
+  }) {
+    this.enabled = enabled;
+    this.perMinute = perMinute;
+    this.perChatPerMinute = perChatPerMinute;
+    this.minDelay = minDelay;
+    this.maxDelay = maxDelay;
+    this.unknownDailyCap = unknownDailyCap;
+    this.maxQueue = maxQueue;
+    this.logger = logger;
+    this.queue = [];
+    this.sent = [];
+    this.sentByChat = new Map();
+    this.lastSentAt = 0;
+    this.nextDelay = 0;
+    this.unknownToday = { day: null, chats: new Set() };
+    this.isProcessing = false;
+  }
+
+  /**
+   * Encola un envío. task() hace el envío real y su resultado se devuelve
+   * cuando le toca el turno.
+   */
+  schedule(chatId, task, { unknownContact = false } = {}) {
+    if (!this.enabled) return task();
+
+    if (this.queue.length >= this.maxQueue) {
+      throw createLimitError(
+        "Demasiados mensajes en cola de envío, intenta más tarde"
+      );
+    }
+    if (unknownContact) this.checkUnknownContact(chatId);
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ chatId, task, unknownContact, resolve, reject });
+      this.process();
+    });
+  }
+
+  /**
+   * Chats desconocidos contados hoy (el cupo se reinicia cada día)
+   */
+  getUnknownToday() {
+    const day = new Date().toDateString();
+    if (this.unknownToday.day !== day) {
+      this.unknownToday = { day, chats: new Set() };
+    }
+    return this.unknownToday.chats;
+  }
+
+  /**
+   * Lanza un error 429 si un chat desconocido no entra en el cupo del día.
+   * Se revisa al encolar y otra vez antes de enviar, porque otros envíos
+   * encolados pueden haberlo agotado mientras tanto
+   */
+  checkUnknownContact(chatId) {
+    if (!this.unknownDailyCap) return;
+
+    const chats = this.getUnknownToday();
+    if (!chats.has(chatId) && chats.size >= this.unknownDailyCap) {
+      throw createLimitError(
+        `Límite diario de ${this.unknownDailyCap} contactos nuevos alcanzado`
+      );
+    }
+  }
+
+  /**
+   * Cuenta un chat desconocido en el cupo del día (tras enviarle con éxito)
+   */
+  countUnknownContact(chatId) {
+    if (this.unknownDailyCap) this.getUnknownToday().add(chatId);
+  }
+
+  async process() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const now = Date.now();
+        this.prune(now);
+
+        const globalWait = this.getGlobalWait(now);
+        let index = 0;
+        let wait = Infinity;
+        for (let i = 0; i < this.queue.length && wait > globalWait; i++) {
+          const itemWait = Math.max(
+            globalWait,
+            this.getChatWait(this.queue[i].chatId, now)
+          );
+          if (itemWait < wait) {
+            wait = itemWait;
+            index = i;
+          }
+        }
+
+        // Espera acotada para revisar los envíos que lleguen mientras tanto
+        if (wait > 0) {
+          await sleep(Math.min(wait, 1000));
+          continue;
+        }
+
+        const [item] = this.queue.splice(index, 1);
+        if (item.unknownContact) {
+          try {
+            this.checkUnknownContact(item.chatId);
+          } catch (error) {
+            item.reject(error);
+            continue;
+          }
+        }
+
+        this.record(item.chatId, now);
+        try {
+          const result = await item.task();
+          if (item.unknownContact) this.countUnknownContact(item.chatId);
+          item.resolve(result);
+        } catch (error) {
+          item.reject(error);
+        }
+
+        this.lastSentAt = Date.now();
+        this.nextDelay =
+          this.minDelay + Math.random() * (this.maxDelay - this.minDelay);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  getGlobalWait(now) {
+    const delayWait = this.lastSentAt + this.nextDelay - now;
+    const rateWait =
+      this.sent.length >= this.perMinute ? this.sent[0] + ONE_MINUTE - now : 0;
+    return Math.max(0, delayWait, rateWait);
+  }
+
+  getChatWait(chatId, now) {
+    const sent = this.sentByChat.get(chatId) || [];
+    return sent.length >= this.perChatPerMinute
+      ? Math.max(0, sent[0] + ONE_MINUTE - now)
+      : 0;
+  }
+
+  record(chatId, now) {
+    this.sent.push(now);
+    const sent = this.sentByChat.get(chatId) || [];
+    sent.push(now);
+    this.sentByChat.set(chatId, sent);
+  }
+
+  /**
+   * Descarta los envíos que ya salieron de la ventana de un minuto
+   */
+  prune(now) {
+    const since = now - ONE_MINUTE;
+    this.sent = this.sent.filter((timestamp) => timestamp > since);
+    for (const [chatId, sent] of this.sentByChat) {
+      const recent = sent.filter((timestamp) => timestamp > since);
+      if (recent.length > 0) this.sentByChat.set(chatId, recent);
+      else this.sentByChat.delete(chatId);
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    this.prune(now);
+    return {
+      enabled: this.enabled,
+      limits: {
+        perMinute: this.perMinute,
+        perChatPerMinute: this.perChatPerMinute,
+        minDelay: this.minDelay,
+        maxDelay: this.maxDelay,
+        unknownDailyCap: this.unknownDailyCap,
+      },
+      queued: this.queue.length,
+      sentLastMinute: this.sent.length,
+      unknownContactsToday: this.getUnknownToday().size,
+    };
+  }
+}
+
+/**
+ * Error de límite de envío (se responde con 429 en la API)
+ */
+function createLimitError(message) {
+  const error = new Error(message);
+  error.status = 429;
+  error.code = "SEND_LIMIT";
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = SendThrottler;
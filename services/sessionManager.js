@@ -0,0 +1,220 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const WhatsAppBot = require("../bot");
+const JsonStore = require("../utils/jsonStore");
+const OptOutList = require("./optOutList");
+const AutoReplyRules = require("./autoReplyRules");
+
+const DEFAULT_SESSION = "default";
+const SESSION_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+/**
+ * Gestor de sesiones de WhatsApp: un WhatsAppBot por número
+ *
+ * La sesión "default" siempre existe y atiende las rutas sin prefijo. Las
+ * demás se registran en config.sessions.filePath para recrearlas al reiniciar.
+ */
+class SessionManager {
+  constructor({ logger, templates }) {
+    this.logger = logger;
+    this.store = new JsonStore(config.sessions.filePath, { sessions: [] });
+    this.optOuts = new OptOutList({ ...config.optOut, logger });
+    this.autoReplies = new AutoReplyRules({
+      ...config.autoReply,
+      businessHours: config.businessHours.schedule,
+      timezone: config.businessHours.timezone,
+      templates,
+      logger,
+    });
+    this.sessions = new Map();
+    this.sessions.set(DEFAULT_SESSION, {
+      id: DEFAULT_SESSION,
+      webhookUrl: null,
+      autoStart: true,
+      createdAt: null,
+      bot: new WhatsAppBot({
+        optOuts: this.optOuts,
+        autoReplies: this.autoReplies,
+      }),
+    });
+    this.load();
+  }
+
+  load() {
+    try {
+      const { sessions } = this.store.read();
+      sessions.forEach((definition) => this.register(definition));
+    } catch (error) {
+      this.logger.error("Error cargando sesiones:", error);
+    }
+  }
+
+  persist() {
+    const sessions = [...this.sessions.values()]
+      .filter((session) => session.id !== DEFAULT_SESSION)
+      .map(({ id, webhookUrl, autoStart, createdAt }) => ({
+        id,
+        webhookUrl,
+        autoStart,
+        createdAt,
+      }));
+    this.store.write({ sessions });
+  }
+
+  register({ id, webhookUrl, autoStart = true, createdAt }) {
+    const session = {
+      id,
+      webhookUrl: webhookUrl || null,
+      autoStart,
+      createdAt: createdAt || Date.now(),
+      bot: new WhatsAppBot({
+        sessionId: id,
+        webhookUrl,
+        optOuts: this.optOuts,
+        autoReplies: this.autoReplies,
+      }),
+    };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  getBot(id = DEFAULT_SESSION) {
+    return this.get(id)?.bot || null;
+  }
+
+  /**
+   * Crea una sesión nueva. Devuelve { session } o { error }
+   */
+  create({ id, webhookUrl, autoStart }) {
+    if (!id || !SESSION_ID_PATTERN.test(id)) {
+      return {
+        error:
+          'El parámetro "id" es requerido (letras, números, "-" o "_", máximo 32)',
+      };
+    }
+    if (this.sessions.has(id)) {
+      return { error: `La sesión "${id}" ya existe` };
+    }
+    if (webhookUrl) {
+      try {
+        new URL(webhookUrl);
+      } catch (error) {
+        return { error: `URL inválida: ${webhookUrl}` };
+      }
+    }
+
+    const session = this.register({ id, webhookUrl, autoStart });
+    this.persist();
+    this.logger.info(`Sesión creada: ${id}`);
+    return { session };
+  }
+
+  /**
+   * Inicia el cliente de WhatsApp de la sesión
+   */
+  async start(id) {
+    const session = this.get(id);
+    if (!session) return null;
+
+    if (!session.bot.client) {
+      await session.bot.initialize();
+    }
+    return session;
+  }
+
+  /**
+   * Detiene el cliente sin borrar la sesión autenticada
+   */
+  async stop(id) {
+    const session = this.get(id);
+    if (!session) return null;
+
+    await session.bot.destroy();
+    session.bot.client = null;
+    return session;
+  }
+
+  /**
+   * Detiene y elimina una sesión con su autenticación y sus datos
+   */
+  async remove(id) {
+    if (id === DEFAULT_SESSION) {
+      return { error: "La sesión por defecto no se puede eliminar" };
+    }
+
+    const session = this.get(id);
+    if (!session) return null;
+
+    await this.stop(id);
+    this.sessions.delete(id);
+    this.persist();
+
+    fs.rmSync(
+      path.join(
+        config.whatsapp.session.dataPath,
+        `session-${session.bot.clientId}`
+      ),
+      { recursive: true, force: true }
+    );
+    fs.rmSync(path.join(config.sessions.dataDir, id), {
+      recursive: true,
+      force: true,
+    });
+
+    this.logger.info(`Sesión eliminada: ${id}`);
+    return { id };
+  }
+
+  /**
+   * Inicia la sesión por defecto y las marcadas con autoStart. Un error en
+   * una sesión adicional no impide iniciar las demás.
+   */
+  async startAll() {
+    await this.start(DEFAULT_SESSION);
+
+    for (const session of this.sessions.values()) {
+      if (session.id === DEFAULT_SESSION || !session.autoStart) continue;
+      try {
+        await this.start(session.id);
+      } catch (error) {
+        this.logger.error(`Error iniciando sesión ${session.id}:`, error);
+      }
+    }
+  }
+
+  async stopAll() {
+    for (const session of this.sessions.values()) {
+      await this.stop(session.id);
+    }
+    this.autoReplies.stop();
+  }
+
+  getInfo(id) {
+    const session = this.get(id);
+    if (!session) return null;
+
+    const status = session.bot.getStatus();
+    return {
+      id: session.id,
+      webhookUrl: session.bot.webhookUrl,
+      autoStart: session.autoStart,
+      createdAt: session.createdAt,
+      started: Boolean(session.bot.client),
+      isConnected: status.isConnected,
+      hasQR: Boolean(session.bot.getQRCode()),
+      reconnectAttempts: status.reconnectAttempts,
+    };
+  }
+
+  list() {
+    return [...this.sessions.keys()].map((id) => this.getInfo(id));
+  }
+}
+
+module.exports = SessionManager;
+module.exports.DEFAULT_SESSION = DEFAULT_SESSION;
@@ -0,0 +1,127 @@
+const JsonStore = require("../utils/jsonStore");
+const {
+  parseTemplate,
+  renderTemplate,
+  getTemplateVariables,
+} = require("../utils/template");
+
+const NAME_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+/**
+ * Plantillas de mensajes con nombre, compartidas por todas las sesiones
+ */
+class TemplateStore {
+  constructor({ filePath, logger }) {
+    this.store = new JsonStore(filePath, { templates: [] });
+    this.logger = logger;
+    this.templates = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const { templates } = this.store.read();
+      templates.forEach((template) =>
+        this.templates.set(template.name, template)
+      );
+    } catch (error) {
+      this.logger.error("Error cargando plantillas:", error);
+    }
+  }
+
+  persist() {
+    this.store.write({ templates: [...this.templates.values()] });
+  }
+
+  list() {
+    return [...this.templates.values()];
+  }
+
+  get(name) {
+    return this.templates.get(name) || null;
+  }
+
+  /**
+   * Crea una plantilla. Devuelve { template } o { error }
+   */
+  create({ name, body, description }) {
+    if (!name || !NAME_PATTERN.test(name)) {
+      return {
+        error:
+          'El parámetro "name" es requerido (letras, números, "-" o "_", máximo 64)',
+      };
+    }
+    if (this.templates.has(name)) {
+      return { error: `La plantilla "${name}" ya existe` };
+    }
+
+    const error = validateBody(body);
+    if (error) return { error };
+
+    const template = {
+      name,
+      body,
+      description: description || null,
+      variables: getTemplateVariables(body),
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    this.templates.set(name, template);
+    this.persist();
+    return { template };
+  }
+
+  update(name, { body, description }) {
+    const existing = this.get(name);
+    if (!existing) return null;
+
+    const nextBody = body === undefined ? existing.body : body;
+    const error = validateBody(nextBody);
+    if (error) return { error };
+
+    const template = {
+      ...existing,
+      body: nextBody,
+      description:
+        description === undefined ? existing.description : description,
+      variables: getTemplateVariables(nextBody),
+      updatedAt: Date.now(),
+    };
+    this.templates.set(name, template);
+    this.persist();
+    return { template };
+  }
+
+  remove(name) {
+    if (!this.templates.delete(name)) return false;
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Renderiza una plantilla guardada. Devuelve { text, missing } o null si
+   * no existe.
+   */
+  render(name, variables) {
+    const template = this.get(name);
+    if (!template) return null;
+    return renderTemplate(template.body, variables);
+  }
+}
+
+/**
+ * Devuelve un mensaje de error o null si el cuerpo es válido
+ */
+function validateBody(body) {
+  if (!body || typeof body !== "string") {
+    return 'El parámetro "body" es requerido';
+  }
+  try {
+    parseTemplate(body);
+    return null;
+  } catch (error) {
+    return `Plantilla inválida: ${error.message}`;
+  }
+}
+
+module.exports = TemplateStore;
@@ -0,0 +1,308 @@
+const crypto = require("crypto");
+const JsonStore = require("../utils/jsonStore");
+
+// Las escrituras al disco se agrupan: una ráfaga de entregas genera una sola
+const PERSIST_DELAY = 200;
+
+/**
+ * Cola persistente de entregas de webhooks salientes
+ *
+ * Cada entrega se guarda en disco al registrarse, agrupada con las demás
+ * escrituras (ver PERSIST_DELAY), y stop() guarda lo pendiente: un reinicio
+ * ordenado no pierde mensajes en curso, pero una caída del proceso puede
+ * perder los registrados en los últimos PERSIST_DELAY ms. Los fallos se
+ * reintentan con backoff exponencial y jitter; al agotar los reintentos la
+ * entrega pasa a la lista de dead-letter, desde donde puede inspeccionarse,
+ * reenviarse o purgarse.
+ * La dead-letter conserva como máximo maxDeadLetters entregas (las más
+ * antiguas se descartan).
+ *
+ * El media en línea (media.data en base64) no se guarda en disco: se
+ * conserva en memoria para los reintentos del proceso actual y, si se
+ * reinicia, la entrega sale sin el archivo (media.dataOmitted = true).
+ */
+class WebhookQueue {
+  constructor({
+    filePath,
+    logger,
+    send,
+    maxAttempts,
+    baseDelay,
+    maxDelay,
+    pollInterval,
+    maxDeadLetters,
+  }) {
+    this.store = new JsonStore(filePath, { pending: [], deadLetters: [] });
+    this.logger = logger;
+    this.send = send;
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.pollInterval = pollInterval;
+    this.maxDeadLetters = maxDeadLetters;
+    this.pending = [];
+    this.deadLetters = [];
+    this.inFlight = new Set();
+    this.timer = null;
+    this.persistTimer = null;
+    this.isProcessing = false;
+    this.load();
+  }
+
+  /**
+   * Carga el estado persistido
+   */
+  load() {
+    try {
+      const data = this.store.read();
+      this.pending = data.pending || [];
+      this.deadLetters = data.deadLetters || [];
+      if (this.pending.length > 0) {
+        this.logger.info(
+          `Cola de webhooks: ${this.pending.length} entregas pendientes recuperadas`
+        );
+      }
+    } catch (error) {
+      this.logger.error("Error cargando cola de webhooks:", error);
+    }
+  }
+
+  /**
+   * Programa la escritura del estado (ver PERSIST_DELAY)
+   */
+  persist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY);
+    this.persistTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    try {
+      this.store.write({
+        pending: this.pending.map(withoutInlineMedia),
+        deadLetters: this.deadLetters.map(withoutInlineMedia),
+      });
+    } catch (error) {
+      this.logger.error("Error guardando cola de webhooks:", error);
+    }
+  }
+
+  /**
+   * Inicia el procesamiento periódico de reintentos
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.persistTimer) this.flush();
+  }
+
+  /**
+   * Registra una entrega y la intenta inmediatamente. Devuelve la respuesta
+   * del destino; si falla, la entrega queda programada para reintento y se
+   * propaga el error. options: { headers, timeout, retry: { maxAttempts,
+   * baseDelay, maxDelay } } para sobrescribir la política por destino.
+   */
+  async deliver(url, payload, options = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      url,
+      payload,
+      options,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      lastStatus: null,
+    };
+
+    this.pending.push(delivery);
+    this.persist();
+
+    return this.attempt(delivery);
+  }
+
+  /**
+   * Ejecuta un intento de entrega y actualiza su estado
+   */
+  async attempt(delivery) {
+    this.inFlight.add(delivery.id);
+    delivery.attempts++;
+
+    try {
+      const response = await this.send(delivery);
+      this.pending = this.pending.filter((d) => d.id !== delivery.id);
+      this.persist();
+      return response;
+    } catch (error) {
+      delivery.lastError = error.message;
+      delivery.lastStatus = error.response?.status || null;
+
+      const maxAttempts =
+        delivery.options?.retry?.maxAttempts || this.maxAttempts;
+
+      if (delivery.attempts >= maxAttempts) {
+        this.moveToDeadLetter(delivery);
+      } else {
+        delivery.nextAttemptAt =
+          Date.now() +
+          this.getBackoff(delivery.attempts, delivery.options?.retry);
+        this.logger.warn(
+          `Entrega ${delivery.id} fallida (intento ${delivery.attempts}/${maxAttempts}), próximo reintento en ${Math.round((delivery.nextAttemptAt - Date.now()) / 1000)}s`
+        );
+      }
+
+      this.persist();
+      throw error;
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  /**
+   * Backoff exponencial con jitter: entre la mitad y el total del retardo
+   */
+  getBackoff(attempts, retry = {}) {
+    const baseDelay = retry.baseDelay || this.baseDelay;
+    const maxDelay = retry.maxDelay || this.maxDelay;
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempts - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  moveToDeadLetter(delivery) {
+    this.pending = this.pending.filter((d) => d.id !== delivery.id);
+    this.deadLetters.push({ ...delivery, failedAt: Date.now() });
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      const dropped = this.deadLetters.splice(
+        0,
+        this.deadLetters.length - this.maxDeadLetters
+      );
+      this.logger.warn(
+        `Dead-letter llena: ${dropped.length} entregas antiguas descartadas`
+      );
+    }
+    this.logger.error("Máximo de reintentos alcanzado para webhook:", {
+      deliveryId: delivery.id,
+      messageId: delivery.payload?.messageId,
+      error: delivery.lastError,
+    });
+  }
+
+  /**
+   * Reintenta las entregas cuyo próximo intento ya venció
+   */
+  async processDue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.pending.filter(
+        (d) => d.nextAttemptAt <= now && !this.inFlight.has(d.id)
+      );
+
+      for (const delivery of due) {
+        try {
+          await this.attempt(delivery);
+          this.logger.info("Reenvío de webhook exitoso:", {
+            deliveryId: delivery.id,
+            attempt: delivery.attempts,
+          });
+        } catch (error) {
+          // El estado ya quedó actualizado en attempt()
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  getStats() {
+    return {
+      pending: this.pending.length,
+      deadLetters: this.deadLetters.length,
+    };
+  }
+
+  listPending() {
+    return this.pending.map(summarize);
+  }
+
+  listDeadLetters() {
+    return this.deadLetters.map(summarize);
+  }
+
+  getDeadLetter(id) {
+    return this.deadLetters.find((d) => d.id === id) || null;
+  }
+
+  /**
+   * Devuelve una entrega de dead-letter a la cola con los intentos reiniciados
+   */
+  replay(id) {
+    const delivery = this.getDeadLetter(id);
+    if (!delivery) return null;
+
+    this.deadLetters = this.deadLetters.filter((d) => d.id !== id);
+    const { failedAt, ...rest } = delivery;
+    const requeued = { ...rest, attempts: 0, nextAttemptAt: Date.now() };
+    this.pending.push(requeued);
+    this.persist();
+    this.processDue();
+
+    return summarize(requeued);
+  }
+
+  replayAll() {
+    return this.deadLetters.map((d) => d.id).map((id) => this.replay(id));
+  }
+
+  /**
+   * Elimina una entrega de dead-letter, o todas si no se indica id
+   */
+  purge(id) {
+    const before = this.deadLetters.length;
+    this.deadLetters = id ? this.deadLetters.filter((d) => d.id !== id) : [];
+    this.persist();
+    return before - this.deadLetters.length;
+  }
+}
+
+/**
+ * Copia de la entrega para guardar en disco, sin el base64 del media
+ */
+function withoutInlineMedia(delivery) {
+  const media = delivery.payload?.media;
+  if (!media?.data) return delivery;
+
+  const { data, ...rest } = media;
+  return {
+    ...delivery,
+    payload: { ...delivery.payload, media: { ...rest, dataOmitted: true } },
+  };
+}
+
+function summarize(delivery) {
+  return {
+    id: delivery.id,
+    url: delivery.url,
+    messageId: delivery.payload?.messageId || null,
+    attempts: delivery.attempts,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt,
+    failedAt: delivery.failedAt,
+    lastError: delivery.lastError,
+    lastStatus: delivery.lastStatus,
+  };
+}
+
+module.exports = WebhookQueue;
@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+const JsonStore = require("../utils/jsonStore");
+
+const CHAT_TYPES = ["group", "private"];
+
+/**
+ * Tabla de ruteo de webhooks salientes
+ *
+ * Cada ruta define un destino con sus propias cabeceras, timeout y política
+ * de reintentos, y reglas de coincidencia sobre el mensaje formateado:
+ *   - chatIds:        ids de chat o números exactos
+ *   - chatType:       "group" | "private"
+ *   - numberPrefixes: prefijos del número del remitente
+ *   - types:          tipos de mensaje (chat, image, audio...)
+ *   - keywords:       palabras incluidas en el texto (sin distinguir mayúsculas)
+ *   - pattern:        expresión regular sobre el texto
+ *   - isMyContact:    true | false
+ * Todas las reglas presentes deben cumplirse; dentro de una lista basta con
+ * un valor. Un mensaje se envía a todas las rutas que coinciden (fan-out).
+ */
+class WebhookRouter {
+  constructor({ filePath, logger }) {
+    this.store = new JsonStore(filePath, { routes: [] });
+    this.logger = logger;
+    this.routes = [];
+    // Rutas del archivo que no pasan la validación: no se aplican pero se
+    // conservan al guardar para no perder lo editado a mano
+    this.invalidRoutes = [];
+    this.load();
+  }
+
+  /**
+   * Carga las rutas del archivo con los mismos valores por defecto y la
+   * misma validación que las creadas por la API
+   */
+  load() {
+    try {
+      const routes = [];
+      const invalid = [];
+
+      (this.store.read().routes || []).forEach((definition) => {
+        const isObject = definition && typeof definition === "object";
+        const route = isObject
+          ? normalizeRoute({
+              ...definition,
+              id: definition.id || crypto.randomUUID(),
+            })
+          : null;
+        const error = route
+          ? validateRoute(route)
+          : "La ruta debe ser un objeto";
+        if (error) {
+          this.logger.error(
+            `Ruta de webhook ${definition?.id || ""} inválida: ${error}`
+          );
+          invalid.push(definition);
+        } else {
+          routes.push(route);
+        }
+      });
+
+      this.routes = routes;
+      this.invalidRoutes = invalid;
+      if (this.routes.length > 0) {
+        this.logger.info(
+          `Rutas de webhook cargadas: ${this.routes.map((r) => r.name).join(", ")}`
+        );
+      }
+    } catch (error) {
+      this.logger.error("Error cargando rutas de webhook:", error);
+    }
+  }
+
+  persist() {
+    this.store.write({ routes: [...this.routes, ...this.invalidRoutes] });
+  }
+
+  list() {
+    return this.routes;
+  }
+
+  get(id) {
+    return this.routes.find((route) => route.id === id) || null;
+  }
+
+  /**
+   * Crea una ruta. Devuelve { route } o { error } si la definición es inválida
+   */
+  create(definition) {
+    const route = normalizeRoute({ id: crypto.randomUUID(), ...definition });
+    const error = validateRoute(route);
+    if (error) return { error };
+
+    if (this.get(route.id)) {
+      return { error: `Ya existe una ruta con id "${route.id}"` };
+    }
+
+    this.routes.push(route);
+    this.persist();
+    return { route };
+  }
+
+  update(id, changes) {
+    const index = this.routes.findIndex((route) => route.id === id);
+    if (index === -1) return null;
+
+    const route = normalizeRoute({ ...this.routes[index], ...changes, id });
+    const error = validateRoute(route);
+    if (error) return { error };
+
+    this.routes[index] = route;
+    this.persist();
+    return { route };
+  }
+
+  remove(id) {
+    const before = this.routes.length;
+    this.routes = this.routes.filter((route) => route.id !== id);
+    if (this.routes.length === before) return false;
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Rutas habilitadas cuyas reglas coinciden con el mensaje. Una ruta con
+   * reglas que fallan se omite sin afectar a las demás.
+   */
+  match(data) {
+    return this.routes.filter((route) => {
+      if (!route.enabled) return false;
+      try {
+        return matchesRules(route.match, data);
+      } catch (error) {
+        this.logger.error(
+          `Error evaluando la ruta de webhook ${route.id}: ${error.message}`
+        );
+        return false;
+      }
+    });
+  }
+}
+
+function normalizeRoute(route) {
+  return {
+    id: route.id,
+    name: route.name || route.id,
+    url: route.url,
+    enabled: route.enabled !== false,
+    match: route.match || {},
+    headers: route.headers || {},
+    timeout: route.timeout ? parseInt(route.timeout) : null,
+    retry: route.retry || {},
+  };
+}
+
+/**
+ * Devuelve un mensaje de error o null si la ruta es válida
+ */
+function validateRoute(route) {
+  if (!route.url) return 'El parámetro "url" es requerido';
+  try {
+    new URL(route.url);
+  } catch (error) {
+    return `URL inválida: ${route.url}`;
+  }
+
+  const { match } = route;
+  if (typeof match !== "object" || Array.isArray(match)) {
+    return '"match" debe ser un objeto';
+  }
+  if (match.chatType && !CHAT_TYPES.includes(match.chatType)) {
+    return `"chatType" debe ser uno de: ${CHAT_TYPES.join(", ")}`;
+  }
+  for (const key of ["chatIds", "numberPrefixes", "types", "keywords"]) {
+    if (match[key] !== undefined && !Array.isArray(match[key])) {
+      return `"match.${key}" debe ser un array`;
+    }
+    if (match[key]?.some((value) => typeof value !== "string" || !value)) {
+      return `"match.${key}" debe contener solo textos no vacíos`;
+    }
+  }
+  if (match.pattern !== undefined && typeof match.pattern !== "string") {
+    return '"match.pattern" debe ser un texto';
+  }
+  if (
+    match.isMyContact !== undefined &&
+    typeof match.isMyContact !== "boolean"
+  ) {
+    return '"match.isMyContact" debe ser true o false';
+  }
+  if (match.pattern) {
+    try {
+      new RegExp(match.pattern, "i");
+    } catch (error) {
+      return `Expresión regular inválida: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+function matchesRules(match, data) {
+  const body = (data.body || "").toLowerCase();
+
+  if (
+    match.chatIds?.length &&
+    !match.chatIds.some((id) => id === data.from || id === data.fromNumber)
+  ) {
+    return false;
+  }
+  if (match.chatType === "group" && !data.isGroupMsg) return false;
+  if (match.chatType === "private" && data.isGroupMsg) return false;
+  if (
+    match.numberPrefixes?.length &&
+    !match.numberPrefixes.some((prefix) =>
+      (data.fromNumber || "").startsWith(prefix.replace(/\D/g, ""))
+    )
+  ) {
+    return false;
+  }
+  if (match.types?.length && !match.types.includes(data.type)) return false;
+  if (
+    match.keywords?.length &&
+    !match.keywords.some((keyword) => body.includes(keyword.toLowerCase()))
+  ) {
+    return false;
+  }
+  if (match.pattern && !new RegExp(match.pattern, "i").test(data.body || "")) {
+    return false;
+  }
+  if (
+    typeof match.isMyContact === "boolean" &&
+    Boolean(data.contact?.isMyContact) !== match.isMyContact
+  ) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = WebhookRouter;
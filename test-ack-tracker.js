@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const AckTracker = require("./services/ackTracker");
+const { getAckStatus } = require("./services/ackTracker");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("acks");
+
+function createTracker(options) {
+  return new AckTracker({
+    filePath: tmp.file(),
+    maxEntries: 100,
+    logger,
+    ...options,
+  });
+}
+
+const chatId = "5491134083140@c.us";
+const statuses = (entry) => entry.history.map(({ status }) => status);
+
+test("sigue un mensaje enviado hasta que se lee", () => {
+  const tracker = createTracker();
+  tracker.track("m1", chatId);
+  assert.strictEqual(tracker.get("m1").status, "pending");
+
+  const server = tracker.update("m1", chatId, 1);
+  assert.strictEqual(server.previousStatus, "pending");
+  assert.strictEqual(server.entry.status, "server");
+  tracker.update("m1", chatId, 3);
+
+  const entry = tracker.get("m1");
+  assert.deepStrictEqual(statuses(entry), ["pending", "server", "read"]);
+  assert.strictEqual(entry.chatId, chatId);
+  assert.strictEqual(tracker.get("otro"), null);
+});
+
+test("los acks repetidos o atrasados no cambian el estado; el error sí", () => {
+  const tracker = createTracker();
+  tracker.track("m1", chatId);
+  tracker.update("m1", chatId, 2);
+
+  assert.strictEqual(tracker.update("m1", chatId, 2), null);
+  assert.strictEqual(tracker.update("m1", chatId, 1), null);
+  assert.strictEqual(tracker.update("m1", chatId, -1).entry.status, "error");
+  assert.deepStrictEqual(statuses(tracker.get("m1")), [
+    "pending",
+    "device",
+    "error",
+  ]);
+});
+
+test("un ack que llega antes de terminar el envío se conserva", () => {
+  const tracker = createTracker();
+
+  // El ack llega sin chat conocido y antes que track()
+  const early = tracker.update("m1", undefined, 2);
+  assert.strictEqual(early.previousStatus, null);
+  tracker.track("m1", chatId);
+
+  const entry = tracker.get("m1");
+  assert.strictEqual(entry.status, "device");
+  assert.strictEqual(entry.ack, 2);
+  assert.strictEqual(entry.chatId, chatId);
+  assert.deepStrictEqual(statuses(entry), ["device"]);
+});
+
+test("descarta los más antiguos y persiste al reiniciar", () => {
+  const filePath = tmp.file();
+  const tracker = createTracker({ filePath, maxEntries: 2 });
+  ["m1", "m2", "m3"].forEach((id) => tracker.track(id, chatId));
+  tracker.update("m3", chatId, 3);
+  tracker.flush();
+
+  const restarted = createTracker({ filePath });
+  assert.strictEqual(restarted.get("m1"), null);
+  assert.strictEqual(restarted.get("m2").status, "pending");
+  assert.strictEqual(restarted.get("m3").status, "read");
+});
+
+test("estados por ack", () => {
+  assert.deepStrictEqual([-1, 0, 1, 2, 3, 4, 7].map(getAckStatus), [
+    "error",
+    "pending",
+    "server",
+    "device",
+    "read",
+    "played",
+    "unknown",
+  ]);
+});
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const {
+  createAuth,
+  loadApiKeys,
+  parseKeysFromString,
+} = require("./middleware/auth");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("auth");
+
+// El servidor completo corre en el directorio temporal: sus datos y logs
+// (rutas relativas de la configuración) no tocan los del proyecto
+process.chdir(tmp.dir);
+Object.assign(process.env, {
+  AUTH_ENABLED: "true",
+  API_KEYS: "lector:clave:con:dos-puntos:read,envio:otra-clave:send",
+  LOG_LEVEL: "error",
+});
+const server = require("./server");
+
+let base;
+let listener;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      listener = server.app.listen(0, "127.0.0.1", () => {
+        base = `http://127.0.0.1:${listener.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => listener.close());
+
+const get = (path, key) =>
+  fetch(`${base}${path}`, { headers: key ? { "X-API-Key": key } : {} });
+
+test("las keys pueden contener ':' y se separan en el primero y el último", () => {
+  assert.deepStrictEqual(
+    parseKeysFromString("a:b:c:send|read, sin-permisos:k , sin-key"),
+    [
+      { name: "a", key: "b:c", scopes: ["send", "read"] },
+      { name: "sin-permisos", key: "k", scopes: [] },
+      { name: "sin-key" },
+    ]
+  );
+  assert.deepStrictEqual(
+    loadApiKeys({ apiKeys: "a:b:c:send|otro,sin-key" }).map(
+      ({ name, scopes }) => [name, scopes]
+    ),
+    [["a", ["send"]]]
+  );
+});
+
+test("un archivo de keys mal formado falla con un error claro", () => {
+  const filePath = tmp.file();
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify([{ name: "archivo", key: "k", scopes: ["admin"] }])
+  );
+  assert.deepStrictEqual(
+    loadApiKeys({ keysFile: filePath }).map(({ name }) => name),
+    ["archivo"]
+  );
+
+  ["{ no es json", JSON.stringify({ keys: "k" })].forEach((content) => {
+    fs.writeFileSync(filePath, content);
+    assert.throws(
+      () => loadApiKeys({ keysFile: filePath }),
+      /Archivo de API keys inválido/
+    );
+  });
+});
+
+test("compara en tiempo constante contra todas las keys", (t) => {
+  const auth = createAuth({
+    authConfig: { enabled: true, apiKeys: "a:1:read,b:2:read,c:3:read" },
+    logger,
+  });
+  const compare = t.mock.method(crypto, "timingSafeEqual");
+
+  let granted = null;
+  auth("read")(
+    { get: (header) => (header === "X-API-Key" ? "1" : undefined) },
+    {},
+    () => (granted = true)
+  );
+  assert.strictEqual(granted, true);
+  assert.strictEqual(compare.mock.callCount(), 3);
+});
+
+test("sin key responde 401 y /health queda abierto", async () => {
+  const missing = await get("/status");
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.headers.get("www-authenticate"), "Bearer");
+  assert.deepStrictEqual(await missing.json(), {
+    success: false,
+    error: "API key inválida o ausente",
+  });
+  assert.strictEqual((await get("/status", "otra")).status, 401);
+
+  const health = await get("/health");
+  assert.strictEqual(health.status, 200);
+  assert.strictEqual((await health.json()).status, "ok");
+});
+
+test("una key sin el permiso de la ruta responde 403", async () => {
+  const forbidden = await get("/status", "otra-clave");
+  assert.strictEqual(forbidden.status, 403);
+  assert.match((await forbidden.json()).error, /permiso "read"/);
+
+  const allowed = await fetch(`${base}/status`, {
+    headers: { Authorization: "Bearer clave:con:dos-puntos" },
+  });
+  assert.strictEqual(allowed.status, 200);
+});
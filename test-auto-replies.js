@@ -0,0 +1,374 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const AutoReplyRules = require("./services/autoReplyRules");
+const AutoResponder = require("./services/autoResponder");
+const {
+  parseBusinessHours,
+  isWithinBusinessHours,
+} = require("./utils/businessHours");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("auto-replies");
+const created = [];
+
+test.after(() => created.forEach((rules) => rules.stop()));
+
+const templates = {
+  get: (name) => (name === "bienvenida" ? { name } : null),
+  render: (name, variables) =>
+    name === "bienvenida" ? { text: `Hola ${variables.contact.name}` } : null,
+};
+
+function createRules({ rules, ...options } = {}) {
+  const filePath = tmp.file();
+  if (rules) fs.writeFileSync(filePath, JSON.stringify({ rules }));
+
+  const store = new AutoReplyRules({
+    filePath,
+    cooldown: 60000,
+    reloadInterval: 50,
+    // Lunes a viernes de 9 a 18 (hora de Buenos Aires)
+    businessHours: "lun-vie 09:00-18:00",
+    timezone: "America/Argentina/Buenos_Aires",
+    templates,
+    logger,
+    ...options,
+  });
+  created.push(store);
+  return store;
+}
+
+const add = (store, definition) => {
+  const { rule, error } = store.create(definition);
+  assert.strictEqual(error, undefined);
+  return rule;
+};
+
+const message = (body, overrides) => ({
+  from: "5491134083140@c.us",
+  fromNumber: "5491134083140",
+  body,
+  isGroupMsg: false,
+  timestamp: Date.now(),
+  contact: { name: "Ana" },
+  ...overrides,
+});
+
+// Martes 10:00 y 20:00 en Buenos Aires (UTC-3)
+const openTime = new Date("2025-06-10T13:00:00Z");
+const closedTime = new Date("2025-06-10T23:00:00Z");
+
+const names = (rules) => rules.map((rule) => rule.name);
+
+test("exact, contains y regex sin distinguir mayúsculas ni acentos", () => {
+  const store = createRules();
+  add(store, {
+    name: "hola",
+    match: { type: "exact", value: ["hola", "buen día"] },
+    reply: { text: "x" },
+  });
+  add(store, {
+    name: "precio",
+    match: { type: "contains", value: "precio" },
+    reply: { text: "x" },
+  });
+  add(store, {
+    name: "pedido",
+    match: { type: "regex", pattern: "pedido #?\\d+" },
+    reply: { text: "x" },
+  });
+
+  const match = (body) => names(store.match(message(body), { now: openTime }));
+  assert.deepStrictEqual(match("Buen Dia"), ["hola"]);
+  assert.deepStrictEqual(match("hola, ¿qué PRECIOS tienen?"), ["precio"]);
+  assert.deepStrictEqual(match("Mi PEDIDO #123"), ["pedido"]);
+  assert.deepStrictEqual(match("otra cosa"), []);
+});
+
+test("una regex coincide en todos los mensajes (sin estado entre llamadas)", () => {
+  const store = createRules();
+  add(store, {
+    name: "pedido",
+    match: { type: "regex", pattern: "pedido", flags: "i" },
+    reply: { text: "x" },
+  });
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(
+      store.match(message("pedido"), { now: openTime }).length,
+      1
+    );
+  }
+  ["g", "gi", "y"].forEach((flags) => {
+    assert.match(
+      store.create({
+        match: { type: "regex", pattern: "pedido", flags },
+        reply: { text: "x" },
+      }).error,
+      /no admite/
+    );
+  });
+});
+
+test("prioridad, habilitación y tipo de chat", () => {
+  const store = createRules();
+  add(store, {
+    name: "baja",
+    priority: 1,
+    match: { type: "contains", value: "hola" },
+    reply: { text: "x" },
+  });
+  add(store, {
+    name: "alta",
+    priority: 5,
+    match: { type: "contains", value: "hola" },
+    reply: { text: "x" },
+  });
+  add(store, {
+    name: "apagada",
+    priority: 9,
+    enabled: false,
+    match: { type: "contains", value: "hola" },
+    reply: { text: "x" },
+  });
+  add(store, {
+    name: "grupos",
+    chatType: "group",
+    match: { type: "contains", value: "hola" },
+    reply: { text: "x" },
+  });
+
+  assert.deepStrictEqual(
+    names(store.match(message("hola"), { now: openTime })),
+    ["alta", "baja"]
+  );
+  assert.deepStrictEqual(
+    names(
+      store.match(message("hola", { isGroupMsg: true }), { now: openTime })
+    ),
+    ["grupos"]
+  );
+});
+
+test("firstMessage y outsideHours", () => {
+  const store = createRules();
+  add(store, {
+    name: "primero",
+    match: { type: "firstMessage" },
+    reply: { text: "x" },
+  });
+  add(store, {
+    name: "cerrado",
+    match: { type: "outsideHours" },
+    reply: { text: "x" },
+  });
+  add(store, {
+    name: "finde",
+    match: { type: "outsideHours", hours: "lun-dom 00:00-24:00" },
+    reply: { text: "x" },
+  });
+
+  assert.deepStrictEqual(
+    names(store.match(message("hola"), { now: openTime })),
+    []
+  );
+  assert.deepStrictEqual(
+    names(
+      store.match(message("hola"), { isFirstMessage: true, now: closedTime })
+    ),
+    ["primero", "cerrado"]
+  );
+});
+
+test("horario de atención con varios tramos y zona horaria", () => {
+  const schedule = parseBusinessHours(
+    "lun-vie 09:00-13:00 14:00-18:00; sab 09:00-13:00"
+  );
+  const at = (iso) =>
+    isWithinBusinessHours(
+      schedule,
+      new Date(iso),
+      "America/Argentina/Buenos_Aires"
+    );
+
+  assert.strictEqual(at("2025-06-10T12:30:00Z"), true); // mar 09:30
+  assert.strictEqual(at("2025-06-10T16:30:00Z"), false); // mar 13:30
+  assert.strictEqual(at("2025-06-14T15:59:00Z"), true); // sáb 12:59
+  assert.strictEqual(at("2025-06-14T16:00:00Z"), false); // sáb 13:00
+  assert.strictEqual(at("2025-06-15T14:00:00Z"), false); // dom
+  assert.strictEqual(
+    isWithinBusinessHours(schedule, new Date("2025-06-10T16:30:00Z"), "UTC"),
+    true
+  );
+
+  ["lun 9-18", "xyz 09:00-10:00", "lun", "lun 18:00-09:00"].forEach((spec) => {
+    assert.throws(() => parseBusinessHours(spec), Error, spec);
+  });
+  assert.deepStrictEqual(
+    parseBusinessHours("vie-lun 10:00-11:00").map((ranges) => ranges.length),
+    [1, 1, 0, 0, 0, 1, 1]
+  );
+});
+
+test("la respuesta usa texto con variables o una plantilla", () => {
+  const store = createRules();
+  const text = add(store, {
+    match: { type: "firstMessage" },
+    reply: { text: "Hola {{contact.name}}" },
+  });
+  const template = add(store, {
+    match: { type: "firstMessage" },
+    reply: { template: "bienvenida" },
+  });
+
+  const variables = { contact: { name: "Ana" } };
+  assert.strictEqual(store.renderReply(text, variables), "Hola Ana");
+  assert.strictEqual(store.renderReply(template, variables), "Hola Ana");
+  assert.match(
+    store.create({
+      match: { type: "firstMessage" },
+      reply: { template: "otra" },
+    }).error,
+    /no encontrada/
+  );
+});
+
+test("las reglas editadas a mano toman los valores por defecto", () => {
+  const store = createRules({
+    rules: [
+      {
+        id: "a",
+        name: "sin prioridad",
+        match: { type: "exact", value: "hola" },
+        reply: { text: "x" },
+      },
+      {
+        id: "b",
+        name: "con prioridad",
+        priority: 2,
+        match: { type: "exact", value: "hola" },
+        reply: { text: "x" },
+      },
+      {
+        id: "c",
+        name: "inválida",
+        match: { type: "regex", pattern: "(" },
+        reply: { text: "x" },
+      },
+    ],
+  });
+
+  assert.deepStrictEqual(names(store.list()), [
+    "con prioridad",
+    "sin prioridad",
+  ]);
+  assert.strictEqual(store.get("a").priority, 0);
+  assert.strictEqual(store.get("a").cooldown, 60000);
+
+  // La regla inválida no se aplica pero tampoco se pierde al guardar
+  store.remove("b");
+  const saved = JSON.parse(fs.readFileSync(store.filePath, "utf8"));
+  assert.deepStrictEqual(
+    saved.rules.map((rule) => rule.id),
+    ["a", "c"]
+  );
+});
+
+test("se recargan al editar el archivo", async () => {
+  const store = createRules();
+  add(store, {
+    name: "api",
+    match: { type: "exact", value: "hola" },
+    reply: { text: "x" },
+  });
+
+  // Esperar para que el archivo tenga otra fecha de modificación
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  fs.writeFileSync(
+    store.filePath,
+    JSON.stringify({
+      rules: [
+        {
+          id: "z",
+          name: "manual",
+          match: { type: "exact", value: "chau" },
+          reply: { text: "x" },
+        },
+      ],
+    })
+  );
+
+  for (let i = 0; i < 50 && store.get("z") === null; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.deepStrictEqual(names(store.list()), ["manual"]);
+});
+
+test("enfriamiento por regla y chat; con la regla enfriada responde la siguiente", async () => {
+  const store = createRules();
+  add(store, {
+    name: "precio",
+    priority: 2,
+    cooldown: 60000,
+    match: { type: "contains", value: "precio" },
+    reply: { text: "Precios {{contact.name}}" },
+  });
+  add(store, {
+    name: "general",
+    priority: 1,
+    cooldown: 0,
+    match: { type: "contains", value: "precio" },
+    reply: { text: "General" },
+  });
+
+  const sent = [];
+  const responder = new AutoResponder({
+    rules: store,
+    conversationGap: 60000,
+    bot: { sendToChat: async (chatId, text) => sent.push([chatId, text]) },
+    logger,
+  });
+  const reply = async (overrides) => {
+    const data = message("precio", overrides);
+    return (await responder.handle({ from: data.from }, data))?.name;
+  };
+
+  assert.strictEqual(await reply(), "precio");
+  assert.strictEqual(await reply(), "general");
+  assert.strictEqual(await reply({ from: "5491100000000@c.us" }), "precio");
+  assert.deepStrictEqual(
+    sent.map(([, text]) => text),
+    ["Precios Ana", "General", "Precios Ana"]
+  );
+});
+
+test("primer mensaje de la conversación según el silencio previo", async () => {
+  const store = createRules();
+  add(store, { match: { type: "firstMessage" }, reply: { text: "x" } });
+  const responder = new AutoResponder({
+    rules: store,
+    conversationGap: 60000,
+    bot: {},
+    logger,
+  });
+
+  const history = [];
+  const chatMessage = {
+    from: "5491134083140@c.us",
+    id: { _serialized: "actual" },
+    getChat: async () => ({ fetchMessages: async () => history }),
+  };
+  const observe = (timestamp) =>
+    responder.observe(chatMessage, message("hola", { timestamp }));
+
+  // Sin historial en memoria se consulta el chat
+  history.push({
+    fromMe: false,
+    id: { _serialized: "viejo" },
+    timestamp: 1000,
+  });
+  assert.strictEqual(await observe(1000 * 1000 + 30000), false);
+  assert.strictEqual(await observe(1000 * 1000 + 30000 + 59000), false);
+  assert.strictEqual(await observe(1000 * 1000 + 30000 + 59000 + 61000), true);
+});
@@ -0,0 +1,202 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const CampaignManager = require("./services/campaignManager");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("campaigns");
+
+// sendMessage responde según el número: un Error en "errors" = fallo
+function createManager({ errors = {}, registered, ...options } = {}) {
+  const sent = [];
+  const bot = {
+    isConnected: true,
+    numberChecker: {
+      check: async (number) => ({ registered: registered?.(number) ?? true }),
+    },
+    sendMessage: async (number, text, sendOptions) => {
+      if (errors[number]) throw errors[number];
+      sent.push({ number, text, ...sendOptions });
+      return { messageId: `id-${number}` };
+    },
+  };
+  const manager = new CampaignManager({
+    filePath: tmp.file(),
+    maxCampaigns: 10,
+    pollInterval: 10,
+    bot,
+    logger,
+    ...options,
+  });
+  return { manager, bot, sent };
+}
+
+const recipients = (...numbers) => numbers.map((number) => ({ number }));
+
+const newCampaign = (manager, options) =>
+  manager.create({
+    recipients: recipients("5491100000001", "5491100000002"),
+    message: "Hola",
+    delay: 0,
+    ...options,
+  });
+
+// Sin start() las campañas no se envían solas: se ejecutan a mano
+async function runCampaign(manager, id) {
+  manager.stopped = false;
+  await manager.run(id);
+  return manager.get(id);
+}
+
+test("envía a los pendientes, respeta los omitidos y se completa", async () => {
+  const { manager, sent } = createManager();
+  const campaign = manager.create({
+    recipients: [
+      { number: "5491100000001", message: "Hola Ana" },
+      { number: "5491100000002" },
+      { number: "5491100000003", skipReason: "Dado de baja (opt-out)" },
+    ],
+    message: "Hola",
+    delay: 0,
+    transactional: true,
+  });
+  assert.strictEqual(sent.length, 0);
+
+  const finished = await runCampaign(manager, campaign.id);
+  assert.strictEqual(finished.status, "completed");
+  assert.ok(finished.finishedAt);
+  assert.deepStrictEqual(sent, [
+    { number: "5491100000001", text: "Hola Ana", transactional: true },
+    { number: "5491100000002", text: "Hola", transactional: true },
+  ]);
+  assert.strictEqual(finished.recipients[0].messageId, "id-5491100000001");
+
+  const summary = manager.summarize(finished);
+  assert.strictEqual(summary.recipients, undefined);
+  assert.deepStrictEqual(
+    [summary.total, summary.sent, summary.skipped, summary.pending],
+    [3, 2, 1, 0]
+  );
+});
+
+test("fallos, bajas posteriores y números sin WhatsApp", async () => {
+  const optedOut = Object.assign(new Error("El número se dio de baja"), {
+    code: "OPTED_OUT",
+  });
+  const { manager } = createManager({
+    errors: {
+      5491100000001: new Error("Falló el envío"),
+      5491100000002: optedOut,
+    },
+    registered: (number) => number !== "5491100000003",
+  });
+  const campaign = manager.create({
+    recipients: recipients("5491100000001", "5491100000002", "5491100000003"),
+    message: "Hola",
+    delay: 0,
+    checkRegistered: true,
+  });
+
+  const finished = await runCampaign(manager, campaign.id);
+  assert.deepStrictEqual(
+    finished.recipients.map(({ status, error }) => [status, error]),
+    [
+      ["failed", "Falló el envío"],
+      ["skipped", "El número se dio de baja"],
+      ["skipped", "El número no tiene WhatsApp"],
+    ]
+  );
+  assert.strictEqual(finished.status, "completed");
+});
+
+test("pausar, reanudar y cancelar validan el estado", async () => {
+  const { manager } = createManager();
+  const { id } = newCampaign(manager);
+
+  assert.strictEqual(manager.pause("inexistente"), null);
+  assert.match(manager.resume(id).error, /running, no se puede reanudar/);
+  assert.strictEqual(manager.pause(id).campaign.status, "paused");
+  assert.match(manager.pause(id).error, /paused, no se puede pausar/);
+
+  // Pausada no envía nada
+  assert.strictEqual((await runCampaign(manager, id)).status, "paused");
+  assert.strictEqual(manager.summarize(manager.get(id)).pending, 2);
+
+  manager.stopped = true;
+  assert.strictEqual(manager.resume(id).campaign.status, "running");
+  const { campaign } = manager.cancel(id);
+  assert.strictEqual(campaign.status, "cancelled");
+  assert.ok(campaign.finishedAt);
+  assert.strictEqual(manager.summarize(campaign).cancelled, 2);
+  assert.match(manager.cancel(id).error, /cancelled, no se puede cancelar/);
+});
+
+test("pausar durante el envío detiene la campaña", async () => {
+  const { manager, bot, sent } = createManager();
+  const { id } = newCampaign(manager);
+  const sendMessage = bot.sendMessage;
+  bot.sendMessage = async (...args) => {
+    manager.pause(id);
+    return sendMessage(...args);
+  };
+
+  const campaign = await runCampaign(manager, id);
+  assert.strictEqual(campaign.status, "paused");
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(manager.summarize(campaign).pending, 1);
+});
+
+test("sin conexión espera a que el bot se reconecte", async () => {
+  const { manager, bot, sent } = createManager();
+  const { id } = newCampaign(manager);
+  bot.isConnected = false;
+  setTimeout(() => (bot.isConnected = true), 30);
+
+  assert.strictEqual((await runCampaign(manager, id)).status, "completed");
+  assert.strictEqual(sent.length, 2);
+});
+
+test("se retoman al reiniciar las campañas en curso", async () => {
+  const filePath = tmp.file();
+  const { manager } = createManager({ filePath });
+  const running = newCampaign(manager);
+  const paused = newCampaign(manager);
+  manager.pause(paused.id);
+
+  const { manager: restarted, sent } = createManager({ filePath });
+  assert.deepStrictEqual(
+    restarted.list().map((campaign) => campaign.status),
+    ["running", "paused"]
+  );
+
+  restarted.start();
+  while (restarted.running.size > 0) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  restarted.stop();
+  assert.strictEqual(restarted.get(running.id).status, "completed");
+  assert.strictEqual(restarted.get(paused.id).status, "paused");
+  assert.strictEqual(sent.length, 2);
+
+  const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  assert.strictEqual(saved.campaigns[0].status, "completed");
+});
+
+test("descarta las campañas terminadas más antiguas", () => {
+  const { manager } = createManager({ maxCampaigns: 2 });
+  const first = newCampaign(manager);
+  const second = newCampaign(manager);
+  manager.cancel(first.id);
+  manager.cancel(second.id);
+
+  const third = newCampaign(manager);
+  assert.deepStrictEqual(
+    manager.list().map((campaign) => campaign.id),
+    [second.id, third.id]
+  );
+
+  // Las que siguen activas no se descartan aunque se supere el máximo
+  newCampaign(manager);
+  newCampaign(manager);
+  assert.strictEqual(manager.list().length, 3);
+});
@@ -0,0 +1,196 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const CommandRouter = require("./services/commandRouter");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("commands");
+
+const admin = "5491100000001";
+const user = "5491134083140";
+
+// Router con el prefijo "!" que registra las respuestas y las ejecuciones
+function createRouter() {
+  const replies = [];
+  const runs = [];
+  const bot = {
+    sendToChat: async (chatId, content) => replies.push(content),
+  };
+  const router = new CommandRouter({
+    prefix: "!",
+    admins: [admin],
+    bot,
+    logger,
+  });
+  const say = (body, overrides) => {
+    const data = {
+      from: `${user}@c.us`,
+      fromNumber: user,
+      body,
+      isGroupMsg: false,
+      ...overrides,
+    };
+    return router.handle({ from: data.from }, data);
+  };
+  const track = (definition) =>
+    router.register({
+      ...definition,
+      handle: async (ctx) => runs.push({ name: ctx.command.name, ...ctx.args }),
+    });
+  return { router, replies, runs, say, track };
+}
+
+test("parsea argumentos con tipos, comillas, opciones y resto del texto", async () => {
+  const { replies, runs, say, track } = createRouter();
+  track({
+    name: "pedido",
+    aliases: ["p"],
+    args: [
+      { name: "cantidad", type: "number", required: true },
+      { name: "talle", choices: ["S", "M", "L"] },
+      { name: "nota", rest: true },
+    ],
+  });
+
+  assert.strictEqual(await say('!PEDIDO 2,5 m "sin cebolla" y rápido'), true);
+  assert.strictEqual(await say("  !p 3"), true);
+  assert.deepStrictEqual(runs, [
+    { name: "pedido", cantidad: 2.5, talle: "m", nota: "sin cebolla y rápido" },
+    { name: "pedido", cantidad: 3, talle: null, nota: null },
+  ]);
+
+  await say("!pedido");
+  await say("!pedido dos");
+  await say("!pedido 1 XL");
+  assert.deepStrictEqual(replies, [
+    'Falta el argumento "cantidad".\nUso: !pedido <cantidad> [talle] [nota]',
+    '"cantidad" debe ser un número.\nUso: !pedido <cantidad> [talle] [nota]',
+    '"talle" debe ser: S, M, L.\nUso: !pedido <cantidad> [talle] [nota]',
+  ]);
+  assert.strictEqual(runs.length, 2);
+});
+
+test("los mensajes sin prefijo o con un comando desconocido siguen hacia N8N", async () => {
+  const { replies, say } = createRouter();
+  assert.strictEqual(await say("hola"), false);
+  assert.strictEqual(await say("!desconocido"), false);
+  assert.strictEqual(await say("!"), false);
+  assert.deepStrictEqual(replies, []);
+});
+
+test("enfriamiento por remitente", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1000000 });
+  const { replies, runs, say, track } = createRouter();
+  track({ name: "precio", cooldown: 30000 });
+
+  await say("!precio");
+  await say("!precio");
+  await say("!precio", { fromNumber: admin });
+  assert.strictEqual(runs.length, 2);
+  assert.deepStrictEqual(replies, ["Esperá 30s para volver a usar !precio."]);
+
+  t.mock.timers.tick(30000);
+  await say("!precio");
+  assert.strictEqual(runs.length, 3);
+});
+
+test("ámbito de chat y comandos solo para administradores", async () => {
+  const { replies, runs, say, track } = createRouter();
+  track({ name: "grupo", scope: "group" });
+  track({ name: "privado", scope: "private" });
+  track({ name: "reiniciar", adminOnly: true });
+
+  await say("!grupo");
+  await say("!privado", { isGroupMsg: true });
+  await say("!reiniciar");
+  assert.deepStrictEqual(runs, []);
+  assert.deepStrictEqual(replies, [
+    "El comando !grupo solo se puede usar en grupos.",
+    "El comando !privado solo se puede usar en chat privado.",
+    "No tenés permiso para usar este comando.",
+  ]);
+
+  await say("!grupo", { isGroupMsg: true });
+  await say("!privado");
+  await say("!reiniciar", { fromNumber: admin });
+  assert.deepStrictEqual(
+    runs.map(({ name }) => name),
+    ["grupo", "privado", "reiniciar"]
+  );
+});
+
+test("la ayuda lista solo los comandos disponibles para el remitente", async () => {
+  const { replies, say, track } = createRouter();
+  track({ name: "precio", description: "Lista de precios", aliases: ["$"] });
+  track({ name: "reiniciar", adminOnly: true });
+
+  await say("!ayuda");
+  await say("!help !precio");
+  await say("!help reiniciar");
+  await say("!help", { fromNumber: admin });
+
+  assert.deepStrictEqual(replies.slice(0, 3), [
+    "*Comandos disponibles*\n!help [comando] - Lista los comandos disponibles\n!precio - Lista de precios",
+    "*!precio*\nLista de precios\nAlias: !$",
+    'No existe el comando "reiniciar".',
+  ]);
+  assert.match(replies[3], /!reiniciar/);
+});
+
+test("un error del comando responde el mensaje genérico", async () => {
+  const { router, replies, say } = createRouter();
+  router.register({
+    name: "roto",
+    handle: async () => {
+      throw new Error("falló");
+    },
+  });
+
+  assert.strictEqual(await say("!roto"), true);
+  assert.strictEqual(replies.length, 1);
+  assert.doesNotMatch(replies[0], /falló/);
+});
+
+test("valida las definiciones y carga los comandos de un directorio", () => {
+  const { router } = createRouter();
+  const handle = async () => {};
+  assert.throws(
+    () => router.register({ name: "dos palabras", handle }),
+    /nombre/
+  );
+  assert.throws(() => router.register({ name: "x" }), /handle\(\)/);
+  assert.throws(
+    () => router.register({ name: "x", scope: "canal", handle }),
+    /Ámbito/
+  );
+  assert.throws(
+    () =>
+      router.register({
+        name: "x",
+        args: [{ name: "n", type: "fecha" }],
+        handle,
+      }),
+    /Argumento inválido/
+  );
+  assert.throws(() => router.register({ name: "AYUDA", handle }), /ya está/);
+
+  const dir = tmp.mkdir();
+  fs.writeFileSync(
+    path.join(dir, "varios.js"),
+    "module.exports = (bot) => [{ name: 'a', handle: async () => {} }, { name: 'b', handle: async () => {} }];"
+  );
+  fs.writeFileSync(
+    path.join(dir, "roto.js"),
+    "module.exports = { name: 'c' };"
+  );
+  fs.writeFileSync(
+    path.join(dir, "ignorado.example.js"),
+    "module.exports = { name: 'd', handle: async () => {} };"
+  );
+  router.loadDirectory(dir);
+  assert.deepStrictEqual(
+    router.list().map(({ name }) => name),
+    ["help", "a", "b"]
+  );
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const EventDispatcher = require("./services/eventDispatcher");
+const { EVENT_VERSION } = require("./services/eventDispatcher");
+const { createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("events");
+
+// Registra las entregas y los errores en vez de enviarlos
+function createDispatcher() {
+  const delivered = [];
+  const errors = [];
+  const dispatcher = new EventDispatcher({
+    sessionId: "ventas",
+    webhookQueue: {
+      deliver: async (url, envelope) => delivered.push({ url, envelope }),
+    },
+    logger: {
+      info() {},
+      warn() {},
+      debug() {},
+      error: (message) => errors.push(message),
+    },
+  });
+  return { dispatcher, delivered, errors };
+}
+
+function writeConfig(content) {
+  const filePath = tmp.file();
+  fs.writeFileSync(
+    filePath,
+    typeof content === "string" ? content : JSON.stringify(content)
+  );
+  return filePath;
+}
+
+test("el sobre incluye evento, versión, sesión, fecha y datos", () => {
+  const { dispatcher, delivered } = createDispatcher();
+  dispatcher.subscribe({ name: "todo", url: "http://a", events: ["*"] });
+
+  const before = Date.now();
+  dispatcher.emit("message", { body: "hola" });
+
+  assert.strictEqual(delivered.length, 1);
+  const { url, envelope } = delivered[0];
+  assert.strictEqual(url, "http://a");
+  assert.deepStrictEqual(Object.keys(envelope), [
+    "event",
+    "version",
+    "session",
+    "timestamp",
+    "data",
+  ]);
+  assert.deepStrictEqual(
+    { ...envelope, timestamp: undefined },
+    {
+      event: "message",
+      version: EVENT_VERSION,
+      session: "ventas",
+      timestamp: undefined,
+      data: { body: "hola" },
+    }
+  );
+  assert.ok(envelope.timestamp >= before);
+});
+
+test("cada suscripción recibe solo sus eventos", () => {
+  const { dispatcher, delivered } = createDispatcher();
+  dispatcher.subscribe({ name: "alertas", url: "http://a", events: ["qr"] });
+  dispatcher.subscribe({ name: "todo", url: "http://b", events: ["*"] });
+  dispatcher.subscribe({ name: "nada", url: "http://c" });
+
+  dispatcher.emit("qr", {});
+  dispatcher.emit("message", {});
+  assert.deepStrictEqual(
+    delivered.map(({ url, envelope }) => [envelope.event, url]),
+    [
+      ["qr", "http://a"],
+      ["qr", "http://b"],
+      ["message", "http://b"],
+    ]
+  );
+});
+
+test("carga el archivo de ejemplo y las variables de entorno", () => {
+  const { dispatcher, errors } = createDispatcher();
+  dispatcher.load({
+    subscriptionsFile: "events.example.json",
+    webhookUrl: "http://env",
+    types: ["ready"],
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(
+    dispatcher.list().map(({ name }) => name),
+    ["alertas", "grupos", "env"]
+  );
+});
+
+test("una suscripción inválida se registra y se omite", () => {
+  const { dispatcher, errors } = createDispatcher();
+  dispatcher.load({
+    subscriptionsFile: writeConfig({
+      subscriptions: [
+        { name: "buena", url: "http://a", events: ["qr"] },
+        { name: "desconocido", url: "http://b", events: ["mensaje"] },
+        { name: "sin url", events: ["qr"] },
+        { name: "texto", url: "http://c", events: "qr" },
+        null,
+      ],
+    }),
+    webhookUrl: "http://env",
+    types: ["otro"],
+  });
+
+  assert.deepStrictEqual(
+    dispatcher.list().map(({ name }) => name),
+    ["buena"]
+  );
+  assert.strictEqual(errors.length, 5);
+  assert.match(errors[0], /"desconocido" omitida: .*mensaje/);
+  assert.match(errors[4], /"env" omitida/);
+});
+
+test("un archivo mal formado no impide iniciar", () => {
+  [
+    "{ no es json",
+    JSON.stringify({ subscriptions: { name: "x" } }),
+    "null",
+  ].forEach((content) => {
+    const { dispatcher, errors } = createDispatcher();
+    assert.doesNotThrow(() =>
+      dispatcher.load({
+        subscriptionsFile: writeConfig(content),
+        webhookUrl: "http://env",
+        types: ["*"],
+      })
+    );
+    assert.match(errors[0], /Configuración de eventos inválida/);
+    assert.deepStrictEqual(
+      dispatcher.list().map(({ name }) => name),
+      ["env"]
+    );
+  });
+});
@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const FlowEngine = require("./services/flowEngine");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("flows");
+const chatId = "5491134083140@c.us";
+
+const pedido = `
+name: pedido
+trigger: { keywords: [pedir] }
+steps:
+  cantidad:
+    prompt: "¿Cuántas unidades?"
+    validate: { type: number, min: 1, integer: true }
+    branches:
+      - if: { answer: cantidad, min: 10 }
+        goto: mayorista
+    next: nombre
+  mayorista:
+    prompt: "¿CUIT de la empresa?"
+    next: nombre
+  nombre:
+    prompt: "¿A nombre de quién?"
+completeMessage: "Gracias {{answers.nombre}}"
+`;
+
+// Crea un motor con los flujos indicados (nombre de archivo => contenido)
+function createEngine(files = { "pedido.yaml": pedido }) {
+  const dir = tmp.mkdir();
+  Object.entries(files).forEach(([file, content]) =>
+    fs.writeFileSync(path.join(dir, file), content)
+  );
+
+  const sent = [];
+  const delivered = [];
+  const emitted = [];
+  const bot = {
+    sessionId: "default",
+    webhookUrl: "http://n8n.local/webhook",
+    isConnected: true,
+    sendToChat: async (to, text) => sent.push({ to, text }),
+    webhookQueue: {
+      deliver: async (url, payload) => delivered.push({ url, payload }),
+    },
+    events: { emit: (type, payload) => emitted.push({ type, payload }) },
+  };
+  const engine = new FlowEngine({
+    dir,
+    filePath: path.join(dir, "state.json"),
+    timeout: 60000,
+    cancelKeywords: ["CANCELAR"],
+    cancelMessage: "Cancelado",
+    timeoutMessage: "Vencido",
+    sweepInterval: 1000,
+    webhookUrl: "",
+    timezone: "UTC",
+    bot,
+    logger,
+  });
+  const loaded = engine.loadFlows();
+
+  const say = (body) =>
+    engine.handle(
+      {},
+      { from: chatId, body, isGroupMsg: false, fromNumber: "5491134083140" }
+    );
+  return { engine, loaded, sent, delivered, emitted, say };
+}
+
+test("la palabra clave inicia el flujo y envía la primera pregunta", async () => {
+  const { engine, sent, say } = createEngine();
+
+  assert.strictEqual(await say("Pedir"), true);
+  assert.strictEqual(engine.getSession(chatId).step, "cantidad");
+  assert.deepStrictEqual(sent, [{ to: chatId, text: "¿Cuántas unidades?" }]);
+  assert.strictEqual(await say("hola"), true);
+});
+
+test("un mensaje sin flujo en curso ni disparador no se consume", async () => {
+  const { say } = createEngine();
+  assert.strictEqual(await say("hola"), false);
+});
+
+test("una respuesta inválida repite el paso con el error", async () => {
+  const { engine, sent, say } = createEngine();
+  await say("pedir");
+  await say("muchas");
+
+  assert.strictEqual(engine.getSession(chatId).step, "cantidad");
+  assert.strictEqual(sent[1].text, "Por favor, respondé con un número.");
+});
+
+test("las ramas eligen el paso según la respuesta", async () => {
+  const { engine, say } = createEngine();
+  await say("pedir");
+  await say("12");
+  assert.strictEqual(engine.getSession(chatId).step, "mayorista");
+
+  await engine.cancel(chatId);
+  await say("pedir");
+  await say("2");
+  assert.strictEqual(engine.getSession(chatId).step, "nombre");
+});
+
+test("al completar envía el mensaje final y las respuestas al webhook", async () => {
+  const { engine, sent, delivered, emitted, say } = createEngine();
+  await say("pedir");
+  await say("3");
+  await say("Ana");
+
+  assert.strictEqual(engine.getSession(chatId), null);
+  assert.strictEqual(sent.at(-1).text, "Gracias Ana");
+  assert.strictEqual(delivered.length, 1);
+  assert.strictEqual(delivered[0].url, "http://n8n.local/webhook");
+  assert.strictEqual(delivered[0].payload.event, "flow_completed");
+  assert.deepStrictEqual(delivered[0].payload.answers, {
+    cantidad: 3,
+    nombre: "Ana",
+  });
+  assert.strictEqual(emitted[0].type, "flow_completed");
+});
+
+test("la palabra de cancelación termina el flujo y avisa", async () => {
+  const { engine, sent, delivered, say } = createEngine();
+  await say("pedir");
+
+  assert.strictEqual(await say("cancelar"), true);
+  assert.strictEqual(engine.getSession(chatId), null);
+  assert.strictEqual(sent.at(-1).text, "Cancelado");
+  assert.strictEqual(delivered.length, 0);
+});
+
+test("los flujos sin respuesta vencen y se avisa al chat", async () => {
+  const { engine, sent, say } = createEngine();
+  await say("pedir");
+  engine.getSession(chatId).expiresAt = Date.now() - 1;
+
+  await engine.expireSessions();
+  assert.strictEqual(engine.getSession(chatId), null);
+  assert.strictEqual(sent.at(-1).text, "Vencido");
+});
+
+test("las condiciones de rama inválidas se informan al cargar", () => {
+  const flow = (name, condition) =>
+    JSON.stringify({
+      name,
+      steps: {
+        a: {
+          prompt: "?",
+          branches: [{ if: { answer: "a", ...condition }, goto: "end" }],
+        },
+      },
+    });
+  const { loaded } = createEngine({
+    "regex.json": flow("regex", { matches: "(" }),
+    "in.json": flow("in", { in: "x" }),
+    "min.json": flow("min", { min: "3" }),
+    "ok.json": flow("ok", { in: ["x"], matches: "^x" }),
+  });
+
+  assert.strictEqual(loaded.flows.length, 1);
+  assert.deepStrictEqual(loaded.errors.map(({ file }) => file).sort(), [
+    "in.json",
+    "min.json",
+    "regex.json",
+  ]);
+});
+
+test("si el paso en curso ya no existe tras recargar, se descarta la sesión", async () => {
+  const { engine, say } = createEngine();
+  await say("pedir");
+  await say("12");
+  assert.strictEqual(engine.getSession(chatId).step, "mayorista");
+
+  fs.writeFileSync(
+    path.join(engine.dir, "pedido.yaml"),
+    pedido
+      .replace(/ {2}mayorista:\n.*\n.*\n/, "")
+      .replace("goto: mayorista", "goto: nombre")
+  );
+  engine.loadFlows();
+
+  assert.strictEqual(await say("20-12345678-9"), false);
+  assert.strictEqual(engine.getSession(chatId), null);
+  assert.strictEqual(await say("pedir"), true);
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const GroupManager = require("./services/groupManager");
+const { logger } = require("./test-helpers");
+
+const groupId = "120363000000000001@g.us";
+const me = "5491100000000@c.us";
+const admin = "5491100000001@c.us";
+const member = "5491100000002@c.us";
+
+// Cliente de whatsapp-web.js simulado con un grupo; registra las llamadas
+function createManager({ botIsAdmin = true } = {}) {
+  const calls = [];
+  const participant = (id, isAdmin) => ({ id: { _serialized: id }, isAdmin });
+  const chat = {
+    id: { _serialized: groupId },
+    name: "Ventas",
+    isGroup: true,
+    participants: [
+      participant(me, botIsAdmin),
+      participant(admin, true),
+      participant(member, false),
+    ],
+  };
+  ["remove", "promote", "demote"].forEach((action) => {
+    chat[`${action}Participants`] = async (ids) => {
+      calls.push([action, ids]);
+      return { status: 200 };
+    };
+  });
+  chat.addParticipants = async (ids) => {
+    calls.push(["add", ids]);
+    return Object.fromEntries(
+      ids.map((id) => [
+        id,
+        id === member
+          ? { code: 409, message: "Ya está en el grupo" }
+          : { code: 200, isInviteV4Sent: true },
+      ])
+    );
+  };
+
+  const client = {
+    info: { wid: { _serialized: me } },
+    getChatById: async (id) => {
+      if (id === groupId) return chat;
+      if (id === "5491100000003@c.us") return { isGroup: false };
+      throw new Error("No existe");
+    },
+  };
+  const manager = new GroupManager({ bot: { client }, logger });
+  return { manager, calls };
+}
+
+const outcomes = (results) =>
+  results.map(({ participant, success, code }) => [participant, success, code]);
+
+test("los grupos inexistentes o los chats privados responden 404", async () => {
+  const { manager } = createManager();
+
+  assert.strictEqual((await manager.getInfo("120363000000000001")).id, groupId);
+  for (const id of ["120363000000000009", "5491100000003@c.us"]) {
+    await assert.rejects(manager.getInfo(id), (error) => error.status === 404);
+  }
+});
+
+test("los participantes inválidos o repetidos no se envían a WhatsApp", async () => {
+  const { manager, calls } = createManager();
+  const results = await manager.addParticipants(groupId, [
+    "1134083140",
+    "+54 9 11 3408-3140",
+    "5491100000002@c.us",
+    "123",
+    "",
+  ]);
+
+  assert.deepStrictEqual(calls, [
+    ["add", ["5491134083140@c.us", "5491100000002@c.us"]],
+  ]);
+  assert.deepStrictEqual(outcomes(results), [
+    ["1134083140", true, 200],
+    ["5491100000002@c.us", false, 409],
+    ["123", false, undefined],
+    ["", false, undefined],
+  ]);
+  assert.strictEqual(results[0].inviteSent, true);
+  assert.strictEqual(results[1].error, "Ya está en el grupo");
+  assert.match(results[2].error, /no es válido/);
+
+  // Sin participantes válidos no se llama a WhatsApp
+  assert.deepStrictEqual(
+    outcomes(await manager.addParticipants(groupId, "x")),
+    [["x", false, undefined]]
+  );
+  assert.strictEqual(calls.length, 1);
+});
+
+test("quitar, promover y degradar informan el resultado de cada participante", async () => {
+  const { manager, calls } = createManager();
+
+  assert.deepStrictEqual(
+    outcomes(
+      await manager.promoteParticipants(groupId, [
+        member,
+        admin,
+        "5491100000005",
+        "123",
+      ])
+    ),
+    [
+      ["5491100000001@c.us", false, 409],
+      ["5491100000005", false, 404],
+      ["5491100000002@c.us", true, 200],
+      ["123", false, undefined],
+    ]
+  );
+  assert.deepStrictEqual(
+    outcomes(await manager.demoteParticipants(groupId, [member])),
+    [["5491100000002@c.us", false, 409]]
+  );
+  await manager.removeParticipants(groupId, [member]);
+
+  assert.deepStrictEqual(calls, [
+    ["promote", [member]],
+    ["remove", [member]],
+  ]);
+});
+
+test("sin ser administrador no se modifica a los participantes", async () => {
+  const { manager, calls } = createManager({ botIsAdmin: false });
+
+  await assert.rejects(
+    manager.removeParticipants(groupId, [member]),
+    (error) => error.status === 403 && /administrador/.test(error.message)
+  );
+  // Si ningún participante aplica no hace falta ser administrador
+  assert.deepStrictEqual(
+    outcomes(await manager.removeParticipants(groupId, ["5491100000005"])),
+    [["5491100000005", false, 404]]
+  );
+  assert.strictEqual(calls.length, 0);
+  assert.strictEqual((await manager.getInfo(groupId)).isAdmin, false);
+});
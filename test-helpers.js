@@ -0,0 +1,29 @@
+const test = require("node:test");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Utilidades comunes de los tests
+ */
+
+// Logger que descarta todos los mensajes
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Directorio temporal del archivo de tests, que se borra al terminar.
+ * file() devuelve una ruta nueva dentro de él y mkdir() crea un subdirectorio
+ */
+function createTempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  return {
+    dir,
+    file: (name = `${crypto.randomUUID()}.json`) => path.join(dir, name),
+    mkdir: () => fs.mkdtempSync(path.join(dir, "dir-")),
+  };
+}
+
+module.exports = { logger, createTempDir };
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateMediaUrl } = require("./utils/media");
+const { createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("media");
+
+// El servidor completo corre en el directorio temporal: sus datos y logs
+// (rutas relativas de la configuración) no tocan los del proyecto
+process.chdir(tmp.dir);
+Object.assign(process.env, { AUTH_ENABLED: "false", LOG_LEVEL: "error" });
+const server = require("./server");
+
+let base;
+let listener;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      listener = server.app.listen(0, "127.0.0.1", () => {
+        base = `http://127.0.0.1:${listener.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => listener.close());
+
+test("las URLs de media solo admiten http o https y los dominios permitidos", () => {
+  assert.strictEqual(validateMediaUrl("https://cdn.tienda.com/a.png"), null);
+  assert.match(validateMediaUrl("no es url"), /URL inválida/);
+  assert.match(
+    validateMediaUrl("file:///etc/passwd"),
+    /Protocolo no permitido/
+  );
+  assert.match(validateMediaUrl("ftp://tienda.com/a.png"), /ftp:/);
+
+  const allowed = ["tienda.com"];
+  assert.strictEqual(validateMediaUrl("https://tienda.com/a", allowed), null);
+  assert.strictEqual(
+    validateMediaUrl("http://cdn.TIENDA.com/a", allowed),
+    null
+  );
+  assert.match(
+    validateMediaUrl("http://tienda.com.otro.net/a", allowed),
+    /Dominio no permitido/
+  );
+  assert.match(
+    validateMediaUrl("http://169.254.169.254/latest", allowed),
+    /Dominio no permitido/
+  );
+});
+
+test("/send-media responde 400 ante una URL inválida", async () => {
+  const send = async (url) => {
+    const response = await fetch(`${base}/send-media`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ to: "5491134083140", url }),
+    });
+    return [response.status, (await response.json()).error];
+  };
+
+  const [status, error] = await send("no es url");
+  assert.strictEqual(status, 400);
+  assert.match(error, /URL inválida/);
+  assert.strictEqual((await send("file:///etc/passwd"))[0], 400);
+
+  // Una URL válida pasa la validación y llega al control de conexión
+  assert.strictEqual((await send("https://tienda.com/a.png"))[0], 503);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const MessageStore = require("./services/messageStore");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("message-store");
+
+function createStore(options) {
+  return new MessageStore({
+    filePath: tmp.file(),
+    maxMessages: 100,
+    logger,
+    ...options,
+  });
+}
+
+const chat = "5491134083140@c.us";
+
+// Historial de ejemplo: entrantes y salientes de dos chats
+function fill(store) {
+  [
+    { id: "1", body: "Hola", direction: "in", timestamp: 1000 },
+    {
+      id: "2",
+      body: "Hola, ¿en qué te ayudo?",
+      direction: "out",
+      timestamp: 2000,
+    },
+    { id: "3", body: "Precio del PLAN", direction: "in", timestamp: 3000 },
+    {
+      id: "4",
+      chatId: "123-456@g.us",
+      from: "5491100000000@c.us",
+      fromNumber: "5491100000000",
+      body: "precio?",
+      type: "image",
+      direction: "in",
+      timestamp: 4000,
+    },
+  ].forEach((message) =>
+    store.record({
+      chatId: chat,
+      from: chat,
+      fromNumber: "5491134083140",
+      type: "chat",
+      ...message,
+    })
+  );
+}
+
+const ids = (result) => result.messages.map(({ id }) => id);
+
+test("registra los mensajes y los recupera al reiniciar", () => {
+  const filePath = tmp.file("reinicio.ndjson");
+  const store = createStore({ filePath });
+  const saved = store.record({ id: "a", body: "Hola" });
+  assert.ok(saved.recordedAt > 0);
+
+  // Una línea corrupta no impide leer las demás
+  fs.appendFileSync(filePath, "{ corrupta\n");
+  store.record({ id: "a", body: "Editado" });
+
+  const restarted = createStore({ filePath });
+  assert.strictEqual(restarted.messages.length, 2);
+  assert.strictEqual(restarted.get("a").body, "Editado");
+  assert.strictEqual(restarted.get("inexistente"), null);
+});
+
+test("consulta con filtros, del más reciente al más antiguo", () => {
+  const store = createStore();
+  fill(store);
+
+  assert.deepStrictEqual(ids(store.query()), ["4", "3", "2", "1"]);
+  assert.deepStrictEqual(ids(store.query({ chat })), ["3", "2", "1"]);
+  assert.deepStrictEqual(ids(store.query({ from: "5491100000000" })), ["4"]);
+  assert.deepStrictEqual(ids(store.query({ direction: "out" })), ["2"]);
+  assert.deepStrictEqual(ids(store.query({ type: "image" })), ["4"]);
+  assert.deepStrictEqual(ids(store.query({ q: "PRECIO" })), ["4", "3"]);
+  assert.deepStrictEqual(
+    ids(store.query({ since: "2000", until: new Date(3000).toISOString() })),
+    ["3", "2"]
+  );
+  assert.deepStrictEqual(ids(store.query({ since: "ayer" })), [
+    "4",
+    "3",
+    "2",
+    "1",
+  ]);
+});
+
+test("paginación con límite máximo", () => {
+  const store = createStore();
+  fill(store);
+
+  const page = store.query({ limit: "2", offset: "1" });
+  assert.deepStrictEqual(ids(page), ["3", "2"]);
+  assert.deepStrictEqual(
+    [page.total, page.limit, page.offset, page.hasMore],
+    [4, 2, 1, true]
+  );
+  assert.strictEqual(store.query({ offset: 2, limit: 2 }).hasMore, false);
+  assert.strictEqual(store.query({ limit: 10000 }).limit, 500);
+});
+
+test("al superar el máximo compacta el archivo con los más recientes", () => {
+  const filePath = tmp.file("compacto.ndjson");
+  const store = createStore({ filePath, maxMessages: 10 });
+  for (let i = 1; i <= 12; i++) store.record({ id: String(i) });
+
+  assert.strictEqual(store.messages.length, 10);
+  assert.strictEqual(store.messages[0].id, "3");
+  const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+  assert.strictEqual(lines.length, 10);
+  assert.deepStrictEqual(
+    createStore({ filePath, maxMessages: 10 }).messages.map(({ id }) => id),
+    ["3", "4", "5", "6", "7", "8", "9", "10", "11", "12"]
+  );
+});
@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const NumberChecker = require("./services/numberChecker");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("number-checker");
+
+// El servidor completo corre en el directorio temporal: sus datos y logs
+// (rutas relativas de la configuración) no tocan los del proyecto
+process.chdir(tmp.dir);
+Object.assign(process.env, { AUTH_ENABLED: "false", LOG_LEVEL: "error" });
+const server = require("./server");
+
+let base;
+let listener;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      listener = server.app.listen(0, "127.0.0.1", () => {
+        base = `http://127.0.0.1:${listener.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => listener.close());
+
+// Tienen WhatsApp los números que terminan en par; "5491100000009" falla
+function createChecker(options) {
+  const lookups = [];
+  const checker = new NumberChecker({
+    lookup: async (number) => {
+      lookups.push(number);
+      if (number === "5491100000009") throw new Error("Sin respuesta");
+      return Number(number.at(-1)) % 2 === 0
+        ? { _serialized: `${number}@c.us` }
+        : null;
+    },
+    ttl: 60000,
+    maxEntries: 2,
+    logger,
+    ...options,
+  });
+  return { checker, lookups };
+}
+
+test("la caché evita repetir la consulta mientras no venza", async () => {
+  const { checker, lookups } = createChecker();
+
+  assert.deepStrictEqual(
+    { ...(await checker.check("5491100000002")), checkedAt: undefined },
+    {
+      number: "5491100000002",
+      registered: true,
+      whatsappId: "5491100000002@c.us",
+      checkedAt: undefined,
+      cached: false,
+    }
+  );
+  const cached = await checker.check("5491100000002");
+  assert.strictEqual(cached.cached, true);
+  assert.strictEqual(lookups.length, 1);
+
+  const { checker: expiring, lookups: expiringLookups } = createChecker({
+    ttl: 0,
+  });
+  await expiring.check("5491100000001");
+  assert.strictEqual((await expiring.check("5491100000001")).cached, false);
+  assert.strictEqual(expiringLookups.length, 2);
+});
+
+test("la caché descarta los números más antiguos", async () => {
+  const { checker, lookups } = createChecker();
+  await checker.check("5491100000001");
+  await checker.check("5491100000002");
+  await checker.check("5491100000004");
+
+  assert.deepStrictEqual(checker.getStats(), { cached: 2, ttl: 60000 });
+  assert.strictEqual((await checker.check("5491100000004")).cached, true);
+  assert.strictEqual((await checker.check("5491100000001")).cached, false);
+  assert.strictEqual(lookups.length, 4);
+
+  checker.clear();
+  assert.strictEqual(checker.getStats().cached, 0);
+});
+
+test("un error en un número no corta la consulta de los demás", async () => {
+  const { checker } = createChecker();
+  const results = await checker.checkMany([
+    "5491100000009",
+    "5491100000002",
+    "5491100000003",
+  ]);
+
+  assert.deepStrictEqual(
+    results.map(({ registered, error }) => [registered, error]),
+    [
+      [null, "Sin respuesta"],
+      [true, undefined],
+      [false, undefined],
+    ]
+  );
+});
+
+test("/check-numbers responde 503 sin conexión y clasifica los números", async () => {
+  const { bot } = server;
+  const { checker } = createChecker();
+  bot.numberChecker = checker;
+  const check = async (body) => {
+    const response = await fetch(`${base}/check-numbers`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return [response.status, await response.json()];
+  };
+
+  assert.strictEqual((await check({ numbers: [] }))[0], 400);
+
+  bot.isConnected = false;
+  const [status, disconnected] = await check({ number: "5491100000002" });
+  assert.strictEqual(status, 503);
+  assert.match(disconnected.error, /no está conectado/);
+
+  bot.isConnected = true;
+  const [ok, { data }] = await check({
+    numbers: ["+54 9 11 0000-0002", "5491100000003", "123", "5491100000009"],
+  });
+  bot.isConnected = false;
+
+  assert.strictEqual(ok, 200);
+  assert.deepStrictEqual(
+    [
+      data.registeredCount,
+      data.unregisteredCount,
+      data.invalidCount,
+      data.failedCount,
+    ],
+    [1, 1, 1, 1]
+  );
+  assert.strictEqual(data.registered[0].original, "+54 9 11 0000-0002");
+  assert.strictEqual(data.registered[0].whatsappId, "5491100000002@c.us");
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const OptOutList = require("./services/optOutList");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("opt-out");
+
+// El servidor completo corre en el directorio temporal: sus datos y logs
+// (rutas relativas de la configuración) no tocan los del proyecto
+process.chdir(tmp.dir);
+Object.assign(process.env, { AUTH_ENABLED: "false", LOG_LEVEL: "error" });
+const server = require("./server");
+// El 403 esperado se registra como error: no ensuciar la salida de los tests
+server.logger.silent = true;
+
+const number = "5491134083140";
+const chatId = `${number}@c.us`;
+
+let base;
+let listener;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      listener = server.app.listen(0, "127.0.0.1", () => {
+        base = `http://127.0.0.1:${listener.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => listener.close());
+
+// Registra los envíos del bot en vez de hacerlos
+let sent;
+test.beforeEach(() => {
+  sent = [];
+  server.bot.optOuts.remove(number);
+  server.bot.sendToChat = async (to, content, options) => {
+    sent.push({ to, content, ...options });
+    return { messageId: `id-${sent.length}` };
+  };
+});
+
+function createList(filePath = tmp.file()) {
+  return new OptOutList({
+    filePath,
+    keywords: ["BAJA", "DARME DE BAJA"],
+    optInKeywords: ["ALTA"],
+    logger,
+  });
+}
+
+test("las palabras clave ignoran mayúsculas, acentos y puntuación", () => {
+  const list = createList();
+  assert.strictEqual(list.matchKeyword("baja"), "optout");
+  assert.strictEqual(list.matchKeyword("  Darme de BAJA! "), "optout");
+  assert.strictEqual(list.matchKeyword("Álta."), "optin");
+  assert.strictEqual(list.matchKeyword("quiero la baja"), null);
+  assert.strictEqual(list.matchKeyword(""), null);
+  assert.strictEqual(list.matchKeyword(undefined), null);
+});
+
+test("altas y bajas se guardan y sobreviven a un reinicio", () => {
+  const filePath = tmp.file();
+  const list = createList(filePath);
+
+  const entry = list.add(number, { source: "keyword", reason: "BAJA" });
+  assert.strictEqual(list.add(number, { source: "api" }), entry);
+  assert.strictEqual(createList(filePath).get(number).source, "keyword");
+
+  assert.strictEqual(list.remove(number), true);
+  assert.strictEqual(list.remove(number), false);
+  assert.deepStrictEqual(createList(filePath).list(), []);
+});
+
+test("el mensaje con la palabra clave da de baja o de alta y confirma", async () => {
+  const { bot } = server;
+  const message = (body) => [
+    { from: chatId },
+    { from: chatId, fromNumber: number, body, isGroupMsg: false },
+  ];
+
+  assert.strictEqual(
+    await bot.handleOptOutKeyword(...message("BAJA")),
+    "optout"
+  );
+  assert.strictEqual(bot.optOuts.get(number).source, "keyword");
+  assert.strictEqual(await bot.handleOptOutKeyword(...message("hola")), null);
+  assert.strictEqual(
+    await bot.handleOptOutKeyword(...message("alta")),
+    "optin"
+  );
+  assert.strictEqual(bot.optOuts.has(number), false);
+  // Sin baja previa, "alta" no se trata como palabra clave
+  assert.strictEqual(await bot.handleOptOutKeyword(...message("alta")), null);
+  assert.strictEqual(sent.length, 2);
+});
+
+test("checkOptOut rechaza con 403 OPTED_OUT salvo los transaccionales", () => {
+  const { bot } = server;
+  bot.optOuts.add(number);
+
+  assert.throws(
+    () => bot.checkOptOut(`+${number}`),
+    (error) => error.status === 403 && error.code === "OPTED_OUT"
+  );
+  assert.doesNotThrow(() => bot.checkOptOut(number, true));
+  assert.doesNotThrow(() => bot.checkOptOut("5491100000000"));
+});
+
+test("/send-response con replyTo respeta el opt-out", async () => {
+  const { bot } = server;
+  bot.optOuts.add(number);
+  const respond = (body) =>
+    fetch(`${base}/send-response`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        to: number,
+        message: "Respuesta",
+        replyTo: "false_5491134083140@c.us_ABC",
+        ...body,
+      }),
+    });
+
+  const blocked = await respond();
+  assert.strictEqual(blocked.status, 403);
+  assert.match((await blocked.json()).error, /opt-out/);
+  assert.strictEqual(sent.length, 0);
+
+  const transactional = await respond({ transactional: true });
+  assert.strictEqual(transactional.status, 200);
+  assert.deepStrictEqual(sent, [
+    {
+      to: chatId,
+      content: "Respuesta",
+      quotedMessageId: "false_5491134083140@c.us_ABC",
+    },
+  ]);
+});
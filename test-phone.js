@@ -1,25 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert");
 const PhoneValidator = require("./utils/phoneValidator");
 
-// Probar el número problemático
+// Número de referencia (celular de Buenos Aires) en distintos formatos
 const testNumber = "5491134083140";
 
-console.log("=== PRUEBA DE VALIDACIÓN DE NÚMERO ===");
-console.log("Número original:", testNumber);
-console.log("¿Es válido?", PhoneValidator.isValidPhoneNumber(testNumber));
-console.log("Normalizado:", PhoneValidator.normalizePhoneNumber(testNumber));
-console.log("Formato WhatsApp:", PhoneValidator.toWhatsAppFormat(testNumber));
-console.log(
-  "Formato para mostrar:",
-  PhoneValidator.formatForDisplay(testNumber)
-);
-
-console.log("\n=== PRUEBA CON DIFERENTES FORMATOS ===");
-
-const testNumbers = ["5491134083140", "91134083140", "1134083140", "134083140"];
-
-testNumbers.forEach((number) => {
-  console.log(`\nNúmero: ${number}`);
-  console.log(`  Válido: ${PhoneValidator.isValidPhoneNumber(number)}`);
-  console.log(`  Normalizado: ${PhoneValidator.normalizePhoneNumber(number)}`);
-  console.log(`  WhatsApp: ${PhoneValidator.toWhatsAppFormat(number)}`);
+test("número internacional argentino con el 9 de celular", () => {
+  assert.strictEqual(PhoneValidator.isValidPhoneNumber(testNumber), true);
+  assert.strictEqual(
+    PhoneValidator.normalizePhoneNumber(testNumber),
+    "5491134083140"
+  );
+  assert.strictEqual(
+    PhoneValidator.toWhatsAppFormat(testNumber),
+    "5491134083140@c.us"
+  );
+  assert.strictEqual(
+    PhoneValidator.formatForDisplay(testNumber),
+    "+54 9 11 3408-3140"
+  );
+});
+
+test("formatos locales argentinos se normalizan al mismo número", () => {
+  const formats = [
+    "91134083140",
+    "1134083140",
+    "011 15 3408-3140",
+    "+54 9 11 3408-3140",
+    "0054 9 11 3408 3140",
+  ];
+
+  formats.forEach((number) => {
+    assert.strictEqual(
+      PhoneValidator.normalizePhoneNumber(number),
+      "5491134083140",
+      number
+    );
+  });
+});
+
+test("número incompleto es inválido", () => {
+  assert.strictEqual(PhoneValidator.isValidPhoneNumber("134083140"), false);
+  assert.strictEqual(
+    PhoneValidator.normalizePhoneNumber("134083140"),
+    "134083140"
+  );
+  assert.strictEqual(PhoneValidator.formatForDisplay("134083140"), "134083140");
+});
+
+test("valores vacíos o no numéricos", () => {
+  [null, undefined, "", "abc"].forEach((value) => {
+    assert.strictEqual(PhoneValidator.isValidPhoneNumber(value), false);
+  });
+  assert.strictEqual(PhoneValidator.toWhatsAppFormat(""), "");
+});
+
+test("fijo argentino en formato internacional sin el 9", () => {
+  const parsed = PhoneValidator.parsePhoneNumber("541134083140");
+  assert.strictEqual(parsed.valid, true);
+  assert.strictEqual(parsed.type, "fixed");
+  assert.strictEqual(parsed.e164, "+541134083140");
+});
+
+test("Uruguay, Chile y España", () => {
+  const cases = [
+    ["+598 99 123 456", "UY", "mobile", "+59899123456", "+598 99 123 456"],
+    ["+56 9 1234 5678", "CL", "mobile", "+56912345678", "+56 9 1234 5678"],
+    ["+56 2 2345 6789", "CL", "fixed", "+56223456789", "+56 2 2345 6789"],
+    ["+34 612 34 56 78", "ES", "mobile", "+34612345678", "+34 612 34 56 78"],
+    ["34912345678", "ES", "fixed", "+34912345678", "+34 912 34 56 78"],
+  ];
+
+  cases.forEach(([number, country, type, e164, display]) => {
+    const parsed = PhoneValidator.parsePhoneNumber(number);
+    assert.strictEqual(parsed.valid, true, number);
+    assert.strictEqual(parsed.country, country, number);
+    assert.strictEqual(parsed.type, type, number);
+    assert.strictEqual(parsed.e164, e164, number);
+    assert.strictEqual(PhoneValidator.formatForDisplay(number), display);
+  });
+});
+
+test("números locales según la región por defecto", () => {
+  const uy = PhoneValidator.parsePhoneNumber("099 123 456", {
+    defaultRegion: "UY",
+  });
+  assert.strictEqual(uy.e164, "+59899123456");
+
+  const es = PhoneValidator.parsePhoneNumber("612 345 678", {
+    defaultRegion: "ES",
+  });
+  assert.strictEqual(es.e164, "+34612345678");
+
+  // Con región AR el mismo número local uruguayo no es válido
+  assert.strictEqual(PhoneValidator.isValidPhoneNumber("099 123 456"), false);
+});
+
+test("países sin reglas solo con prefijo internacional", () => {
+  const parsed = PhoneValidator.parsePhoneNumber("+1 415 555 2671");
+  assert.strictEqual(parsed.valid, true);
+  assert.strictEqual(parsed.country, null);
+  assert.strictEqual(parsed.type, "unknown");
+  assert.strictEqual(parsed.e164, "+14155552671");
+  assert.strictEqual(
+    PhoneValidator.normalizePhoneNumber("0044 20 7946 0958"),
+    "442079460958"
+  );
+
+  // Sin "+" ni "00" no se adivina el país, aunque el largo sea E.164
+  ["14155552671", "442079460958"].forEach((number) => {
+    assert.strictEqual(PhoneValidator.isValidPhoneNumber(number), false);
+    assert.strictEqual(
+      PhoneValidator.isValidPhoneNumber(number, { defaultRegion: "ES" }),
+      false
+    );
+  });
+
+  // Con prefijo internacional se exige el largo de E.164 (8 a 15 dígitos)
+  assert.strictEqual(PhoneValidator.isValidPhoneNumber("+1234567"), false);
+  assert.strictEqual(
+    PhoneValidator.isValidPhoneNumber("+1234567890123456"),
+    false
+  );
+});
+
+test("región por código de país (COUNTRY_CODE obsoleta)", () => {
+  assert.strictEqual(PhoneValidator.getRegionByCountryCode("54"), "AR");
+  assert.strictEqual(PhoneValidator.getRegionByCountryCode("+598"), "UY");
+  assert.strictEqual(PhoneValidator.getRegionByCountryCode(56), "CL");
+  assert.strictEqual(PhoneValidator.getRegionByCountryCode("1"), null);
+  assert.strictEqual(PhoneValidator.getRegionByCountryCode(undefined), null);
+});
+
+test("extractPhoneNumber quita el sufijo de WhatsApp", () => {
+  assert.strictEqual(
+    PhoneValidator.extractPhoneNumber("59899123456@c.us"),
+    "59899123456"
+  );
+  assert.strictEqual(PhoneValidator.extractPhoneNumber(""), "");
+});
+
+test("validatePhoneNumbers separa válidos e inválidos", () => {
+  const numbers = [testNumber, "91134083140", "1134083140", "134083140"];
+  const result = PhoneValidator.validatePhoneNumbers(numbers);
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.total, 4);
+  assert.strictEqual(result.validCount, 3);
+  assert.strictEqual(result.invalidCount, 1);
+  assert.deepStrictEqual(
+    result.validNumbers.map((entry) => entry.normalized),
+    ["5491134083140", "5491134083140", "5491134083140"]
+  );
+  assert.deepStrictEqual(result.invalidNumbers, [
+    { original: "134083140", index: 3, error: "Número inválido" },
+  ]);
+
+  assert.strictEqual(PhoneValidator.validatePhoneNumbers("123").valid, false);
 });
@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const MessagePipeline = require("./services/messagePipeline");
+const { createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("pipeline");
+
+// Registra los mensajes enviados, las entregas y los errores
+function createPipeline() {
+  const sent = [];
+  const delivered = [];
+  const errors = [];
+  const logger = {
+    info() {},
+    warn() {},
+    debug() {},
+    error: (message) => errors.push(message),
+  };
+  const bot = {
+    logger,
+    sendToChat: async (chatId, content) => sent.push({ chatId, content }),
+    webhookQueue: {
+      deliver: async (url, payload) => delivered.push({ url, payload }),
+    },
+  };
+  const pipeline = new MessagePipeline({ bot, logger });
+  return { pipeline, sent, delivered, errors };
+}
+
+function writeConfig(content) {
+  const filePath = tmp.file();
+  fs.writeFileSync(
+    filePath,
+    typeof content === "string" ? content : JSON.stringify(content)
+  );
+  return filePath;
+}
+
+async function runMessage(pipeline, body, overrides) {
+  const data = {
+    from: "5491134083140@c.us",
+    fromNumber: "5491134083140",
+    body,
+    type: "chat",
+    isGroupMsg: false,
+    ...overrides,
+  };
+  const ctx = pipeline.createContext({ from: data.from }, data);
+  await pipeline.run("before", ctx);
+  return ctx;
+}
+
+test("carga el archivo de ejemplo omitiendo los deshabilitados", () => {
+  const { pipeline, errors } = createPipeline();
+  pipeline.loadFromFile("pipeline.example.json");
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(pipeline.list(), [
+    { name: "filter", stage: "before" },
+    { name: "enrich", stage: "before" },
+    { name: "autoReply", stage: "before" },
+  ]);
+});
+
+test("filtra, enriquece y responde según la configuración", async () => {
+  const { pipeline, sent } = createPipeline();
+  pipeline.loadFromFile("pipeline.example.json");
+
+  const ignored = await runMessage(pipeline, "Gracias");
+  assert.strictEqual(ignored.stopReason, "filter:pattern");
+
+  const forwarded = await runMessage(pipeline, "Quiero comprar");
+  assert.strictEqual(forwarded.stopped, false);
+  assert.strictEqual(forwarded.data.source, "whatsapp-bot");
+
+  // La regex no guarda estado: responde a todos los mensajes que coinciden
+  for (let i = 0; i < 3; i++) {
+    const ctx = await runMessage(pipeline, "HORARIO");
+    assert.strictEqual(ctx.stopReason, "autoReply");
+  }
+  assert.strictEqual(sent.length, 3);
+  assert.match(sent[0].content, /lunes a viernes/);
+});
+
+test("autoReply rechaza las flags g e y y las opciones incompletas", () => {
+  const { pipeline, errors } = createPipeline();
+  const autoReply = (options) => ({
+    type: "autoReply",
+    options: { pattern: "hola", reply: "Hola", ...options },
+  });
+  pipeline.loadFromFile(
+    writeConfig({
+      handlers: [
+        autoReply({ flags: "g" }),
+        autoReply({ flags: "iy" }),
+        autoReply({ pattern: "(" }),
+        autoReply({ reply: undefined }),
+        autoReply({ flags: "i" }),
+      ],
+    })
+  );
+
+  assert.strictEqual(pipeline.list().length, 1);
+  assert.strictEqual(errors.length, 4);
+  assert.match(errors[0], /no admite "g" ni "y"/);
+  assert.match(errors[1], /no admite "g" ni "y"/);
+});
+
+test("un archivo o handler inválido se informa sin impedir el arranque", () => {
+  [
+    ["{ no es json", /Configuración de pipeline inválida/],
+    [JSON.stringify({ handlers: {} }), /debe ser un array/],
+  ].forEach(([content, message]) => {
+    const { pipeline, errors } = createPipeline();
+    assert.doesNotThrow(() => pipeline.loadFromFile(writeConfig(content)));
+    assert.match(errors[0], message);
+    assert.strictEqual(pipeline.list().length, 0);
+  });
+
+  const { pipeline, errors } = createPipeline();
+  pipeline.loadFromFile(
+    writeConfig({
+      handlers: [
+        null,
+        { type: "desconocido" },
+        { type: "enrich", stage: "durante" },
+        { type: "enrich", stage: "after" },
+      ],
+    })
+  );
+  assert.strictEqual(errors.length, 3);
+  assert.deepStrictEqual(pipeline.list(), [{ name: "enrich", stage: "after" }]);
+});
+
+test("los handlers corren por etapa; un error no corta la cadena y false sí", async () => {
+  const { pipeline, errors } = createPipeline();
+  const calls = [];
+  pipeline
+    .use(async () => calls.push("after"), { name: "log", stage: "after" })
+    .use(
+      async () => {
+        throw new Error("falló");
+      },
+      { name: "roto" }
+    )
+    .use(async (ctx) => calls.push(ctx.data.body), { name: "registro" })
+    .use(async (ctx) => ctx.data.body !== "corta", { name: "corte" })
+    .use(async () => calls.push("último"), { name: "ultimo" });
+
+  await runMessage(pipeline, "sigue");
+  const stopped = await runMessage(pipeline, "corta");
+
+  assert.deepStrictEqual(calls, ["sigue", "último", "corta"]);
+  assert.strictEqual(stopped.stopReason, "corte");
+  assert.match(errors[0], /"roto"/);
+  assert.throws(() => pipeline.use({ name: "sin handle" }), /handle\(\)/);
+});
@@ -0,0 +1,243 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const MessageScheduler = require("./services/messageScheduler");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("scheduler");
+
+function createScheduler({ optedOut = [], fail = false, ...options } = {}) {
+  const sent = [];
+  const send = (kind) => async (to, text, sendOptions) => {
+    if (fail) throw new Error("Falló el envío");
+    sent.push({ kind, to, text, ...sendOptions });
+    return { messageId: `id-${sent.length}` };
+  };
+  const bot = {
+    isConnected: true,
+    checkOptOut: (chatId, transactional) => {
+      if (optedOut.includes(chatId) && !transactional) {
+        throw Object.assign(new Error("El destinatario se dio de baja"), {
+          status: 403,
+          code: "OPTED_OUT",
+        });
+      }
+    },
+    sendMessage: send("number"),
+    sendToChat: send("chat"),
+  };
+  const scheduler = new MessageScheduler({
+    filePath: tmp.file(),
+    pollInterval: 1000,
+    maxLateness: 60000,
+    timezone: "America/Argentina/Buenos_Aires",
+    maxMessageLength: 20,
+    bot,
+    logger,
+    ...options,
+  });
+  return { scheduler, bot, sent };
+}
+
+const add = (scheduler, definition) => {
+  const { schedule, error } = scheduler.create({
+    to: "5491134083140",
+    message: "Recordatorio",
+    ...definition,
+  });
+  assert.strictEqual(error, undefined);
+  return schedule;
+};
+
+// Hora local (0-23) de un instante en la zona indicada
+const hourIn = (time, timeZone) =>
+  Number(
+    new Intl.DateTimeFormat("en", {
+      timeZone,
+      hour: "numeric",
+      hourCycle: "h23",
+    }).format(time)
+  );
+
+test("valida destino, mensaje, horario y zona horaria", () => {
+  const { scheduler } = createScheduler();
+  const error = (definition) =>
+    scheduler.create({
+      to: "5491134083140",
+      message: "Hola",
+      runAt: Date.now(),
+      ...definition,
+    }).error;
+
+  assert.match(error({ to: "" }), /"to" es requerido/);
+  assert.match(error({ message: 5 }), /"message"/);
+  assert.match(error({ cron: "0 9 * * *" }), /no ambos/);
+  assert.match(error({ runAt: undefined }), /no ambos/);
+  assert.match(error({ runAt: "mañana" }), /Fecha inválida/);
+  assert.match(
+    error({ runAt: undefined, cron: "cada lunes" }),
+    /cron inválida/
+  );
+  assert.match(error({ timezone: "Marte/Olympus" }), /Zona horaria inválida/);
+  assert.match(error({ message: "x".repeat(21) }), /máximo de 20/);
+  assert.match(error({ runAt: Date.now() - 120000 }), /ya pasó/);
+  assert.strictEqual(scheduler.list().length, 0);
+});
+
+test("un envío único sale a su hora y se completa", async () => {
+  const { scheduler, sent } = createScheduler();
+  const due = add(scheduler, { runAt: new Date().toISOString() });
+  const later = add(scheduler, { runAt: Date.now() + 3600000 });
+
+  await scheduler.processDue();
+  assert.deepStrictEqual(sent, [
+    {
+      kind: "number",
+      to: "5491134083140",
+      text: "Recordatorio",
+      transactional: false,
+    },
+  ]);
+  assert.strictEqual(due.status, "completed");
+  assert.strictEqual(due.runs, 1);
+  assert.strictEqual(due.nextRunAt, null);
+  assert.deepStrictEqual(
+    { ...due.lastResult, at: undefined },
+    { success: true, messageId: "id-1", at: undefined }
+  );
+  assert.strictEqual(later.status, "active");
+});
+
+test("un envío recurrente pasa a la próxima ocurrencia en su zona horaria", async () => {
+  const { scheduler } = createScheduler();
+  const schedule = add(scheduler, { cron: "0 9 * * *" });
+  assert.ok(schedule.nextRunAt > Date.now());
+  assert.strictEqual(hourIn(schedule.nextRunAt, schedule.timezone), 9);
+
+  const tokyo = add(scheduler, { cron: "0 9 * * *", timezone: "Asia/Tokyo" });
+  assert.strictEqual(hourIn(tokyo.nextRunAt, "Asia/Tokyo"), 9);
+
+  schedule.nextRunAt = Date.now() - 1000;
+  await scheduler.processDue();
+  assert.strictEqual(schedule.status, "active");
+  assert.strictEqual(schedule.runs, 1);
+  assert.ok(schedule.nextRunAt > Date.now());
+});
+
+test("sin conexión se posterga; si se atrasa demasiado vence o salta", async () => {
+  const { scheduler, bot, sent } = createScheduler();
+  const recent = add(scheduler, { runAt: Date.now() - 1000 });
+  const stale = add(scheduler, { runAt: Date.now() });
+  stale.nextRunAt = Date.now() - 120000;
+  const recurring = add(scheduler, { cron: "*/5 * * * *" });
+  recurring.nextRunAt = Date.now() - 120000;
+  bot.isConnected = false;
+
+  await scheduler.processDue();
+  assert.strictEqual(recent.status, "active");
+  assert.strictEqual(stale.status, "expired");
+  assert.match(stale.lastResult.error, /desconectado/);
+  assert.strictEqual(recurring.status, "active");
+  assert.ok(recurring.nextRunAt > Date.now());
+  assert.strictEqual(recurring.runs, 0);
+
+  bot.isConnected = true;
+  await scheduler.processDue();
+  assert.strictEqual(recent.status, "completed");
+  assert.strictEqual(sent.length, 1);
+});
+
+test("errores de envío y envíos a chats indicados por id", async () => {
+  const { scheduler: failing } = createScheduler({ fail: true });
+  const failed = add(failing, { runAt: Date.now() });
+  await failing.processDue();
+  assert.strictEqual(failed.status, "failed");
+  assert.strictEqual(failed.lastResult.error, "Falló el envío");
+
+  const { scheduler, sent } = createScheduler();
+  const group = add(scheduler, { to: "123-456@g.us", runAt: Date.now() });
+  await scheduler.processDue();
+  assert.strictEqual(group.status, "completed");
+  assert.deepStrictEqual(sent, [
+    { kind: "chat", to: "123-456@g.us", text: "Recordatorio" },
+  ]);
+});
+
+test("los chats privados indicados por id respetan el opt-out", async () => {
+  const { scheduler, sent } = createScheduler({
+    optedOut: ["5491134083140@c.us"],
+  });
+  const blocked = add(scheduler, {
+    to: "5491134083140@c.us",
+    runAt: Date.now(),
+  });
+  const transactional = add(scheduler, {
+    to: "5491134083140@c.us",
+    runAt: Date.now(),
+    transactional: true,
+  });
+  await scheduler.processDue();
+
+  assert.strictEqual(blocked.status, "failed");
+  assert.match(blocked.lastResult.error, /baja/);
+  assert.strictEqual(transactional.status, "completed");
+  assert.deepStrictEqual(
+    sent.map(({ kind, to }) => [kind, to]),
+    [["chat", "5491134083140@c.us"]]
+  );
+});
+
+test("editar y cancelar", () => {
+  const { scheduler } = createScheduler();
+  const schedule = add(scheduler, { cron: "0 9 * * *" });
+
+  // Cambiar solo la zona horaria conserva el cron
+  const { schedule: moved } = scheduler.update(schedule.id, {
+    timezone: "Asia/Tokyo",
+  });
+  assert.strictEqual(moved.cron, "0 9 * * *");
+  assert.strictEqual(hourIn(moved.nextRunAt, "Asia/Tokyo"), 9);
+
+  // runAt reemplaza al cron
+  const runAt = Date.now() + 3600000;
+  const { schedule: once } = scheduler.update(schedule.id, { runAt });
+  assert.deepStrictEqual(
+    [once.cron, once.runAt, once.nextRunAt],
+    [null, runAt, runAt]
+  );
+  assert.match(scheduler.update(schedule.id, { to: "" }).error, /"to"/);
+  assert.match(
+    scheduler.update(schedule.id, { runAt: Date.now() - 120000 }).error,
+    /ya pasó/
+  );
+  assert.strictEqual(scheduler.get(schedule.id).runAt, runAt);
+
+  assert.strictEqual(scheduler.update("inexistente", {}), null);
+  assert.strictEqual(
+    scheduler.cancel(schedule.id).schedule.status,
+    "cancelled"
+  );
+  assert.match(scheduler.cancel(schedule.id).error, /cancelled/);
+  assert.match(
+    scheduler.update(schedule.id, { message: "x" }).error,
+    /no se puede editar/
+  );
+  assert.deepStrictEqual(
+    scheduler.list({ status: "cancelled" }).map(({ id }) => id),
+    [schedule.id]
+  );
+});
+
+test("los envíos sobreviven a un reinicio", async () => {
+  const filePath = tmp.file();
+  const { scheduler } = createScheduler({ filePath });
+  const schedule = add(scheduler, { runAt: Date.now() });
+
+  const { scheduler: restarted, sent } = createScheduler({ filePath });
+  assert.deepStrictEqual(restarted.get(schedule.id), schedule);
+
+  await restarted.processDue();
+  assert.strictEqual(sent.length, 1);
+  const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  assert.strictEqual(saved.schedules[0].status, "completed");
+});
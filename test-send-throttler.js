@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const SendThrottler = require("./services/sendThrottler");
+const { logger } = require("./test-helpers");
+
+function createThrottler(options) {
+  return new SendThrottler({
+    enabled: true,
+    perMinute: 100,
+    perChatPerMinute: 100,
+    minDelay: 0,
+    maxDelay: 0,
+    unknownDailyCap: 0,
+    maxQueue: 100,
+    logger,
+    ...options,
+  });
+}
+
+test("deshabilitado envía directamente", async () => {
+  const throttler = createThrottler({ enabled: false });
+  assert.strictEqual(await throttler.schedule("a", async () => "ok"), "ok");
+  assert.strictEqual(throttler.getStats().sentLastMinute, 0);
+});
+
+test("los envíos salen de a uno y en orden", async () => {
+  const throttler = createThrottler();
+  const order = [];
+  const results = await Promise.all(
+    ["a", "b", "c"].map((chatId) =>
+      throttler.schedule(chatId, async () => {
+        order.push(chatId);
+        return chatId.toUpperCase();
+      })
+    )
+  );
+
+  assert.deepStrictEqual(order, ["a", "b", "c"]);
+  assert.deepStrictEqual(results, ["A", "B", "C"]);
+  assert.strictEqual(throttler.getStats().sentLastMinute, 3);
+});
+
+test("el error de un envío se devuelve a quien lo encoló", async () => {
+  const throttler = createThrottler();
+  await assert.rejects(
+    throttler.schedule("a", async () => {
+      throw new Error("falló");
+    }),
+    /falló/
+  );
+  assert.strictEqual(await throttler.schedule("a", async () => 1), 1);
+});
+
+test("un chat en su límite no frena a los demás", async () => {
+  const throttler = createThrottler({ perChatPerMinute: 1 });
+  const order = [];
+  const send = (chatId) =>
+    throttler.schedule(chatId, async () => order.push(chatId));
+
+  await send("a");
+  send("a");
+  await send("b");
+
+  assert.deepStrictEqual(order, ["a", "b"]);
+  assert.strictEqual(throttler.getStats().queued, 1);
+  // Vaciar la cola para que el ciclo de espera termine
+  throttler.queue.length = 0;
+});
+
+test("con la cola llena se rechaza sin consumir el cupo diario", () => {
+  const throttler = createThrottler({ unknownDailyCap: 1, maxQueue: 0 });
+
+  assert.throws(
+    () => throttler.schedule("a", async () => {}, { unknownContact: true }),
+    (error) => error.status === 429 && /en cola/.test(error.message)
+  );
+  assert.strictEqual(throttler.getStats().unknownContactsToday, 0);
+});
+
+test("el cupo diario de contactos nuevos cuenta solo los envíos exitosos", async () => {
+  const throttler = createThrottler({ unknownDailyCap: 1 });
+  const send = (chatId, task = async () => chatId) =>
+    throttler.schedule(chatId, task, { unknownContact: true });
+
+  await assert.rejects(
+    send("a", async () => {
+      throw new Error("falló");
+    }),
+    /falló/
+  );
+  assert.strictEqual(throttler.getStats().unknownContactsToday, 0);
+
+  // Encolados a la vez: el segundo se rechaza al llegarle el turno
+  const [b, c] = await Promise.allSettled([send("b"), send("c")]);
+  assert.strictEqual(b.value, "b");
+  assert.strictEqual(c.reason.code, "SEND_LIMIT");
+  assert.match(c.reason.message, /contactos nuevos/);
+  assert.strictEqual(throttler.getStats().sentLastMinute, 2);
+
+  // El chat ya contado no vuelve a consumir cupo
+  assert.strictEqual(await send("b"), "b");
+  assert.throws(() => send("d"), /contactos nuevos/);
+  assert.strictEqual(throttler.getStats().unknownContactsToday, 1);
+});
+
+test("las pausas entre envíos admiten 0; vacías o inválidas usan el valor por defecto", () => {
+  // Relee config.js con las variables indicadas y después las restaura
+  const load = (env) => {
+    const saved = Object.keys(env).map((name) => [name, process.env[name]]);
+    Object.assign(process.env, env);
+    delete require.cache[require.resolve("./config")];
+    try {
+      const { minDelay, maxDelay } = require("./config").throttle;
+      return [minDelay, maxDelay];
+    } finally {
+      saved.forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+      delete require.cache[require.resolve("./config")];
+    }
+  };
+
+  assert.deepStrictEqual(
+    load({ SEND_MIN_DELAY: "0", SEND_MAX_DELAY: "0" }),
+    [0, 0]
+  );
+  assert.deepStrictEqual(
+    load({ SEND_MIN_DELAY: "", SEND_MAX_DELAY: "rápido" }),
+    [1000, 3000]
+  );
+});
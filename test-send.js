@@ -4,10 +4,16 @@ async function testSendMessage() {
   try {
     console.log("Enviando solicitud al servidor...");
 
-    const response = await axios.post("http://localhost:3000/send-message", {
-      to: "5491134083140",
-      message: "¡Hola! Este es un mensaje enviado desde la API.",
-    });
+    const response = await axios.post(
+      "http://localhost:3000/send-message",
+      {
+        to: "5491134083140",
+        message: "¡Hola! Este es un mensaje enviado desde la API.",
+      },
+      {
+        headers: { Authorization: `Bearer ${process.env.API_KEY}` },
+      }
+    );
 
     console.log("Respuesta del servidor:", response.data);
   } catch (error) {
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("whatsapp-web.js");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("sessions");
+
+// El servidor completo corre en el directorio temporal: sus datos y logs
+// (rutas relativas de la configuración) no tocan los del proyecto
+process.chdir(tmp.dir);
+Object.assign(process.env, { AUTH_ENABLED: "false", LOG_LEVEL: "error" });
+const server = require("./server");
+const config = require("./config");
+const SessionManager = require("./services/sessionManager");
+
+const { sessions } = server;
+
+let base;
+let listener;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      listener = server.app.listen(0, "127.0.0.1", () => {
+        base = `http://127.0.0.1:${listener.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => listener.close());
+
+// Sin navegador: el cliente de WhatsApp "inicia" con el comportamiento dado
+function mockClient(t, initialize = async () => {}) {
+  t.mock.method(Client.prototype, "destroy", async () => {});
+  return t.mock.method(Client.prototype, "initialize", initialize);
+}
+
+test("crear valida el id y se recrea al reiniciar", () => {
+  assert.match(sessions.create({ id: "con espacios" }).error, /"id"/);
+  assert.match(sessions.create({ id: "default" }).error, /ya existe/);
+  assert.match(
+    sessions.create({ id: "mala-url", webhookUrl: "no es url" }).error,
+    /URL inválida/
+  );
+
+  const { session } = sessions.create({
+    id: "soporte",
+    webhookUrl: "http://n8n.local/soporte",
+    autoStart: false,
+  });
+  assert.strictEqual(session.bot.sessionId, "soporte");
+  assert.strictEqual(sessions.getBot("soporte"), session.bot);
+
+  const restarted = new SessionManager({ logger, templates: server.templates });
+  restarted.autoReplies.stop();
+  const info = restarted.getInfo("soporte");
+  assert.deepStrictEqual(
+    [info.webhookUrl, info.autoStart, info.started],
+    ["http://n8n.local/soporte", false, false]
+  );
+});
+
+test("iniciar crea el cliente una sola vez y detener lo libera", async (t) => {
+  const initialize = mockClient(t);
+  sessions.create({ id: "ventas-start" });
+
+  await sessions.start("ventas-start");
+  await sessions.start("ventas-start");
+  assert.strictEqual(initialize.mock.callCount(), 1);
+  assert.strictEqual(sessions.getInfo("ventas-start").started, true);
+
+  await sessions.stop("ventas-start");
+  assert.strictEqual(sessions.getInfo("ventas-start").started, false);
+  assert.strictEqual(await sessions.start("inexistente"), null);
+});
+
+test("si el inicio falla, un start() posterior vuelve a intentarlo", async (t) => {
+  let fail = true;
+  const initialize = mockClient(t, async () => {
+    if (fail) throw new Error("No se pudo abrir el navegador");
+  });
+  const { session } = sessions.create({ id: "reintento" });
+  session.bot.logger = logger;
+
+  await assert.rejects(sessions.start("reintento"), /navegador/);
+  assert.strictEqual(session.bot.client, null);
+
+  fail = false;
+  await sessions.start("reintento");
+  assert.strictEqual(initialize.mock.callCount(), 2);
+  assert.strictEqual(sessions.getInfo("reintento").started, true);
+  await sessions.stop("reintento");
+});
+
+test("eliminar borra la sesión con su autenticación y sus datos", async (t) => {
+  mockClient(t);
+  const { session } = sessions.create({ id: "borrar" });
+  const authDir = path.join(
+    config.whatsapp.session.dataPath,
+    `session-${session.bot.clientId}`
+  );
+  const dataDir = path.join(config.sessions.dataDir, "borrar");
+  fs.mkdirSync(authDir, { recursive: true });
+  fs.mkdirSync(dataDir, { recursive: true });
+  await sessions.start("borrar");
+
+  assert.match(
+    (await sessions.remove("default")).error,
+    /no se puede eliminar/
+  );
+  assert.deepStrictEqual(await sessions.remove("borrar"), { id: "borrar" });
+  assert.strictEqual(sessions.get("borrar"), null);
+  assert.strictEqual(fs.existsSync(authDir), false);
+  assert.strictEqual(fs.existsSync(dataDir), false);
+  assert.strictEqual(await sessions.remove("borrar"), null);
+
+  const saved = JSON.parse(fs.readFileSync(config.sessions.filePath, "utf8"));
+  assert.ok(!saved.sessions.some(({ id }) => id === "borrar"));
+});
+
+test("/sessions/:sessionId usa el bot de esa sesión", async () => {
+  sessions.create({ id: "ruteo", autoStart: false });
+  const status = async (prefix) => {
+    const response = await fetch(`${base}${prefix}/status`);
+    return [response.status, (await response.json()).data?.sessionId];
+  };
+
+  assert.deepStrictEqual(await status("/sessions/ruteo"), [200, "ruteo"]);
+  assert.deepStrictEqual(await status("/sessions/default"), [200, "default"]);
+  assert.deepStrictEqual(await status(""), [200, "default"]);
+  assert.deepStrictEqual(await status("/sessions/otra"), [404, undefined]);
+});
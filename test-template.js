@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseTemplate,
+  renderTemplate,
+  getTemplateVariables,
+} = require("./utils/template");
+
+test("reemplaza variables, anidadas y con valor por defecto", () => {
+  const result = renderTemplate(
+    "Hola {{ nombre }}, tu pedido {{pedido.numero}} llega {{dia|pronto}}",
+    { nombre: "Ana", pedido: { numero: 42 } }
+  );
+  assert.deepStrictEqual(result, {
+    text: "Hola Ana, tu pedido 42 llega pronto",
+    missing: [],
+  });
+});
+
+test("informa las variables requeridas que faltan", () => {
+  const result = renderTemplate("{{a}}-{{b.c}}-{{d|x}}", { b: null });
+  assert.deepStrictEqual(result, { text: "--x", missing: ["a", "b.c"] });
+});
+
+test("bloques #if / else, anidados y con espacios", () => {
+  const source =
+    "{{#if vip}}VIP{{#if nombre}} {{nombre}}{{/if}}{{ else }}Cliente{{/if}}";
+
+  assert.strictEqual(
+    renderTemplate(source, { vip: true, nombre: "Ana" }).text,
+    "VIP Ana"
+  );
+  assert.strictEqual(renderTemplate(source, { vip: true }).text, "VIP");
+  assert.strictEqual(renderTemplate(source, { vip: false }).text, "Cliente");
+  assert.strictEqual(renderTemplate(source, { vip: "" }).text, "Cliente");
+});
+
+test("solo se exigen las variables de la rama renderizada", () => {
+  const source = "{{#if pago}}Pagaste {{monto}}{{else}}Debés {{deuda}}{{/if}}";
+  assert.deepStrictEqual(renderTemplate(source, { pago: true, monto: 5 }), {
+    text: "Pagaste 5",
+    missing: [],
+  });
+  assert.deepStrictEqual(renderTemplate(source, {}).missing, ["deuda"]);
+});
+
+test("variables que empiezan como palabras clave no son etiquetas", () => {
+  assert.deepStrictEqual(
+    renderTemplate("{{elsewhere}} {{ifa}} {{/iffy|-}}", {
+      elsewhere: "E",
+      ifa: "I",
+    }),
+    { text: "E I -", missing: [] }
+  );
+});
+
+test("no se leen propiedades heredadas", () => {
+  assert.deepStrictEqual(
+    renderTemplate("{{toString}}{{constructor.name|x}}{{nombre.length}}", {
+      nombre: "Ana",
+    }),
+    { text: "x3", missing: ["toString"] }
+  );
+});
+
+test("bloques mal balanceados o variables vacías son errores", () => {
+  [
+    "{{#if a}}sin cerrar",
+    "{{/if}}",
+    "{{else}}",
+    "{{#if a}}{{else}}{{else}}{{/if}}",
+    "{{#if }}x{{/if}}",
+    "Hola {{ }}",
+  ].forEach((source) => {
+    assert.throws(() => parseTemplate(source), Error, source);
+  });
+});
+
+test("lista las variables usadas en todas las ramas", () => {
+  assert.deepStrictEqual(
+    getTemplateVariables("{{a}} {{#if b}}{{c|x}}{{else}}{{d.e}}{{/if}} {{a}}"),
+    ["a", "b", "c", "d.e"]
+  );
+});
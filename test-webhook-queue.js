@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const WebhookQueue = require("./services/webhookQueue");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("webhook-queue");
+
+// send responde con los resultados indicados, en orden (un Error = fallo)
+function createQueue({ results = [], ...options } = {}) {
+  const attempts = [];
+  const queue = new WebhookQueue({
+    filePath: tmp.file(),
+    logger,
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 8000,
+    pollInterval: 1000,
+    maxDeadLetters: 10,
+    send: async (delivery) => {
+      attempts.push(delivery.id);
+      const result = results.shift();
+      if (result instanceof Error) throw result;
+      return result ?? { ok: true };
+    },
+    ...options,
+  });
+  return { queue, attempts };
+}
+
+const fail = () => new Error("n8n caído");
+
+test("una entrega exitosa sale de la cola", async () => {
+  const { queue } = createQueue({ results: [{ status: 200 }] });
+
+  assert.deepStrictEqual(await queue.deliver("http://n8n/a", { a: 1 }), {
+    status: 200,
+  });
+  assert.deepStrictEqual(queue.getStats(), { pending: 0, deadLetters: 0 });
+});
+
+test("un fallo queda pendiente con backoff y se reintenta al vencer", async () => {
+  const { queue, attempts } = createQueue({ results: [fail()] });
+
+  await assert.rejects(queue.deliver("http://n8n/a", { messageId: "m1" }));
+  const [pending] = queue.listPending();
+  assert.strictEqual(pending.attempts, 1);
+  assert.strictEqual(pending.lastError, "n8n caído");
+  assert.ok(pending.nextAttemptAt > Date.now());
+
+  // Todavía no venció: no se reintenta
+  await queue.processDue();
+  assert.strictEqual(attempts.length, 1);
+
+  queue.pending[0].nextAttemptAt = Date.now();
+  await queue.processDue();
+  assert.strictEqual(attempts.length, 2);
+  assert.strictEqual(queue.getStats().pending, 0);
+});
+
+test("backoff exponencial con jitter y tope", () => {
+  const { queue } = createQueue();
+  for (let i = 0; i < 20; i++) {
+    const first = queue.getBackoff(1);
+    const third = queue.getBackoff(3);
+    const capped = queue.getBackoff(10);
+    assert.ok(first >= 500 && first <= 1000, String(first));
+    assert.ok(third >= 2000 && third <= 4000, String(third));
+    assert.ok(capped >= 4000 && capped <= 8000, String(capped));
+  }
+  assert.ok(queue.getBackoff(1, { baseDelay: 100 }) <= 100);
+});
+
+test("al agotar los intentos pasa a dead-letter; replay y purge", async () => {
+  const { queue } = createQueue({
+    results: [fail(), fail(), { ok: true }],
+  });
+
+  await assert.rejects(
+    queue.deliver(
+      "http://n8n/a",
+      { messageId: "m1" },
+      { retry: { maxAttempts: 2 } }
+    )
+  );
+  queue.pending[0].nextAttemptAt = Date.now();
+  await queue.processDue();
+
+  const [dead] = queue.listDeadLetters();
+  assert.strictEqual(dead.messageId, "m1");
+  assert.strictEqual(dead.attempts, 2);
+  assert.ok(dead.failedAt);
+
+  assert.strictEqual(queue.replay(dead.id).id, dead.id);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(queue.getStats(), { pending: 0, deadLetters: 0 });
+
+  queue.deadLetters.push({ id: "x" }, { id: "y" });
+  assert.strictEqual(queue.purge("x"), 1);
+  assert.strictEqual(queue.purge(), 1);
+  assert.strictEqual(queue.replay("inexistente"), null);
+});
+
+test("la dead-letter descarta las entregas más antiguas", async () => {
+  const { queue } = createQueue({
+    maxAttempts: 1,
+    maxDeadLetters: 2,
+    results: [fail(), fail(), fail()],
+  });
+
+  for (const messageId of ["m1", "m2", "m3"]) {
+    await assert.rejects(queue.deliver("http://n8n/a", { messageId }));
+  }
+  assert.deepStrictEqual(
+    queue.listDeadLetters().map((delivery) => delivery.messageId),
+    ["m2", "m3"]
+  );
+});
+
+test("el estado sobrevive a un reinicio sin guardar el media en línea", async () => {
+  const filePath = tmp.file();
+  const { queue } = createQueue({ filePath, results: [fail()] });
+  const payload = {
+    messageId: "m1",
+    media: { mimetype: "image/png", size: 3, data: "AAAA" },
+  };
+
+  await assert.rejects(queue.deliver("http://n8n/a", payload));
+  // En memoria se conserva el archivo para los reintentos
+  assert.strictEqual(queue.pending[0].payload.media.data, "AAAA");
+  queue.stop();
+
+  const saved = fs.readFileSync(filePath, "utf8");
+  assert.ok(!saved.includes("AAAA"));
+
+  const { queue: restarted } = createQueue({ filePath });
+  const [recovered] = restarted.pending;
+  assert.strictEqual(recovered.payload.messageId, "m1");
+  assert.deepStrictEqual(recovered.payload.media, {
+    mimetype: "image/png",
+    size: 3,
+    dataOmitted: true,
+  });
+});
@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const WebhookRouter = require("./services/webhookRouter");
+const { logger, createTempDir } = require("./test-helpers");
+
+const tmp = createTempDir("webhook-routes");
+
+function createRouter(routes = []) {
+  const router = new WebhookRouter({
+    filePath: tmp.file(),
+    logger,
+  });
+  routes.forEach((definition) => {
+    const { error } = router.create({
+      url: "http://n8n.local/a",
+      ...definition,
+    });
+    assert.strictEqual(error, undefined);
+  });
+  return router;
+}
+
+const message = (overrides) => ({
+  from: "5491134083140@c.us",
+  fromNumber: "5491134083140",
+  body: "Quiero el PRECIO del plan",
+  type: "chat",
+  isGroupMsg: false,
+  contact: { isMyContact: false },
+  ...overrides,
+});
+
+const names = (routes) => routes.map((route) => route.name);
+
+test("todas las reglas de una ruta deben cumplirse", () => {
+  const router = createRouter([
+    {
+      name: "ventas",
+      match: { keywords: ["precio"], numberPrefixes: ["+54"] },
+    },
+    { name: "grupos", match: { chatType: "group" } },
+    { name: "imagenes", match: { types: ["image"] } },
+  ]);
+
+  assert.deepStrictEqual(names(router.match(message())), ["ventas"]);
+  assert.deepStrictEqual(
+    names(router.match(message({ fromNumber: "5511999999999" }))),
+    []
+  );
+  assert.deepStrictEqual(
+    names(router.match(message({ isGroupMsg: true, type: "image" }))),
+    ["ventas", "grupos", "imagenes"]
+  );
+});
+
+test("chatIds, pattern e isMyContact", () => {
+  const router = createRouter([
+    { name: "vip", match: { chatIds: ["5491134083140"] } },
+    { name: "pedido", match: { pattern: "^pedido \\d+$" } },
+    { name: "contactos", match: { isMyContact: true } },
+  ]);
+
+  assert.deepStrictEqual(names(router.match(message())), ["vip"]);
+  assert.deepStrictEqual(
+    names(
+      router.match(
+        message({
+          fromNumber: "5491100000000",
+          body: "Pedido 123",
+          contact: { isMyContact: true },
+        })
+      )
+    ),
+    ["pedido", "contactos"]
+  );
+});
+
+test("las rutas deshabilitadas no coinciden", () => {
+  const router = createRouter([{ name: "apagada", enabled: false }]);
+  assert.deepStrictEqual(router.match(message()), []);
+});
+
+test("se rechazan reglas con tipos inválidos", () => {
+  const router = createRouter();
+  const invalid = [
+    { url: "no-es-url" },
+    { url: "http://n8n.local/a", match: { keywords: "precio" } },
+    { url: "http://n8n.local/a", match: { keywords: [1] } },
+    { url: "http://n8n.local/a", match: { numberPrefixes: [null] } },
+    { url: "http://n8n.local/a", match: { pattern: "(" } },
+    { url: "http://n8n.local/a", match: { chatType: "canal" } },
+    { url: "http://n8n.local/a", match: { isMyContact: "si" } },
+  ];
+
+  invalid.forEach((definition) => {
+    assert.ok(router.create(definition).error, JSON.stringify(definition));
+  });
+  assert.strictEqual(router.list().length, 0);
+});
+
+test("una ruta con reglas corruptas no corta las demás", () => {
+  const router = createRouter([{ name: "buena", match: {} }]);
+  router.routes.unshift({
+    id: "mala",
+    name: "mala",
+    enabled: true,
+    match: { keywords: [1] },
+  });
+
+  assert.deepStrictEqual(names(router.match(message())), ["buena"]);
+});
+
+test("las rutas del archivo toman los valores por defecto", () => {
+  const filePath = tmp.file();
+  fs.copyFileSync("webhook-routes.example.json", filePath);
+  const router = new WebhookRouter({ filePath, logger });
+
+  assert.strictEqual(router.get("ventas").enabled, true);
+  assert.deepStrictEqual(
+    names(router.match(message({ body: "quiero precio" }))),
+    ["Ventas"]
+  );
+});
+
+test("las rutas inválidas del archivo no se aplican pero se conservan", () => {
+  const filePath = tmp.file();
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({
+      routes: [
+        { id: "buena", url: "http://n8n.local/a" },
+        { id: "mala", url: "http://n8n.local/b", match: { keywords: "x" } },
+        "texto",
+      ],
+    })
+  );
+  const router = new WebhookRouter({ filePath, logger });
+
+  assert.deepStrictEqual(names(router.match(message())), ["buena"]);
+  assert.strictEqual(router.get("mala"), null);
+
+  router.create({ id: "nueva", url: "http://n8n.local/c" });
+  const saved = JSON.parse(fs.readFileSync(filePath, "utf8")).routes;
+  assert.deepStrictEqual(
+    saved.map((route) => route.id || route),
+    ["buena", "nueva", "mala", "texto"]
+  );
+});
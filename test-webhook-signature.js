@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createWebhookVerifier,
+} = require("./utils/webhookSignature");
+
+const secret = "secreto-compartido";
+const body = JSON.stringify({ messageId: "m1", body: "Hola" });
+const now = 1700000000 * 1000;
+
+const sign = (options) =>
+  signWebhookPayload({
+    secret,
+    body,
+    deliveryId: "d1",
+    timestamp: now / 1000,
+    ...options,
+  });
+
+test("la firma es el HMAC-SHA256 de timestamp.body", () => {
+  const headers = sign();
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${now / 1000}.${body}`)
+    .digest("hex");
+
+  assert.deepStrictEqual(headers, {
+    "X-Webhook-Signature": `sha256=${expected}`,
+    "X-Webhook-Timestamp": String(now / 1000),
+    "X-Webhook-Id": "d1",
+  });
+});
+
+test("verifica firmas válidas sin importar mayúsculas en las cabeceras", () => {
+  const headers = Object.fromEntries(
+    Object.entries(sign()).map(([key, value]) => [key.toLowerCase(), value])
+  );
+
+  assert.deepStrictEqual(
+    verifyWebhookSignature({ secret, headers, body, now }),
+    { valid: true, deliveryId: "d1", timestamp: now / 1000 }
+  );
+  assert.strictEqual(
+    verifyWebhookSignature({
+      secret,
+      headers,
+      body: Buffer.from(body),
+      now,
+    }).valid,
+    true
+  );
+});
+
+test("rechaza body alterado, otro secreto, cabeceras faltantes o vencidas", () => {
+  const headers = sign();
+  const check = (options) =>
+    verifyWebhookSignature({ secret, headers, body, now, ...options }).error;
+
+  assert.strictEqual(
+    check({ body: body.replace("Hola", "Chau") }),
+    "Firma inválida"
+  );
+  assert.strictEqual(check({ secret: "otro" }), "Firma inválida");
+  assert.strictEqual(check({ secret: "" }), "Secreto no configurado");
+  assert.strictEqual(
+    check({ headers: { ...headers, "X-Webhook-Id": undefined } }),
+    "Faltan cabeceras de firma"
+  );
+  assert.strictEqual(
+    check({ now: now + 301 * 1000 }),
+    "Timestamp fuera de la ventana permitida"
+  );
+  assert.strictEqual(
+    check({ headers: { ...headers, "X-Webhook-Timestamp": "ayer" } }),
+    "Timestamp inválido"
+  );
+});
+
+test("el verificador rechaza entregas repetidas (replay)", () => {
+  const verifier = createWebhookVerifier({ secret });
+  const headers = sign();
+
+  assert.strictEqual(verifier.verify({ headers, body, now }).valid, true);
+  assert.deepStrictEqual(verifier.verify({ headers, body, now }), {
+    valid: false,
+    error: "Entrega duplicada (replay)",
+  });
+  assert.strictEqual(
+    verifier.verify({ headers: sign({ deliveryId: "d2" }), body, now }).valid,
+    true
+  );
+});
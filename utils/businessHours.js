@@ -0,0 +1,82 @@
+const { normalizeKeyword } = require("./text");
+
+const DAYS = ["DOM", "LUN", "MAR", "MIE", "JUE", "VIE", "SAB"];
+
+/**
+ * Horario de atención
+ *
+ * Formato: tramos separados por ";" con días (lun..dom, rangos "lun-vie" o
+ * listas "sab,dom") y uno o más rangos horarios:
+ *   "lun-vie 09:00-13:00 14:00-18:00; sab 09:00-13:00"
+ * Los días que no aparecen se consideran cerrados.
+ */
+function parseBusinessHours(spec) {
+  const schedule = DAYS.map(() => []);
+
+  String(spec || "")
+    .split(";")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const [daysSpec, ...ranges] = part.split(/\s+/);
+      if (ranges.length === 0) {
+        throw new Error(`Tramo sin horario: "${part}"`);
+      }
+
+      const days = parseDays(daysSpec);
+      ranges.forEach((range) => {
+        const match = range.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+        if (!match) throw new Error(`Rango horario inválido: "${range}"`);
+
+        const from = Number(match[1]) * 60 + Number(match[2]);
+        const to = Number(match[3]) * 60 + Number(match[4]);
+        if (from >= to || to > 24 * 60) {
+          throw new Error(`Rango horario inválido: "${range}"`);
+        }
+        days.forEach((day) => schedule[day].push([from, to]));
+      });
+    });
+
+  return schedule;
+}
+
+function parseDays(spec) {
+  const days = new Set();
+  spec.split(",").forEach((item) => {
+    const [start, end = start] = item
+      .split("-")
+      .map((day) => DAYS.indexOf(normalizeKeyword(day).slice(0, 3)));
+    if (start === -1 || end === -1) {
+      throw new Error(`Día inválido: "${item}"`);
+    }
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  });
+  return [...days];
+}
+
+/**
+ * true si la fecha cae dentro del horario, en la zona horaria indicada
+ */
+function isWithinBusinessHours(schedule, date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  const day = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+    parts.weekday
+  );
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  return schedule[day].some(([from, to]) => minutes >= from && minutes < to);
+}
+
+module.exports = { parseBusinessHours, isWithinBusinessHours };
@@ -0,0 +1,144 @@
+const { normalizeKeyword } = require("./text");
+
+/**
+ * Validadores de respuestas de los flujos de conversación
+ *
+ * Cada paso puede declarar "validate" con uno de estos tipos:
+ *   { type: "text", minLength, maxLength }          (por defecto)
+ *   { type: "regex", pattern, flags }
+ *   { type: "number", min, max, integer }
+ *   { type: "date", future, past }                  DD/MM/AAAA => "AAAA-MM-DD"
+ *   { type: "choice", options, numbered }           options: ["a"] o [{ value, label, aliases }]
+ *
+ * validateAnswer devuelve { value } con la respuesta normalizada o { error }.
+ */
+const VALIDATORS = {
+  text: (rule, input) => {
+    if (!input) return { error: "Por favor, respondé con un texto." };
+    if (rule.minLength && input.length < rule.minLength) {
+      return {
+        error: `La respuesta debe tener al menos ${rule.minLength} caracteres.`,
+      };
+    }
+    if (rule.maxLength && input.length > rule.maxLength) {
+      return {
+        error: `La respuesta puede tener hasta ${rule.maxLength} caracteres.`,
+      };
+    }
+    return { value: input };
+  },
+
+  regex: (rule, input) =>
+    new RegExp(rule.pattern, rule.flags || "i").test(input)
+      ? { value: input }
+      : { error: "La respuesta no tiene el formato esperado." },
+
+  number: (rule, input) => {
+    const value = Number(input.replace(",", "."));
+    if (!input || Number.isNaN(value)) {
+      return { error: "Por favor, respondé con un número." };
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      return { error: "Por favor, respondé con un número entero." };
+    }
+    if (
+      (rule.min !== undefined && value < rule.min) ||
+      (rule.max !== undefined && value > rule.max)
+    ) {
+      return {
+        error: `Por favor, respondé con un número ${describeRange(rule)}.`,
+      };
+    }
+    return { value };
+  },
+
+  date: (rule, input, { timezone } = {}) => {
+    const match = input.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const date = match
+      ? new Date(Date.UTC(match[3], match[2] - 1, match[1]))
+      : null;
+    if (!date || date.getUTCDate() !== Number(match[1])) {
+      return { error: "Por favor, ingresá la fecha en formato DD/MM/AAAA." };
+    }
+
+    const value = date.toISOString().slice(0, 10);
+    const today = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+    }).format(new Date());
+    if (rule.future && value <= today) {
+      return { error: "La fecha debe ser futura." };
+    }
+    if (rule.past && value >= today) {
+      return { error: "La fecha debe ser pasada." };
+    }
+    return { value };
+  },
+
+  choice: (rule, input) => {
+    const options = rule.options.map(toOption);
+    const normalized = normalizeKeyword(input);
+    const index = rule.numbered && /^\d+$/.test(input) ? Number(input) - 1 : -1;
+
+    const option =
+      options[index] ||
+      options.find((candidate) =>
+        [candidate.value, candidate.label, ...candidate.aliases].some(
+          (text) => text !== undefined && normalizeKeyword(text) === normalized
+        )
+      );
+    if (!option) {
+      return {
+        error: `Por favor, elegí una opción: ${options.map((candidate) => candidate.label ?? candidate.value).join(", ")}.`,
+      };
+    }
+    return { value: option.value };
+  },
+};
+
+function validateAnswer(rule, input, options) {
+  const definition = rule || { type: "text" };
+  return VALIDATORS[definition.type || "text"](
+    definition,
+    String(input || "").trim(),
+    options
+  );
+}
+
+/**
+ * Revisa la definición de un validador al cargar el flujo. Devuelve un
+ * mensaje de error o null.
+ */
+function checkValidator(rule) {
+  if (!rule) return null;
+  const type = rule.type || "text";
+  if (!VALIDATORS[type]) return `Validador desconocido: ${type}`;
+
+  if (type === "regex") {
+    try {
+      new RegExp(rule.pattern, rule.flags || "i");
+    } catch (error) {
+      return `Expresión regular inválida: ${rule.pattern}`;
+    }
+  }
+  if (
+    type === "choice" &&
+    (!Array.isArray(rule.options) || rule.options.length === 0)
+  ) {
+    return 'El validador "choice" requiere "options"';
+  }
+  return null;
+}
+
+function toOption(option) {
+  return typeof option === "object"
+    ? { aliases: [], ...option, value: option.value }
+    : { value: String(option), aliases: [] };
+}
+
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined) return `del ${min} al ${max}`;
+  if (min !== undefined) return `mayor o igual a ${min}`;
+  return `menor o igual a ${max}`;
+}
+
+module.exports = { validateAnswer, checkValidator };
@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Persistencia simple en archivos JSON
+ *
+ * Las escrituras son atómicas (archivo temporal + rename) para que un
+ * reinicio a mitad de escritura no deje el archivo corrupto.
+ */
+class JsonStore {
+  constructor(filePath, defaults) {
+    this.filePath = path.resolve(filePath);
+    this.defaults = defaults;
+  }
+
+  /**
+   * Lee el archivo; si no existe devuelve una copia de los valores por defecto
+   */
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return JSON.parse(JSON.stringify(this.defaults));
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  /**
+   * Escribe el contenido completo del archivo
+   */
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
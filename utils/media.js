@@ -0,0 +1,79 @@
+/**
+ * Utilidades para validar archivos multimedia según config.security
+ */
+
+/**
+ * Categoría de WhatsApp para un mimetype: image, audio, video o document
+ */
+function getMediaCategory(mimetype) {
+  const type = (mimetype || "").split("/")[0];
+  if (["image", "audio", "video"].includes(type)) return type;
+  return "document";
+}
+
+/**
+ * Tamaño en bytes de un contenido en base64
+ */
+function getBase64Size(data) {
+  const padding = data.endsWith("==") ? 2 : data.endsWith("=") ? 1 : 0;
+  return Math.floor((data.length * 3) / 4) - padding;
+}
+
+/**
+ * Separa un data URI ("data:image/png;base64,...") en mimetype y datos
+ */
+function parseDataUri(value) {
+  const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(value);
+  return match ? { mimetype: match[1], data: match[2] } : null;
+}
+
+/**
+ * Valida tipo y tamaño. Devuelve un mensaje de error o null si es válido.
+ */
+function validateMedia({ mimetype, size }, { allowedFileTypes, maxFileSize }) {
+  const category = getMediaCategory(mimetype);
+
+  if (!allowedFileTypes.includes(category)) {
+    return `Tipo de archivo no permitido: ${mimetype} (${category})`;
+  }
+  if (size > maxFileSize) {
+    return `El archivo excede el tamaño máximo de ${Math.round(maxFileSize / 1024 / 1024)}MB`;
+  }
+  return null;
+}
+
+/**
+ * Valida la URL de un media a descargar: solo http o https y, si hay
+ * allowedHosts, solo esos dominios o sus subdominios. Devuelve un mensaje
+ * de error o null si es válida.
+ */
+function validateMediaUrl(value, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return `URL inválida: ${value}`;
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return `Protocolo no permitido: ${url.protocol} (solo http o https)`;
+  }
+  const host = url.hostname.toLowerCase();
+  if (
+    allowedHosts.length > 0 &&
+    !allowedHosts.some(
+      (allowed) => host === allowed || host.endsWith(`.${allowed}`)
+    )
+  ) {
+    return `Dominio no permitido para descargar media: ${host}`;
+  }
+  return null;
+}
+
+module.exports = {
+  getMediaCategory,
+  getBase64Size,
+  parseDataUri,
+  validateMedia,
+  validateMediaUrl,
+};
@@ -0,0 +1,281 @@
+/**
+ * Validación de números de teléfono internacionales (E.164) con reglas por país
+ *
+ * Sin dependencias: la región por defecto la decide quien llama
+ * ({ defaultRegion: config.regional.defaultCountry } en el bot y el servidor).
+ */
+
+const DEFAULT_REGION = "AR";
+
+/**
+ * Reglas por país. nationalNumber es el número sin código de país ni
+ * prefijos de marcación (0 troncal, 9 o 15 de celulares en Argentina).
+ */
+const REGIONS = {
+  AR: {
+    countryCode: "54",
+    trunkPrefix: "0",
+    nationalPattern: /^[1-3]\d{9}$/,
+    // Argentina: los celulares llevan un 9 tras el código de país (549...)
+    // y en formato local se marcan con 15 después del código de área
+    parseNational(digits, { international }) {
+      if (international) {
+        if (digits.length === 11 && digits.startsWith("9")) {
+          return { nationalNumber: digits.slice(1), type: "mobile" };
+        }
+        return { nationalNumber: digits, type: "fixed" };
+      }
+      if (digits.length === 11 && digits.startsWith("9")) {
+        return { nationalNumber: digits.slice(1), type: "mobile" };
+      }
+      if (digits.length === 12) {
+        for (const areaLength of [2, 3, 4]) {
+          if (digits.substr(areaLength, 2) === "15") {
+            return {
+              nationalNumber:
+                digits.slice(0, areaLength) + digits.slice(areaLength + 2),
+              type: "mobile",
+            };
+          }
+        }
+      }
+      // Sin marca explícita se asume celular (los contactos de WhatsApp)
+      return { nationalNumber: digits, type: "mobile" };
+    },
+    toInternational({ nationalNumber, type }) {
+      return type === "mobile" ? `549${nationalNumber}` : `54${nationalNumber}`;
+    },
+    formatNational({ nationalNumber, type }) {
+      const areaLength = nationalNumber.startsWith("11") ? 2 : 3;
+      const area = nationalNumber.slice(0, areaLength);
+      const local = nationalNumber.slice(areaLength);
+      const mobile = type === "mobile" ? "9 " : "";
+      return `${mobile}${area} ${local.slice(0, -4)}-${local.slice(-4)}`;
+    },
+  },
+  UY: {
+    countryCode: "598",
+    trunkPrefix: "0",
+    nationalPattern: /^[249]\d{7}$/,
+    mobilePattern: /^9\d{7}$/,
+    formatNational: ({ nationalNumber: n }) =>
+      `${n.slice(0, 2)} ${n.slice(2, 5)} ${n.slice(5)}`,
+  },
+  CL: {
+    countryCode: "56",
+    nationalPattern: /^[2-9]\d{8}$/,
+    mobilePattern: /^9\d{8}$/,
+    formatNational: ({ nationalNumber: n }) =>
+      `${n.slice(0, 1)} ${n.slice(1, 5)} ${n.slice(5)}`,
+  },
+  ES: {
+    countryCode: "34",
+    nationalPattern: /^[6-9]\d{8}$/,
+    mobilePattern: /^[67]\d{8}$/,
+    formatNational: ({ nationalNumber: n }) =>
+      `${n.slice(0, 3)} ${n.slice(3, 5)} ${n.slice(5, 7)} ${n.slice(7)}`,
+  },
+};
+
+function getRegion(country) {
+  return REGIONS[(country || "").toUpperCase()] || null;
+}
+
+/**
+ * Región cuyo código de país coincide con el inicio de los dígitos
+ */
+function findRegionByPrefix(digits) {
+  return (
+    Object.keys(REGIONS)
+      .sort(
+        (a, b) => REGIONS[b].countryCode.length - REGIONS[a].countryCode.length
+      )
+      .find((country) => digits.startsWith(REGIONS[country].countryCode)) ||
+    null
+  );
+}
+
+function parseForRegion(country, digits, { international }) {
+  const region = REGIONS[country];
+
+  let national = digits;
+  if (!international && region.trunkPrefix) {
+    national = national.replace(new RegExp(`^${region.trunkPrefix}`), "");
+  }
+
+  const parsed = region.parseNational
+    ? region.parseNational(national, { international })
+    : {
+        nationalNumber: national,
+        type: region.mobilePattern.test(national) ? "mobile" : "fixed",
+      };
+
+  if (!region.nationalPattern.test(parsed.nationalNumber)) return null;
+
+  const number = region.toInternational
+    ? region.toInternational(parsed)
+    : region.countryCode + parsed.nationalNumber;
+
+  return {
+    valid: true,
+    country,
+    countryCode: region.countryCode,
+    nationalNumber: parsed.nationalNumber,
+    type: parsed.type,
+    number,
+    e164: `+${number}`,
+    whatsappId: `${number}@c.us`,
+  };
+}
+
+/**
+ * Utilidades estáticas para validar, normalizar y formatear números
+ */
+class PhoneValidator {
+  /**
+   * Analiza un número en formato local o internacional (+, 00 o con código
+   * de país). Los números de países sin reglas solo se aceptan con "+" o "00".
+   */
+  static parsePhoneNumber(input, { defaultRegion = DEFAULT_REGION } = {}) {
+    if (input === null || input === undefined || input === "") {
+      return { valid: false, input, error: "Número vacío" };
+    }
+
+    const raw = String(input).trim();
+    let digits = raw.replace(/\D/g, "");
+    const international = raw.startsWith("+") || digits.startsWith("00");
+    if (digits.startsWith("00")) digits = digits.slice(2);
+
+    if (!international && getRegion(defaultRegion)) {
+      const local = parseForRegion(defaultRegion.toUpperCase(), digits, {
+        international: false,
+      });
+      if (local) return { input, ...local };
+    }
+
+    const country = findRegionByPrefix(digits);
+    if (country) {
+      const parsed = parseForRegion(
+        country,
+        digits.slice(REGIONS[country].countryCode.length),
+        { international: true }
+      );
+      if (parsed) return { input, ...parsed };
+    }
+
+    if (international && !country && /^[1-9]\d{7,14}$/.test(digits)) {
+      return {
+        valid: true,
+        input,
+        country: null,
+        countryCode: null,
+        nationalNumber: null,
+        type: "unknown",
+        number: digits,
+        e164: `+${digits}`,
+        whatsappId: `${digits}@c.us`,
+      };
+    }
+
+    return { valid: false, input, error: "Número inválido" };
+  }
+
+  /**
+   * Región con reglas para un código de país ("54" => "AR"), o null
+   */
+  static getRegionByCountryCode(countryCode) {
+    const code = String(countryCode || "").replace(/\D/g, "");
+    return (
+      Object.keys(REGIONS).find(
+        (country) => REGIONS[country].countryCode === code
+      ) || null
+    );
+  }
+
+  static isValidPhoneNumber(input, options) {
+    return PhoneValidator.parsePhoneNumber(input, options).valid;
+  }
+
+  /**
+   * Número internacional sin "+" (el formato que usa WhatsApp). Si no es
+   * válido se devuelven solo los dígitos.
+   */
+  static normalizePhoneNumber(input, options) {
+    const parsed = PhoneValidator.parsePhoneNumber(input, options);
+    if (parsed.valid) return parsed.number;
+    return String(input || "").replace(/\D/g, "");
+  }
+
+  static toWhatsAppFormat(input, options) {
+    const number = PhoneValidator.normalizePhoneNumber(input, options);
+    return number ? `${number}@c.us` : "";
+  }
+
+  /**
+   * Número de un id de WhatsApp ("5491134083140@c.us")
+   */
+  static extractPhoneNumber(whatsappId) {
+    if (!whatsappId) return "";
+    return String(whatsappId).replace(/@.*$/, "").replace("+", "");
+  }
+
+  static formatForDisplay(input, options) {
+    const parsed = PhoneValidator.parsePhoneNumber(input, options);
+    if (!parsed.valid) return String(input || "");
+    if (!parsed.country) return parsed.e164;
+
+    const region = REGIONS[parsed.country];
+    return `+${region.countryCode} ${region.formatNational(parsed)}`;
+  }
+
+  /**
+   * Valida una lista de números y separa válidos de inválidos
+   */
+  static validatePhoneNumbers(phoneNumbers, options) {
+    if (!Array.isArray(phoneNumbers)) {
+      return {
+        valid: false,
+        error: "El parámetro debe ser un array",
+        validNumbers: [],
+        invalidNumbers: [],
+      };
+    }
+
+    const validNumbers = [];
+    const invalidNumbers = [];
+
+    phoneNumbers.forEach((number, index) => {
+      const parsed = PhoneValidator.parsePhoneNumber(number, options);
+      if (parsed.valid) {
+        validNumbers.push({
+          original: number,
+          normalized: parsed.number,
+          e164: parsed.e164,
+          country: parsed.country,
+          type: parsed.type,
+          index,
+        });
+      } else {
+        invalidNumbers.push({
+          original: number,
+          index,
+          error: "Número inválido",
+        });
+      }
+    });
+
+    return {
+      valid: invalidNumbers.length === 0,
+      total: phoneNumbers.length,
+      validCount: validNumbers.length,
+      invalidCount: invalidNumbers.length,
+      validNumbers,
+      invalidNumbers,
+    };
+  }
+}
+
+PhoneValidator.DEFAULT_REGION = DEFAULT_REGION;
+PhoneValidator.REGIONS = REGIONS;
+
+module.exports = PhoneValidator;
@@ -0,0 +1,149 @@
+/**
+ * Plantillas de mensajes con variables
+ *
+ * Sintaxis:
+ *   {{nombre}}                 variable requerida
+ *   {{nombre|cliente}}         variable con valor por defecto
+ *   {{pedido.numero}}          acceso a propiedades anidadas
+ *   {{#if nombre}}...{{else}}...{{/if}}
+ *
+ * Las variables solo son requeridas si aparecen en la rama que se renderiza.
+ */
+
+// else y /if solo son etiquetas si ocupan toda la llave ({{elsewhere}} es
+// una variable)
+const TAG_PATTERN =
+  /\{\{\s*(#if\s+|else\s*(?=\}\})|\/if\s*(?=\}\}))?\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * Convierte el texto en un árbol de nodos. Lanza un error si los bloques
+ * {{#if}} no están balanceados.
+ */
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) current().children.push({ type: "text", value: text });
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const [, keyword, expression] = match;
+    const block = (keyword || "").trim();
+
+    if (block === "#if") {
+      if (!expression) throw new Error("{{#if}} requiere una variable");
+      const node = { type: "if", name: expression, children: [], else: null };
+      current().children.push(node);
+      stack.push(node);
+    } else if (block === "else") {
+      const node = current();
+      if (node.type !== "if" || node.else) {
+        throw new Error("{{else}} fuera de un bloque {{#if}}");
+      }
+      node.else = { children: [] };
+      stack.push(node.else);
+    } else if (block === "/if") {
+      if (stack.length === 1) throw new Error("{{/if}} sin {{#if}}");
+      if (current().type !== "if") stack.pop();
+      stack.pop();
+    } else {
+      if (!expression) throw new Error("Variable vacía en la plantilla");
+      const separator = expression.indexOf("|");
+      current().children.push(
+        separator === -1
+          ? { type: "var", name: expression, default: null }
+          : {
+              type: "var",
+              name: expression.slice(0, separator).trim(),
+              default: expression.slice(separator + 1).trim(),
+            }
+      );
+    }
+  }
+
+  if (stack.length > 1) throw new Error("Falta cerrar un bloque {{#if}}");
+  pushText(source.slice(lastIndex));
+  return root;
+}
+
+/**
+ * Valor de la variable (con puntos para propiedades anidadas). Solo se leen
+ * propiedades propias: {{toString}} no devuelve métodos heredados.
+ */
+function getValue(variables, name) {
+  return name
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined || !Object.hasOwn(value, key)
+          ? undefined
+          : value[key],
+      variables
+    );
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function renderNodes(nodes, variables, missing) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+
+      const value = getValue(variables, node.name);
+      if (node.type === "if") {
+        const branch =
+          !isEmpty(value) && value !== false ? node : node.else || null;
+        return branch ? renderNodes(branch.children, variables, missing) : "";
+      }
+
+      if (!isEmpty(value)) return String(value);
+      if (node.default !== null) return node.default;
+      missing.add(node.name);
+      return "";
+    })
+    .join("");
+}
+
+/**
+ * Renderiza la plantilla. Devuelve { text, missing } con las variables
+ * requeridas que faltaron.
+ */
+function renderTemplate(source, variables = {}) {
+  const missing = new Set();
+  const text = renderNodes(
+    parseTemplate(source).children,
+    variables || {},
+    missing
+  );
+  return { text, missing: [...missing] };
+}
+
+/**
+ * Nombres de todas las variables usadas en la plantilla
+ */
+function getTemplateVariables(source) {
+  const names = new Set();
+  const collect = (nodes) =>
+    nodes.forEach((node) => {
+      if (node.type === "text") return;
+      names.add(node.name);
+      if (node.type === "if") {
+        collect(node.children);
+        if (node.else) collect(node.else.children);
+      }
+    });
+  collect(parseTemplate(source).children);
+  return [...names];
+}
+
+module.exports = { parseTemplate, renderTemplate, getTemplateVariables };
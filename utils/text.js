@@ -0,0 +1,15 @@
+/**
+ * Normaliza un texto para compararlo con palabras clave: sin acentos ni
+ * puntuación, espacios simples y en mayúsculas ("¡Baja!" => "BAJA")
+ */
+function normalizeKeyword(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toUpperCase();
+}
+
+module.exports = { normalizeKeyword };
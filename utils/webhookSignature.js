@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+
+/**
+ * Firma HMAC-SHA256 de los webhooks salientes
+ *
+ * La firma se calcula sobre `${timestamp}.${body}`, donde body es el JSON
+ * exacto que se envía. Cabeceras enviadas en cada entrega:
+ *   - X-Webhook-Signature: sha256=<hex>
+ *   - X-Webhook-Timestamp: segundos desde epoch del intento de envío
+ *   - X-Webhook-Id:        id de la entrega (se mantiene en los reintentos)
+ *
+ * Verificación en el receptor (por ejemplo un nodo Code de N8N con
+ * NODE_FUNCTION_ALLOW_BUILTIN=crypto y la opción "Raw Body" del webhook):
+ *
+ *   const { createWebhookVerifier } = require("./utils/webhookSignature");
+ *   const verifier = createWebhookVerifier({ secret: process.env.SECRET });
+ *   const result = verifier.verify({ headers, body: rawBody });
+ *   if (!result.valid) throw new Error(result.error);
+ */
+const SIGNATURE_HEADER = "x-webhook-signature";
+const TIMESTAMP_HEADER = "x-webhook-timestamp";
+const DELIVERY_HEADER = "x-webhook-id";
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function computeSignature(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Genera las cabeceras de firma para un body ya serializado
+ */
+function signWebhookPayload({ secret, body, deliveryId, timestamp }) {
+  const ts = timestamp || Math.floor(Date.now() / 1000);
+  const id = deliveryId || crypto.randomUUID();
+
+  return {
+    "X-Webhook-Signature": `sha256=${computeSignature(secret, ts, body)}`,
+    "X-Webhook-Timestamp": String(ts),
+    "X-Webhook-Id": id,
+  };
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Verifica la firma y la antigüedad de una entrega.
+ * `body` debe ser el cuerpo recibido sin modificar (string o Buffer); si se
+ * recibe un objeto ya parseado se vuelve a serializar con JSON.stringify.
+ */
+function verifyWebhookSignature({
+  secret,
+  headers,
+  body,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now(),
+}) {
+  const signature = getHeader(headers, SIGNATURE_HEADER);
+  const timestamp = getHeader(headers, TIMESTAMP_HEADER);
+  const deliveryId = getHeader(headers, DELIVERY_HEADER);
+
+  if (!secret) {
+    return { valid: false, error: "Secreto no configurado" };
+  }
+  if (!signature || !timestamp || !deliveryId) {
+    return { valid: false, error: "Faltan cabeceras de firma" };
+  }
+
+  const ts = parseInt(timestamp);
+  if (!Number.isFinite(ts)) {
+    return { valid: false, error: "Timestamp inválido" };
+  }
+  if (Math.abs(Math.floor(now / 1000) - ts) > toleranceSeconds) {
+    return { valid: false, error: "Timestamp fuera de la ventana permitida" };
+  }
+
+  const rawBody =
+    typeof body === "string" || Buffer.isBuffer(body)
+      ? body.toString()
+      : JSON.stringify(body);
+  const expected = Buffer.from(
+    `sha256=${computeSignature(secret, ts, rawBody)}`
+  );
+  const received = Buffer.from(String(signature));
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return { valid: false, error: "Firma inválida" };
+  }
+
+  return { valid: true, deliveryId, timestamp: ts };
+}
+
+/**
+ * Verificador con protección contra replays: además de validar la firma,
+ * rechaza ids de entrega ya vistos dentro de la ventana de tolerancia.
+ */
+function createWebhookVerifier({
+  secret,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+}) {
+  const seen = new Map();
+
+  const purge = (nowSeconds) => {
+    for (const [id, ts] of seen) {
+      if (nowSeconds - ts > toleranceSeconds) seen.delete(id);
+    }
+  };
+
+  return {
+    verify({ headers, body, now = Date.now() }) {
+      const result = verifyWebhookSignature({
+        secret,
+        headers,
+        body,
+        toleranceSeconds,
+        now,
+      });
+      if (!result.valid) return result;
+
+      purge(Math.floor(now / 1000));
+      if (seen.has(result.deliveryId)) {
+        return { valid: false, error: "Entrega duplicada (replay)" };
+      }
+      seen.set(result.deliveryId, result.timestamp);
+
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createWebhookVerifier,
+};